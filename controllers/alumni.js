@@ -240,7 +240,7 @@ export const getAlumniStats = async (req, res) => {
 
     // Count employed alumni
     const employedCount = await Alumni.countDocuments({
-      "employment.type": "Employed",
+      employment: { $elemMatch: { current: true, type: "Employed" } },
     })
 
     // Calculate employment rate
@@ -248,7 +248,7 @@ export const getAlumniStats = async (req, res) => {
 
     // Count alumni pursuing higher education
     const higherEducationCount = await Alumni.countDocuments({
-      "higherEducation.institutionName": { $exists: true, $ne: "" },
+      higherEducation: { $elemMatch: { institutionName: { $nin: [null, ""] } } },
     })
 
     // Calculate higher education rate
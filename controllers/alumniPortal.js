@@ -0,0 +1,377 @@
+import Alumni from "../models/alumni.js"
+import AlumniAccount from "../models/alumniAccount.js"
+import ProfileChangeRequest from "../models/profileChangeRequest.js"
+import { NOT_DELETED } from "../utils/alumniQuery.js"
+import {
+  ALUMNI_EDITABLE_FIELDS,
+  MODERATED_FIELDS,
+  MAGIC_LINK_MINUTES,
+  generateAlumniToken,
+  pickAlumniChanges,
+} from "../utils/alumniPortal.js"
+import { getPath } from "../utils/alumniFields.js"
+import { HISTORY_LIST_NAMES, historyKey } from "../utils/alumniHistory.js"
+import { sendAlumniMagicLinkEmail } from "../utils/mailer.js"
+import { recordAudit, snapshot } from "../utils/audit.js"
+
+const MAGIC_LINK_TTL_MS = MAGIC_LINK_MINUTES * 60 * 1000
+
+// Same answer whether or not anything matched, so the portal cannot be used to find out who is on record
+const CLAIM_RESPONSE = "If these details match an alumni record, we have emailed a sign-in link to that address"
+const MAGIC_LINK_RESPONSE = "If this email belongs to a claimed alumni record, we have emailed a sign-in link to it"
+
+// Staff bookkeeping fields that are not part of the alumnus' profile
+const HIDDEN_PROFILE_FIELDS = "-createdBy -updatedBy -deletedAt -deletedBy -__v"
+
+const normalizeEmail = (email) =>
+  String(email || "")
+    .toLowerCase()
+    .trim()
+
+// Issue a sign-in link for the account and email it. Failures are logged, never reported to the client.
+const sendMagicLink = async (account, alumni, { claimed = false } = {}) => {
+  try {
+    const token = account.issueMagicLink(MAGIC_LINK_TTL_MS)
+    await account.save()
+    await sendAlumniMagicLinkEmail(account.email, token, {
+      name: alumni.name,
+      expiresIn: `${MAGIC_LINK_MINUTES} minutes`,
+      claimed,
+    })
+  } catch (error) {
+    console.error("Error sending alumni sign-in link:", error)
+  }
+}
+
+// The record with what the alumnus can edit and any changes still waiting for review
+const profileResponse = async (alumni) => ({
+  alumni,
+  editableFields: ALUMNI_EDITABLE_FIELDS,
+  moderatedFields: MODERATED_FIELDS,
+  pendingChanges: await ProfileChangeRequest.findOne({ alumni: alumni._id, status: "pending" }).select("-alumniAccount"),
+})
+
+// Whether a proposed value would leave the record's field as it is
+const isUnchanged = (field, before, after) =>
+  HISTORY_LIST_NAMES.includes(field) ? historyKey(before) === historyKey(after) : String(before) === after
+
+/**
+ * Add moderated changes to the alumnus' pending change request, creating it if there is none.
+ * Later values for the same field replace earlier ones; fields that would not change the record are dropped.
+ */
+const submitForReview = async (alumni, account, changes, note) => {
+  const request =
+    (await ProfileChangeRequest.findOne({ alumni: alumni._id, status: "pending" })) ||
+    new ProfileChangeRequest({ alumni: alumni._id, alumniAccount: account._id })
+
+  const proposed = new Map(request.changes.map((change) => [change.field, change]))
+
+  Object.entries(changes).forEach(([field, after]) => {
+    const before = getPath(alumni.toObject(), field) ?? ""
+    if (isUnchanged(field, before, after)) {
+      proposed.delete(field)
+    } else {
+      proposed.set(field, { field, before, after })
+    }
+  })
+
+  if (proposed.size === 0) {
+    if (!request.isNew) {
+      request.status = "withdrawn"
+      request.updatedAt = Date.now()
+      await request.save()
+    }
+    return null
+  }
+
+  request.changes = [...proposed.values()]
+  request.academicUnit = alumni.academicUnit
+  if (note !== undefined) {
+    request.note = String(note || "")
+  }
+  request.updatedAt = Date.now()
+
+  try {
+    await request.save()
+  } catch (error) {
+    // A parallel submission created the pending request first; add these changes to that one instead
+    if (error.code === 11000 && request.isNew) {
+      return submitForReview(alumni, account, changes, note)
+    }
+    throw error
+  }
+
+  return request
+}
+
+// @desc    Claim an alumni record by registration number and the email on the record, then email a sign-in link
+// @route   POST /api/alumni-portal/claim
+// @access  Public
+export const claimRecord = async (req, res) => {
+  try {
+    const registrationNumber = String(req.body.registrationNumber || "").trim()
+    const email = normalizeEmail(req.body.email)
+
+    if (!registrationNumber || !email) {
+      return res.status(400).json({ message: "Please provide your registration number and email" })
+    }
+
+    const alumni = await Alumni.findOne({ registrationNumber, ...NOT_DELETED })
+
+    if (!alumni || normalizeEmail(alumni.contactDetails?.email) !== email) {
+      console.log(`Alumni claim did not match a record: ${registrationNumber}`)
+      return res.json({ message: CLAIM_RESPONSE })
+    }
+
+    let account = await AlumniAccount.findOne({ alumni: alumni._id })
+    const claimed = !account
+
+    if (!account) {
+      account = new AlumniAccount({ alumni: alumni._id, email })
+    } else if (!account.isActive) {
+      console.log(`Claim for disabled alumni account: ${registrationNumber}`)
+      return res.json({ message: CLAIM_RESPONSE })
+    } else {
+      // Staff may have corrected the email on the record since it was claimed
+      account.email = email
+    }
+
+    await sendMagicLink(account, alumni, { claimed })
+
+    if (claimed) {
+      await recordAudit(req, {
+        action: "alumni.claim",
+        entity: "Alumni",
+        entityId: alumni._id,
+        actor: { email },
+        metadata: { source: "alumni-portal", alumniAccount: account._id },
+      })
+    }
+
+    res.json({ message: CLAIM_RESPONSE })
+  } catch (error) {
+    console.error("Alumni claim error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// @desc    Email a sign-in link to an alumnus who has already claimed their record
+// @route   POST /api/alumni-portal/magic-link
+// @access  Public
+export const requestMagicLink = async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email)
+
+    if (!email) {
+      return res.status(400).json({ message: "Please provide your email" })
+    }
+
+    // The same address can be on more than one record; each gets its own link
+    const accounts = await AlumniAccount.find({ email, isActive: true }).limit(5)
+
+    for (const account of accounts) {
+      const alumni = await Alumni.findOne({ _id: account.alumni, ...NOT_DELETED }).select("name contactDetails.email")
+
+      // Only the address currently on the record may sign in; once staff change it the old one stops working
+      if (alumni && account.email === normalizeEmail(alumni.contactDetails?.email)) {
+        await sendMagicLink(account, alumni)
+      }
+    }
+
+    res.json({ message: MAGIC_LINK_RESPONSE })
+  } catch (error) {
+    console.error("Alumni magic link error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// @desc    Sign in with the token from an emailed link
+// @route   POST /api/alumni-portal/verify
+// @access  Public
+export const verifyMagicLink = async (req, res) => {
+  try {
+    const { token } = req.body
+
+    if (!token) {
+      return res.status(400).json({ message: "Sign-in token is required" })
+    }
+
+    const account = await AlumniAccount.consumeMagicLink(token)
+
+    if (!account) {
+      return res.status(400).json({ message: "Sign-in link is invalid or has expired" })
+    }
+
+    const alumni = await Alumni.findOne({ _id: account.alumni, ...NOT_DELETED }).select(HIDDEN_PROFILE_FIELDS)
+
+    if (!alumni) {
+      return res.status(400).json({ message: "Your alumni record is no longer available" })
+    }
+
+    account.lastLoginAt = Date.now()
+    account.lastLoginIp = req.ip
+    await account.save()
+
+    console.log(`Alumni signed in to the portal: ${alumni.registrationNumber}`)
+
+    res.json({
+      token: generateAlumniToken(account),
+      ...(await profileResponse(alumni)),
+    })
+  } catch (error) {
+    console.error("Alumni sign-in error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// @desc    Sign out of the portal on every device
+// @route   POST /api/alumni-portal/logout
+// @access  Private (alumni portal)
+export const logoutAlumni = async (req, res) => {
+  try {
+    await AlumniAccount.updateOne({ _id: req.alumniAccount._id }, { $inc: { tokenVersion: 1 } })
+    res.json({ message: "Signed out successfully" })
+  } catch (error) {
+    console.error("Alumni logout error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// @desc    Get the signed-in alumnus' record and the fields they can edit
+// @route   GET /api/alumni-portal/me
+// @access  Private (alumni portal)
+export const getMyRecord = async (req, res) => {
+  try {
+    const alumni = await Alumni.findById(req.alumni._id).select(HIDDEN_PROFILE_FIELDS)
+    res.json(await profileResponse(alumni))
+  } catch (error) {
+    console.error("Error fetching alumni portal record:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// @desc    Update the signed-in alumnus' contact details, and submit employment and higher education
+//          changes for staff review
+// @route   PUT /api/alumni-portal/me
+// @access  Private (alumni portal)
+export const updateMyRecord = async (req, res) => {
+  try {
+    const { note, ...fields } = req.body
+    const { error, lockedFields, changes } = pickAlumniChanges(fields)
+
+    if (error) {
+      return res.status(lockedFields ? 403 : 400).json({ message: error, lockedFields })
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ message: `Nothing to update. Editable fields: ${ALUMNI_EDITABLE_FIELDS.join(", ")}` })
+    }
+
+    if (note !== undefined && String(note).length > 1000) {
+      return res.status(400).json({ message: "note must be at most 1000 characters" })
+    }
+
+    const alumni = req.alumni
+    const directChanges = Object.entries(changes).filter(([fieldPath]) => !MODERATED_FIELDS.includes(fieldPath))
+    const moderatedChanges = Object.fromEntries(
+      Object.entries(changes).filter(([fieldPath]) => MODERATED_FIELDS.includes(fieldPath)),
+    )
+
+    if (directChanges.length > 0) {
+      const before = snapshot(alumni)
+
+      directChanges.forEach(([fieldPath, value]) => alumni.set(fieldPath, value))
+      alumni.updatedAt = Date.now()
+      alumni.$locals.alumniAccount = req.alumniAccount._id
+      await alumni.save()
+
+      await recordAudit(req, {
+        action: "alumni.selfUpdate",
+        entity: "Alumni",
+        before,
+        after: alumni,
+        actor: { email: req.alumniAccount.email },
+        metadata: { source: "alumni-portal", alumniAccount: req.alumniAccount._id },
+      })
+    }
+
+    let changeRequest = null
+    if (Object.keys(moderatedChanges).length > 0) {
+      changeRequest = await submitForReview(alumni, req.alumniAccount, moderatedChanges, note)
+
+      if (changeRequest) {
+        await recordAudit(req, {
+          action: "profileChange.submit",
+          entity: "ProfileChangeRequest",
+          entityId: changeRequest._id,
+          actor: { email: req.alumniAccount.email },
+          metadata: { alumni: alumni._id, fields: changeRequest.changes.map(({ field }) => field) },
+        })
+      }
+    }
+
+    const updated = await Alumni.findById(alumni._id).select(HIDDEN_PROFILE_FIELDS)
+
+    res.json({
+      message: changeRequest
+        ? "Your details have been saved. Employment and higher education changes will appear once the alumni office has reviewed them"
+        : "Your details have been updated",
+      ...(await profileResponse(updated)),
+    })
+  } catch (error) {
+    console.error("Alumni portal update error:", error)
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message })
+    }
+
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// @desc    List the signed-in alumnus' submitted changes and their review outcome
+// @route   GET /api/alumni-portal/me/changes
+// @access  Private (alumni portal)
+export const getMyChangeRequests = async (req, res) => {
+  try {
+    const changeRequests = await ProfileChangeRequest.find({ alumni: req.alumni._id })
+      .select("-alumniAccount -reviewedBy")
+      .sort({ createdAt: -1 })
+      .limit(50)
+
+    res.json({ data: changeRequests })
+  } catch (error) {
+    console.error("Error fetching alumni change requests:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// @desc    Withdraw the signed-in alumnus' pending changes
+// @route   DELETE /api/alumni-portal/me/changes
+// @access  Private (alumni portal)
+export const withdrawMyChangeRequest = async (req, res) => {
+  try {
+    const changeRequest = await ProfileChangeRequest.findOneAndUpdate(
+      { alumni: req.alumni._id, status: "pending" },
+      { status: "withdrawn", updatedAt: Date.now() },
+      { new: true },
+    )
+
+    if (!changeRequest) {
+      return res.status(404).json({ message: "You have no changes waiting for review" })
+    }
+
+    await recordAudit(req, {
+      action: "profileChange.withdraw",
+      entity: "ProfileChangeRequest",
+      entityId: changeRequest._id,
+      actor: { email: req.alumniAccount.email },
+      metadata: { alumni: req.alumni._id },
+    })
+
+    res.json({ message: "Your pending changes have been withdrawn" })
+  } catch (error) {
+    console.error("Withdraw alumni change request error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
@@ -0,0 +1,205 @@
+import ApiKey from "../models/apiKey.js"
+import { API_KEY_SCOPES } from "../utils/permissions.js"
+import { findUnknownUnits } from "../utils/alumniQuery.js"
+import { recordAudit, snapshot } from "../utils/audit.js"
+
+const STATUSES = ["active", "expired", "revoked"]
+
+const statusFilter = (status) => {
+  if (status === "revoked") return { revokedAt: { $ne: null } }
+  if (status === "expired") return { revokedAt: null, expiresAt: { $lte: new Date() } }
+  return { revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }
+}
+
+/**
+ * Validate the editable fields of a create/update request. Returns { error } or { values }
+ * with only the fields that were sent.
+ */
+const validateApiKeyFields = async (body, { creating = false } = {}) => {
+  const values = {}
+
+  if (creating || body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { error: "Please provide a name for the API key" }
+    }
+    values.name = body.name.trim()
+  }
+
+  if (body.description !== undefined) {
+    values.description = String(body.description || "").trim()
+  }
+
+  if (creating || body.scopes !== undefined) {
+    const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes)] : []
+    if (scopes.length === 0 || scopes.some((scope) => !API_KEY_SCOPES.includes(scope))) {
+      return { error: `Please provide scopes as an array using: ${API_KEY_SCOPES.join(", ")}` }
+    }
+    values.scopes = scopes
+  }
+
+  if (body.academicUnits !== undefined) {
+    const { academicUnits } = body
+    if (!Array.isArray(academicUnits) || academicUnits.some((unit) => typeof unit !== "string" || !unit.trim())) {
+      return { error: "Please provide academicUnits as an array of academic unit names" }
+    }
+
+    const requestedUnits = [...new Set(academicUnits.map((unit) => unit.trim()))]
+    const unknownUnits = await findUnknownUnits(requestedUnits)
+    if (unknownUnits.length > 0) {
+      return { error: `Unknown academic units: ${unknownUnits.join(", ")}` }
+    }
+    values.academicUnits = requestedUnits
+  }
+
+  if (body.rateLimit !== undefined) {
+    const rateLimit = Number.parseInt(body.rateLimit)
+    if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > 10000) {
+      return { error: "rateLimit must be a number of requests per minute between 1 and 10000" }
+    }
+    values.rateLimit = rateLimit
+  }
+
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null || body.expiresAt === "") {
+      values.expiresAt = null
+    } else {
+      const expiresAt = new Date(body.expiresAt)
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt <= Date.now()) {
+        return { error: "expiresAt must be a date in the future" }
+      }
+      values.expiresAt = expiresAt
+    }
+  }
+
+  return { values }
+}
+
+// @desc    List API keys
+// @route   GET /api/api-keys?status=active|expired|revoked
+// @access  Private (apiKeys:manage)
+export const getApiKeys = async (req, res) => {
+  try {
+    const filter = {}
+
+    if (req.query.status) {
+      if (!STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ message: `Invalid status. Use one of: ${STATUSES.join(", ")}` })
+      }
+      Object.assign(filter, statusFilter(req.query.status))
+    }
+
+    const apiKeys = await ApiKey.find(filter)
+      .populate("createdBy", "name email")
+      .populate("revokedBy", "name email")
+      .sort({ createdAt: -1 })
+
+    res.json({ data: apiKeys, scopes: API_KEY_SCOPES })
+  } catch (error) {
+    console.error("Error fetching API keys:", error)
+    res.status(500).json({ message: "Server error fetching API keys" })
+  }
+}
+
+// @desc    Create an API key. The key itself is only returned in this response
+// @route   POST /api/api-keys
+// @access  Private (apiKeys:manage)
+export const createApiKey = async (req, res) => {
+  try {
+    const { error, values } = await validateApiKeyFields(req.body, { creating: true })
+
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const { prefix, key, keyHash } = ApiKey.generate()
+    const apiKey = await ApiKey.create({ ...values, prefix, keyHash, createdBy: req.user.id })
+
+    console.log(`API key ${prefix} (${apiKey.name}) created by ${req.user.email}`)
+
+    await recordAudit(req, { action: "apiKey.create", entity: "ApiKey", after: apiKey })
+
+    res.status(201).json({
+      message: "API key created. Copy the key now - it will not be shown again",
+      key,
+      apiKey,
+    })
+  } catch (error) {
+    console.error("Create API key error:", error)
+    res.status(500).json({ message: "Server error creating API key" })
+  }
+}
+
+// @desc    Update an API key's name, scopes, units, rate limit or expiry
+// @route   PUT /api/api-keys/:id
+// @access  Private (apiKeys:manage)
+export const updateApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id)
+
+    if (!apiKey) {
+      return res.status(404).json({ message: "API key not found" })
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: "A revoked API key cannot be changed" })
+    }
+
+    const { error, values } = await validateApiKeyFields(req.body)
+
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const before = snapshot(apiKey)
+    apiKey.set(values)
+    await apiKey.save()
+
+    await recordAudit(req, { action: "apiKey.update", entity: "ApiKey", before, after: apiKey })
+
+    res.json({ message: "API key updated successfully", apiKey })
+  } catch (error) {
+    console.error("Update API key error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "API key not found" })
+    }
+
+    res.status(500).json({ message: "Server error updating API key" })
+  }
+}
+
+// @desc    Revoke an API key; it stops working immediately
+// @route   DELETE /api/api-keys/:id
+// @access  Private (apiKeys:manage)
+export const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id)
+
+    if (!apiKey) {
+      return res.status(404).json({ message: "API key not found" })
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: "API key has already been revoked" })
+    }
+
+    const before = snapshot(apiKey)
+    apiKey.revokedAt = Date.now()
+    apiKey.revokedBy = req.user.id
+    await apiKey.save()
+
+    console.log(`API key ${apiKey.prefix} (${apiKey.name}) revoked by ${req.user.email}`)
+
+    await recordAudit(req, { action: "apiKey.revoke", entity: "ApiKey", before, after: apiKey })
+
+    res.json({ message: "API key revoked successfully", apiKey })
+  } catch (error) {
+    console.error("Revoke API key error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "API key not found" })
+    }
+
+    res.status(500).json({ message: "Server error revoking API key" })
+  }
+}
@@ -0,0 +1,80 @@
+import mongoose from "mongoose"
+import AuditLog from "../models/auditLog.js"
+
+const parseDate = (value) => {
+  if (!value) return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? undefined : date
+}
+
+// @desc    Query the audit trail
+// @route   GET /api/audit-logs?actor=&entity=&entityId=&action=&from=&to=
+// @access  Private/Admin
+export const getAuditLogs = async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Math.min(Number.parseInt(req.query.limit) || 20, 100) // Maximum 100 entries per page
+    const skip = (page - 1) * limit
+
+    const filter = {}
+
+    // Actor can be given either as a user ID or as an email address
+    if (req.query.actor) {
+      if (mongoose.Types.ObjectId.isValid(req.query.actor)) {
+        filter.actor = req.query.actor
+      } else {
+        filter.actorEmail = req.query.actor.toLowerCase().trim()
+      }
+    }
+
+    if (req.query.entity) {
+      filter.entity = req.query.entity
+    }
+
+    if (req.query.entityId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.entityId)) {
+        return res.status(400).json({ message: "Invalid entityId" })
+      }
+      filter.entityId = req.query.entityId
+    }
+
+    if (req.query.action) {
+      filter.action = req.query.action
+    }
+
+    const from = parseDate(req.query.from)
+    const to = parseDate(req.query.to)
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ message: "from and to must be valid dates" })
+    }
+
+    if (from || to) {
+      filter.createdAt = {}
+      if (from) filter.createdAt.$gte = from
+      if (to) filter.createdAt.$lte = to
+    }
+
+    const total = await AuditLog.countDocuments(filter)
+
+    const logs = await AuditLog.find(filter)
+      .populate("actor", "name email role")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+
+    res.json({
+      data: logs,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching audit logs:", error)
+    res.status(500).json({ message: "Server error fetching audit logs" })
+  }
+}
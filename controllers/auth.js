@@ -1,22 +1,21 @@
-import jwt from "jsonwebtoken"
 import bcrypt from "bcryptjs"
 import User from "../models/user.js"
+import Session from "../models/session.js"
+import Invitation from "../models/invitation.js"
 import { logAuthAttempt, logError } from "../utils/debug.js"
-
-// Generate JWT
-const generateToken = (user) => {
-  return jwt.sign(
-    {
-      id: user._id,
-      email: user.email,
-      role: user.role,
-    },
-    process.env.JWT_SECRET,
-    {
-      expiresIn: "30d",
-    },
-  )
-}
+import { recordAudit, snapshot } from "../utils/audit.js"
+import { getPermissions, ROLES } from "../utils/permissions.js"
+import { isSelfRegistrationOpen, REGISTRATION_CLOSED_MESSAGE } from "../utils/registration.js"
+import { completeLogin, generateAccessToken, rotateRefreshToken, findSessionByRefreshToken } from "../utils/tokens.js"
+import { getLoginChallenge, isTwoFactorRequired } from "../utils/twoFactor.js"
+import { rejectThrottledLogin, handleFailedLogin } from "../utils/loginAttempts.js"
+import { validatePasswordRules, checkPasswordPolicy } from "../utils/passwordPolicy.js"
+import {
+  RESEND_INTERVAL_MS,
+  needsEmailVerification,
+  sendEmailVerification,
+  verifyEmailVerificationToken,
+} from "../utils/emailVerification.js"
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -27,6 +26,10 @@ export const registerUser = async (req, res) => {
 
     logAuthAttempt("register", { name, email, passwordLength: password?.length })
 
+    if (!(await isSelfRegistrationOpen())) {
+      return res.status(403).json({ message: REGISTRATION_CLOSED_MESSAGE })
+    }
+
     // Basic validation
     if (!name || !email || !password) {
       return res.status(400).json({ message: "Please provide all fields" })
@@ -38,6 +41,11 @@ export const registerUser = async (req, res) => {
       return res.status(400).json({ message: "Please provide a valid email" })
     }
 
+    const passwordErrors = validatePasswordRules(password, { email, name })
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: passwordErrors[0], passwordErrors })
+    }
+
     // Check if user exists - case insensitive search
     const userExists = await User.findOne({
       email: { $regex: new RegExp(`^${email.replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&")}$`, "i") },
@@ -52,7 +60,8 @@ export const registerUser = async (req, res) => {
       name,
       email: email.toLowerCase(), // Store email in lowercase
       password,
-      role: "admin", // Default role
+      role: await User.roleForNewAccount(),
+      emailVerified: false,
       settings: {
         notifications: {
           email: true,
@@ -70,18 +79,38 @@ export const registerUser = async (req, res) => {
     })
 
     if (user) {
-      const token = generateToken(user)
-
       console.log("User registered successfully:", { id: user._id, email: user.email })
 
-      res.status(201).json({
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        settings: user.settings,
-        token,
-      })
+      await recordAudit(req, { action: "user.register", entity: "User", after: user, actor: user })
+
+      let verificationEmailSent = true
+      try {
+        verificationEmailSent = (await sendEmailVerification(user)).status === "sent"
+      } catch (emailError) {
+        console.error("Error sending verification email:", emailError)
+        verificationEmailSent = false
+      }
+
+      // No tokens until the owner has confirmed the address
+      if (needsEmailVerification(user)) {
+        return res.status(201).json({
+          _id: user._id,
+          email: user.email,
+          emailVerificationRequired: true,
+          verificationEmailSent,
+          message: verificationEmailSent
+            ? "Account created. Please check your email to verify your address before logging in"
+            : "Account created, but the verification email could not be sent yet. It will be retried automatically, or you can request a new link",
+        })
+      }
+
+      // The first account becomes a super admin, which may have to enroll in 2FA before signing in
+      const challenge = getLoginChallenge(user)
+      if (challenge) {
+        return res.status(201).json({ _id: user._id, email: user.email, ...challenge })
+      }
+
+      res.status(201).json(await completeLogin(user, req))
     } else {
       res.status(400).json({ message: "Invalid user data" })
     }
@@ -94,6 +123,111 @@ export const registerUser = async (req, res) => {
   }
 }
 
+// Find an invitation that can still be accepted from the token in an invite link
+const findPendingInvitation = (token) =>
+  Invitation.findOne({ tokenHash: Invitation.hashToken(token), ...Invitation.pendingFilter() })
+
+// @desc    Look up an invitation so the accept page can show who is being invited
+// @route   GET /api/auth/invitations/:token
+// @access  Public
+export const getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token)
+
+    if (!invitation) {
+      return res.status(400).json({ message: "Invitation is invalid or has expired" })
+    }
+
+    res.json({
+      email: invitation.email,
+      name: invitation.name,
+      role: invitation.role,
+      roleLabel: ROLES[invitation.role].label,
+      academicUnits: invitation.academicUnits,
+      expiresAt: invitation.expiresAt,
+    })
+  } catch (error) {
+    console.error("Get invitation error:", error)
+    res.status(500).json({ message: "Server error fetching invitation" })
+  }
+}
+
+// @desc    Accept an invitation by setting a password, creating the invited account
+// @route   POST /api/auth/accept-invite
+// @access  Public
+export const acceptInvitation = async (req, res) => {
+  try {
+    const { password } = req.body
+
+    const invitation = await findPendingInvitation(req.body.token)
+
+    if (!invitation) {
+      return res.status(400).json({ message: "Invitation is invalid or has expired" })
+    }
+
+    const name = (req.body.name || invitation.name || "").trim()
+    if (!name) {
+      return res.status(400).json({ message: "Name is required" })
+    }
+
+    const passwordErrors = validatePasswordRules(password, { email: invitation.email, name })
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: passwordErrors[0], passwordErrors })
+    }
+
+    if (await User.exists({ email: invitation.email })) {
+      return res.status(400).json({ message: "An account with this email already exists" })
+    }
+
+    // Role and units always come from the invitation, never from the request body
+    const user = await User.create({
+      name,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      academicUnits: invitation.academicUnits,
+      // The invite link was delivered to this address, which proves the invitee owns it
+      emailVerified: true,
+      emailVerifiedAt: Date.now(),
+    })
+
+    const before = snapshot(invitation)
+    invitation.acceptedAt = Date.now()
+    invitation.acceptedUser = user._id
+    await invitation.save()
+
+    console.log("Invitation accepted:", { id: user._id, email: user.email, role: user.role })
+
+    await recordAudit(req, {
+      action: "user.register",
+      entity: "User",
+      after: user,
+      actor: user,
+      metadata: { invitation: invitation._id },
+    })
+    await recordAudit(req, { action: "invitation.accept", entity: "Invitation", before, after: invitation, actor: user })
+
+    const challenge = getLoginChallenge(user)
+    if (challenge) {
+      return res.status(201).json({ _id: user._id, email: user.email, ...challenge })
+    }
+
+    res.status(201).json(await completeLogin(user, req))
+  } catch (error) {
+    logError("acceptInvitation", error)
+
+    // Two accept requests for the same invitation raced each other
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "An account with this email already exists" })
+    }
+
+    res.status(500).json({
+      message: "Server error accepting invitation",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
 // @desc    Auth user & get token
 // @route   POST /api/auth/login
 // @access  Public
@@ -128,26 +262,55 @@ export const loginUser = async (req, res) => {
       })
     }
 
+    if (rejectThrottledLogin(user, res)) {
+      return
+    }
+
     // Check password
     const isMatch = await bcrypt.compare(password, user.password)
 
     if (!isMatch) {
       console.log("Login failed: Password mismatch for user:", user.email)
+
+      if (await handleFailedLogin(user, req)) {
+        return res.status(423).json({
+          message: "Too many failed attempts. Your account has been temporarily locked and the owner has been notified.",
+          locked: true,
+        })
+      }
+
       return res.status(401).json({ message: "Invalid email or password" })
     }
 
-    const token = generateToken(user)
+    if (!user.isActive) {
+      console.log("Login failed: Account disabled for user:", user.email)
+      return res.status(403).json({ message: "Your account has been disabled. Please contact an administrator." })
+    }
+
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        message: "An administrator has required a password reset. Please check your email for the reset link.",
+        passwordResetRequired: true,
+      })
+    }
+
+    if (needsEmailVerification(user)) {
+      return res.status(403).json({
+        message: "Please verify your email address before logging in. Check your inbox for the verification link.",
+        emailVerificationRequired: true,
+      })
+    }
+
+    // Accounts with 2FA (or whose role requires it) continue at /api/auth/2fa/verify or /api/auth/2fa/setup
+    const challenge = getLoginChallenge(user)
+    if (challenge) {
+      console.log("Password accepted, second factor needed for user:", user.email)
+      return res.json(challenge)
+    }
 
     console.log("User logged in successfully:", { id: user._id, email: user.email })
 
-    res.json({
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      settings: user.settings,
-      token,
-    })
+    res.json(await completeLogin(user, req))
   } catch (error) {
     logError("loginUser", error)
     res.status(500).json({
@@ -170,7 +333,7 @@ export const getUserProfile = async (req, res) => {
       return res.status(404).json({ message: "User not found" })
     }
 
-    res.json(user)
+    res.json({ ...user.toObject(), permissions: getPermissions(user.role) })
   } catch (error) {
     console.error("Get profile error:", error)
     res.status(500).json({ message: "Server error fetching profile" })
@@ -190,17 +353,42 @@ export const updateUserProfile = async (req, res) => {
       return res.status(404).json({ message: "User not found" })
     }
 
+    const before = snapshot(user)
+
     // Update fields
     if (req.body.name) user.name = req.body.name
-    if (req.body.email) user.email = req.body.email.toLowerCase().trim()
     if (req.body.avatar) user.avatar = req.body.avatar
     if (req.body.isOAuthUser !== undefined) user.isOAuthUser = req.body.isOAuthUser
 
+    // A new email address only replaces the current one after it has been verified
+    const newEmail = req.body.email?.toLowerCase().trim()
+    let verificationSentTo = null
+
+    if (newEmail && newEmail !== user.email) {
+      if (await User.exists({ email: newEmail })) {
+        return res.status(400).json({ message: "This email address is already in use" })
+      }
+
+      user.pendingEmail = newEmail
+      verificationSentTo = newEmail
+    }
+
     // Save user
     await user.save()
 
-    // Create a new token with updated user info
-    const token = generateToken(user)
+    await recordAudit(req, { action: "user.updateProfile", entity: "User", before, after: user })
+
+    if (verificationSentTo) {
+      try {
+        await sendEmailVerification(user, verificationSentTo)
+      } catch (emailError) {
+        console.error("Error sending verification email:", emailError)
+        verificationSentTo = null
+      }
+    }
+
+    // Create a new token with updated user info for the current session
+    const token = generateAccessToken(user, req.user.sessionId)
 
     res.json({
       _id: user._id,
@@ -210,6 +398,10 @@ export const updateUserProfile = async (req, res) => {
       avatar: user.avatar,
       isOAuthUser: user.isOAuthUser,
       settings: user.settings,
+      pendingEmail: user.pendingEmail,
+      ...(verificationSentTo && {
+        message: `We sent a verification link to ${verificationSentTo}. Your email will change once it is verified`,
+      }),
       token,
     })
   } catch (error) {
@@ -227,7 +419,7 @@ export const updateUserPassword = async (req, res) => {
 
     console.log("Update password request received for user ID:", req.user.id)
 
-    const user = await User.findById(req.user.id)
+    const user = await User.findById(req.user.id).select("+passwordHistory")
 
     if (!user) {
       return res.status(404).json({ message: "User not found" })
@@ -240,10 +432,21 @@ export const updateUserPassword = async (req, res) => {
       return res.status(400).json({ message: "Current password is incorrect" })
     }
 
+    const passwordErrors = await checkPasswordPolicy(newPassword, user)
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: passwordErrors[0], passwordErrors })
+    }
+
     // Update password
+    const before = snapshot(user)
     user.password = newPassword
     await user.save()
 
+    await recordAudit(req, { action: "user.changePassword", entity: "User", before, after: user })
+
+    // Sign out every other device; the session that changed the password stays signed in
+    await Session.revokeAllForUser(user._id, "password-change", { except: req.user.sessionId })
+
     res.json({ message: "Password updated successfully" })
   } catch (error) {
     console.error("Update password error:", error)
@@ -264,6 +467,8 @@ export const updateUserSettings = async (req, res) => {
       return res.status(404).json({ message: "User not found" })
     }
 
+    const before = snapshot(user)
+
     // Update settings if provided
     if (req.body.settings) {
       // Initialize settings object if it doesn't exist
@@ -319,6 +524,8 @@ export const updateUserSettings = async (req, res) => {
     // Save user
     await user.save()
 
+    await recordAudit(req, { action: "user.updateSettings", entity: "User", before, after: user })
+
     res.json({
       settings: user.settings,
       message: "Settings updated successfully",
@@ -329,3 +536,208 @@ export const updateUserSettings = async (req, res) => {
   }
 }
 
+
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+export const refreshSession = async (req, res) => {
+  try {
+    const rotated = await rotateRefreshToken(req.body.refreshToken, req)
+
+    if (!rotated) {
+      return res.status(401).json({ message: "Refresh token is invalid or has expired. Please log in again" })
+    }
+
+    const { session, refreshToken } = rotated
+    const user = await User.findById(session.user)
+
+    if (!user || !user.isActive || user.passwordResetRequired) {
+      await session.revoke("account-unavailable")
+      return res.status(401).json({ message: "Your account is not available. Please log in again" })
+    }
+
+    // 2FA became mandatory for this role after the session started - the user has to log in again and enroll
+    if (isTwoFactorRequired(user.role) && !user.twoFactor?.enabled) {
+      await session.revoke("two-factor-required")
+      return res.status(401).json({ message: "Two-factor authentication is required. Please log in again" })
+    }
+
+    res.json({
+      token: generateAccessToken(user, session._id),
+      refreshToken,
+    })
+  } catch (error) {
+    logError("refreshSession", error)
+    res.status(500).json({ message: "Server error refreshing session" })
+  }
+}
+
+// @desc    Log out of the current device by revoking its session
+// @route   POST /api/auth/logout
+// @access  Public (refresh token)
+export const logoutUser = async (req, res) => {
+  try {
+    const session = await findSessionByRefreshToken(req.body.refreshToken)
+
+    // Logging out with an unknown or already revoked token is not an error
+    if (session) {
+      await session.revoke("logout")
+      await recordAudit(req, {
+        action: "user.logout",
+        entity: "User",
+        entityId: session.user,
+        actor: { _id: session.user },
+        metadata: { session: session._id },
+      })
+    }
+
+    res.json({ message: "Logged out successfully" })
+  } catch (error) {
+    logError("logoutUser", error)
+    res.status(500).json({ message: "Server error during logout" })
+  }
+}
+
+// @desc    Sign out of every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAllDevices = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, "logout-all")
+
+    await recordAudit(req, {
+      action: "user.logoutAll",
+      entity: "User",
+      entityId: req.user.id,
+      metadata: { revokedSessions: result.modifiedCount },
+    })
+
+    res.json({ message: "Signed out of all devices", revokedSessions: result.modifiedCount })
+  } catch (error) {
+    logError("logoutAllDevices", error)
+    res.status(500).json({ message: "Server error signing out of all devices" })
+  }
+}
+
+// @desc    List the signed-in user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.find(Session.activeFilter(req.user.id)).sort({ lastUsedAt: -1 })
+
+    res.json(sessions.map((session) => session.toSummary(req.user.sessionId)))
+  } catch (error) {
+    console.error("Get sessions error:", error)
+    res.status(500).json({ message: "Server error fetching sessions" })
+  }
+}
+
+// @desc    Revoke one of the signed-in user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeMySession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, ...Session.activeFilter(req.user.id) })
+
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" })
+    }
+
+    await session.revoke("revoked-by-user")
+
+    await recordAudit(req, {
+      action: "user.revokeSession",
+      entity: "User",
+      entityId: req.user.id,
+      metadata: { session: session._id, device: session.device },
+    })
+
+    res.json({ message: "Session revoked successfully", current: String(session._id) === String(req.user.sessionId) })
+  } catch (error) {
+    console.error("Revoke session error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Session not found" })
+    }
+
+    res.status(500).json({ message: "Server error revoking session" })
+  }
+}
+
+// @desc    Confirm an email address from a verification link
+// @route   POST /api/auth/verify-email
+// @access  Public (verification token)
+export const verifyEmail = async (req, res) => {
+  try {
+    const decoded = verifyEmailVerificationToken(req.body.token)
+    const user = decoded && (await User.findById(decoded.id))
+
+    if (!user) {
+      return res.status(400).json({ message: "Verification link is invalid or has expired" })
+    }
+
+    const before = snapshot(user)
+
+    if (user.pendingEmail && user.pendingEmail === decoded.email) {
+      // Someone may have registered the address since the change was requested
+      if (await User.exists({ email: decoded.email, _id: { $ne: user._id } })) {
+        return res.status(400).json({ message: "This email address is already in use" })
+      }
+
+      user.email = user.pendingEmail
+      user.pendingEmail = undefined
+    } else if (user.email !== decoded.email) {
+      return res.status(400).json({ message: "Verification link is no longer valid" })
+    } else if (user.emailVerified !== false) {
+      return res.json({ message: "Email address is already verified" })
+    }
+
+    user.emailVerified = true
+    user.emailVerifiedAt = Date.now()
+    await user.save()
+
+    await recordAudit(req, { action: "user.verifyEmail", entity: "User", before, after: user, actor: user })
+
+    res.json({ message: "Email address verified successfully", email: user.email })
+  } catch (error) {
+    logError("verifyEmail", error)
+    res.status(500).json({ message: "Server error verifying email" })
+  }
+}
+
+// @desc    Send a new verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public
+export const resendVerification = async (req, res) => {
+  // The same answer is given whether or not the address belongs to an account
+  const response = { message: "If this address needs verification, a new link has been sent" }
+
+  try {
+    const email = String(req.body.email || "")
+      .toLowerCase()
+      .trim()
+
+    if (!email) {
+      return res.status(400).json({ message: "Please provide an email address" })
+    }
+
+    const user = await User.findOne({ $or: [{ email, emailVerified: false }, { pendingEmail: email }] })
+
+    if (!user) {
+      return res.json(response)
+    }
+
+    // A link was sent moments ago - skip sending without saying so, which would reveal the address is registered
+    if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt < RESEND_INTERVAL_MS) {
+      return res.json(response)
+    }
+
+    await sendEmailVerification(user, email)
+
+    res.json(response)
+  } catch (error) {
+    logError("resendVerification", error)
+    res.status(500).json({ message: "Failed to send email. Please try again later." })
+  }
+}
@@ -0,0 +1,205 @@
+import Invitation from "../models/invitation.js"
+import User from "../models/user.js"
+import { ROLES, ROLE_NAMES, BOOTSTRAP_ROLE } from "../utils/permissions.js"
+import { recordAudit, snapshot } from "../utils/audit.js"
+import { sendInvitationEmail } from "../utils/mailer.js"
+import { findUnknownUnits } from "../utils/alumniQuery.js"
+
+const INVITE_EXPIRY_DAYS = Number.parseInt(process.env.INVITE_EXPIRY_DAYS) || 7
+const INVITE_EXPIRY_MS = INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+const sendInvite = (invitation, token, req) =>
+  sendInvitationEmail(invitation.email, token, {
+    roleLabel: ROLES[invitation.role].label,
+    invitedByName: req.user.name,
+    expiresIn: `${INVITE_EXPIRY_DAYS} days`,
+  })
+
+// @desc    List staff invitations
+// @route   GET /api/users/invitations?status=pending|accepted|revoked|expired
+// @access  Private (users:invite)
+export const getInvitations = async (req, res) => {
+  try {
+    const now = new Date()
+    const statusFilters = {
+      pending: Invitation.pendingFilter(),
+      accepted: { acceptedAt: { $ne: null } },
+      revoked: { revokedAt: { $ne: null } },
+      expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } },
+    }
+
+    if (req.query.status && !statusFilters[req.query.status]) {
+      return res.status(400).json({ message: `Invalid status. Use one of: ${Object.keys(statusFilters).join(", ")}` })
+    }
+
+    const invitations = await Invitation.find(req.query.status ? statusFilters[req.query.status] : {})
+      .populate("invitedBy", "name email")
+      .populate("acceptedUser", "name email")
+      .sort({ createdAt: -1 })
+
+    res.json(invitations)
+  } catch (error) {
+    console.error("Error fetching invitations:", error)
+    res.status(500).json({ message: "Server error fetching invitations" })
+  }
+}
+
+// @desc    Invite a staff member by email with a pre-assigned role and academic units
+// @route   POST /api/users/invitations
+// @access  Private (users:invite)
+export const createInvitation = async (req, res) => {
+  try {
+    const { name, role, academicUnits = [] } = req.body
+    const email = String(req.body.email || "")
+      .toLowerCase()
+      .trim()
+
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({ message: "Please provide a valid email" })
+    }
+
+    if (!ROLE_NAMES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Use one of: ${ROLE_NAMES.join(", ")}` })
+    }
+
+    if (role === BOOTSTRAP_ROLE && req.user.role !== BOOTSTRAP_ROLE) {
+      return res.status(403).json({ message: "Only a super admin can invite another super admin" })
+    }
+
+    if (!Array.isArray(academicUnits) || academicUnits.some((unit) => typeof unit !== "string" || !unit.trim())) {
+      return res.status(400).json({ message: "Please provide academicUnits as an array of academic unit names" })
+    }
+
+    const requestedUnits = [...new Set(academicUnits.map((unit) => unit.trim()))]
+    const unknownUnits = await findUnknownUnits(requestedUnits)
+
+    if (unknownUnits.length > 0) {
+      return res.status(400).json({ message: `Unknown academic units: ${unknownUnits.join(", ")}` })
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: "A user with this email already exists" })
+    }
+
+    if (await Invitation.exists({ email, ...Invitation.pendingFilter() })) {
+      return res.status(400).json({ message: "A pending invitation already exists for this email. Resend it instead" })
+    }
+
+    const invitation = new Invitation({
+      email,
+      name,
+      role,
+      academicUnits: requestedUnits,
+      invitedBy: req.user.id,
+    })
+    const token = invitation.issueToken(INVITE_EXPIRY_MS)
+    await invitation.save()
+
+    console.log(`Invitation sent to ${email} as ${role} by ${req.user.email}`)
+
+    await recordAudit(req, { action: "invitation.create", entity: "Invitation", after: invitation })
+
+    let emailSent = true
+    try {
+      emailSent = (await sendInvite(invitation, token, req)).status === "sent"
+    } catch (emailError) {
+      console.error("Error sending invitation email:", emailError)
+      emailSent = false
+    }
+
+    res.status(201).json({
+      message: emailSent
+        ? "Invitation sent successfully"
+        : "Invitation created, but the email could not be sent yet. It will be retried automatically, or you can resend it",
+      emailSent,
+      invitation,
+    })
+  } catch (error) {
+    console.error("Create invitation error:", error)
+    res.status(500).json({ message: "Server error creating invitation" })
+  }
+}
+
+// @desc    Resend an invitation with a new link and a fresh expiry
+// @route   POST /api/users/invitations/:id/resend
+// @access  Private (users:invite)
+export const resendInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id)
+
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" })
+    }
+
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({ message: `Invitation has already been ${invitation.status}` })
+    }
+
+    // Issuing a new token invalidates the link in the previous email
+    const before = snapshot(invitation)
+    const token = invitation.issueToken(INVITE_EXPIRY_MS)
+    await invitation.save()
+
+    await recordAudit(req, { action: "invitation.resend", entity: "Invitation", before, after: invitation })
+
+    let emailSent = true
+    try {
+      emailSent = (await sendInvite(invitation, token, req)).status === "sent"
+    } catch (emailError) {
+      console.error("Error resending invitation email:", emailError)
+      return res.status(500).json({ message: "Failed to send email. Please try again later." })
+    }
+
+    res.json({
+      message: emailSent
+        ? "Invitation resent successfully"
+        : "Invitation renewed, but the email could not be sent yet. It will be retried automatically",
+      emailSent,
+      invitation,
+    })
+  } catch (error) {
+    console.error("Resend invitation error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Invitation not found" })
+    }
+
+    res.status(500).json({ message: "Server error resending invitation" })
+  }
+}
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/users/invitations/:id
+// @access  Private (users:invite)
+export const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id)
+
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" })
+    }
+
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({ message: `Invitation has already been ${invitation.status}` })
+    }
+
+    const before = snapshot(invitation)
+    invitation.revokedAt = Date.now()
+    invitation.revokedBy = req.user.id
+    await invitation.save()
+
+    await recordAudit(req, { action: "invitation.revoke", entity: "Invitation", before, after: invitation })
+
+    res.json({ message: "Invitation revoked successfully", invitation })
+  } catch (error) {
+    console.error("Revoke invitation error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Invitation not found" })
+    }
+
+    res.status(500).json({ message: "Server error revoking invitation" })
+  }
+}
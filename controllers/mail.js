@@ -0,0 +1,114 @@
+import OutboxEmail from "../models/outboxEmail.js"
+import { processOutbox, retryOutboxEmail } from "../utils/mailer.js"
+import { getTransportName } from "../utils/mailTransports.js"
+import { recordAudit } from "../utils/audit.js"
+
+const STATUSES = ["pending", "sending", "sent", "failed"]
+
+// @desc    List outgoing emails with their delivery status
+// @route   GET /api/mail/outbox?status=&template=&to=
+// @access  Private (mail:manage)
+export const getOutbox = async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Math.min(Number.parseInt(req.query.limit) || 20, 100) // Maximum 100 entries per page
+    const skip = (page - 1) * limit
+
+    const filter = {}
+
+    if (req.query.status) {
+      if (!STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ message: `Invalid status. Use one of: ${STATUSES.join(", ")}` })
+      }
+      filter.status = req.query.status
+    }
+
+    if (req.query.template) {
+      filter.template = req.query.template
+    }
+
+    if (req.query.to) {
+      filter.to = String(req.query.to).toLowerCase().trim()
+    }
+
+    const [total, messages, counts] = await Promise.all([
+      OutboxEmail.countDocuments(filter),
+      OutboxEmail.find(filter).select("-html -text").sort({ createdAt: -1 }).skip(skip).limit(limit),
+      OutboxEmail.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ])
+
+    res.json({
+      data: messages.map((message) => message.toSummary()),
+      transport: getTransportName(),
+      counts: Object.fromEntries(STATUSES.map((status) => [status, counts.find((c) => c._id === status)?.count || 0])),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching outbox:", error)
+    res.status(500).json({ message: "Server error fetching outbox" })
+  }
+}
+
+// @desc    Retry every queued email that is due now instead of waiting for the background processor
+// @route   POST /api/mail/outbox/process
+// @access  Private (mail:manage)
+export const processOutboxNow = async (req, res) => {
+  try {
+    const result = await processOutbox()
+    res.json({ message: `Processed ${result.processed} queued email(s)`, ...result })
+  } catch (error) {
+    console.error("Process outbox error:", error)
+    res.status(500).json({ message: "Server error processing outbox" })
+  }
+}
+
+// @desc    Retry an email that failed permanently
+// @route   POST /api/mail/outbox/:id/retry
+// @access  Private (mail:manage)
+export const retryOutboxMessage = async (req, res) => {
+  try {
+    const existing = await OutboxEmail.findById(req.params.id)
+
+    if (!existing) {
+      return res.status(404).json({ message: "Email not found" })
+    }
+
+    if (existing.status !== "failed") {
+      return res.status(400).json({ message: "Only failed emails can be retried" })
+    }
+
+    // Bodies are removed when delivery fails for good, so the email has to be requested again
+    if (!existing.html && !existing.text) {
+      return res.status(400).json({
+        message: "This email's content is no longer stored. Ask the recipient to request it again, e.g. a new reset link",
+      })
+    }
+
+    const message = await retryOutboxEmail(existing._id)
+
+    await recordAudit(req, {
+      action: "mail.retry",
+      entity: "OutboxEmail",
+      entityId: existing._id,
+      metadata: { to: existing.to, template: existing.template, status: message?.status },
+    })
+
+    res.json({
+      message: message?.status === "sent" ? "Email sent successfully" : "Email could not be sent and has been queued again",
+      email: (message || existing).toSummary(),
+    })
+  } catch (error) {
+    console.error("Retry email error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Email not found" })
+    }
+
+    res.status(500).json({ message: "Server error retrying email" })
+  }
+}
@@ -0,0 +1,491 @@
+import axios from "axios"
+import { v2 as cloudinary } from "cloudinary"
+import User from "../models/user.js"
+import Session from "../models/session.js"
+import { recordAudit, snapshot } from "../utils/audit.js"
+import { isSelfRegistrationOpen, REGISTRATION_CLOSED_MESSAGE } from "../utils/registration.js"
+import { issueTokens } from "../utils/tokens.js"
+import { getLoginChallenge } from "../utils/twoFactor.js"
+import { needsEmailVerification, sendEmailVerification } from "../utils/emailVerification.js"
+import { redirectAfterSsoLogin } from "../utils/ssoLogin.js"
+import { getSamlLabel, isSamlEnabled } from "../utils/saml.js"
+import {
+  clearOAuthBindingCookie,
+  consumeOAuthState,
+  createAuthorizationUrl,
+  createLinkToken,
+  createSignupToken,
+  createStartUrl,
+  fetchProviderProfile,
+  getOAuthBindingCookie,
+  getProvider,
+  listProviders,
+  setOAuthBindingCookie,
+  verifyLinkToken,
+  verifySignupToken,
+  verifyStartTicket,
+} from "../utils/oauthProviders.js"
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL}${path}`
+
+// Where the linking flow sends the browser back to
+const linkRedirect = (query) => frontendUrl(`/settings/linked-accounts?${new URLSearchParams(query)}`)
+
+// Function to upload a provider's profile picture to Cloudinary
+const uploadOAuthAvatarToCloudinary = async (avatarUrl, userId, providerId) => {
+  try {
+    if (!avatarUrl) return null
+
+    if (process.env.NODE_ENV === "development") {
+      console.log(`Starting ${providerId} avatar upload to Cloudinary for user:`, userId)
+      console.log("Avatar URL:", avatarUrl)
+    }
+
+    // Download the image from the provider
+    const response = await axios.get(avatarUrl, {
+      responseType: "arraybuffer",
+      timeout: 10000,
+    })
+
+    if (process.env.NODE_ENV === "development") {
+      console.log("Downloaded avatar, size:", response.data.length, "bytes")
+    }
+
+    // Convert to base64
+    const buffer = Buffer.from(response.data, "binary")
+    const base64Image = buffer.toString("base64")
+    const dataURI = `data:${response.headers["content-type"]};base64,${base64Image}`
+
+    // Upload to Cloudinary
+    const uploadResult = await cloudinary.uploader.upload(dataURI, {
+      folder: "hsst-alumni-avatars",
+      public_id: `${providerId}_avatar_${userId}`,
+      overwrite: true,
+      transformation: [{ width: 400, height: 400, crop: "fill", gravity: "face" }],
+    })
+
+    if (process.env.NODE_ENV === "development") {
+      console.log("Successfully uploaded to Cloudinary:", uploadResult.secure_url)
+    }
+
+    return uploadResult.secure_url
+  } catch (error) {
+    if (process.env.NODE_ENV === "development") {
+      console.error("Error uploading avatar to Cloudinary:", error.message)
+    }
+    // Return original URL if Cloudinary upload fails
+    return avatarUrl
+  }
+}
+
+// Public profile fields sent to the frontend after an OAuth login
+const oauthUserData = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  avatar: user.avatar,
+  isOAuthUser: user.isOAuthUser,
+  settings: user.settings,
+})
+
+/**
+ * Link a provider account to a user, take over the profile picture if the user has none, and audit it.
+ * Does nothing but refresh lastUsedAt when the account is already linked.
+ */
+const linkProviderAccount = async (req, user, provider, profile, actor = user) => {
+  const alreadyLinked = user.linkedAccounts.some(
+    (linked) => linked.provider === provider.id && linked.subject === profile.subject,
+  )
+  const before = snapshot(user)
+
+  user.linkAccount({ provider: provider.id, subject: profile.subject, email: profile.email })
+
+  if (!alreadyLinked && !user.avatar && profile.picture) {
+    user.avatar = await uploadOAuthAvatarToCloudinary(profile.picture, user._id, provider.id)
+  }
+
+  await user.save()
+
+  if (!alreadyLinked) {
+    await recordAudit(req, {
+      action: "user.linkOAuth",
+      entity: "User",
+      before,
+      after: user,
+      actor,
+      metadata: { provider: provider.id },
+    })
+  }
+}
+
+// @desc    List the OAuth/OIDC providers users can sign in with, and SAML single sign-on if configured
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+export const getOAuthProviders = (req, res) => {
+  res.json({
+    providers: listProviders(),
+    saml: isSamlEnabled() ? { label: getSamlLabel(), loginUrl: "/api/auth/saml/login" } : null,
+  })
+}
+
+// @desc    Get the URL that starts a sign-in with the provider. The frontend navigates the browser to it
+// @route   GET /api/auth/oauth/:provider (GET /api/auth/google for Google)
+// @access  Public
+export const startOAuthLogin = (req, res) => {
+  const provider = getProvider(req.params.provider)
+
+  if (!provider) {
+    return res.status(404).json({ message: "Sign-in provider not found" })
+  }
+
+  res.json({ authUrl: createStartUrl(provider) })
+}
+
+// @desc    Get the URL that starts linking the provider to the signed-in user's account
+// @route   POST /api/auth/oauth/:provider/link
+// @access  Private
+export const startOAuthLink = (req, res) => {
+  const provider = getProvider(req.params.provider)
+
+  if (!provider) {
+    return res.status(404).json({ message: "Sign-in provider not found" })
+  }
+
+  res.json({ authUrl: createStartUrl(provider, { userId: req.user.id, sessionId: req.user.sessionId }) })
+}
+
+// @desc    Browser navigation that sets the binding cookie and redirects to the provider's sign-in page
+// @route   GET /api/auth/oauth/:provider/start (?ticket= from POST /oauth/:provider/link when linking)
+// @access  Public
+export const startOAuthRedirect = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider)
+
+    if (!provider) {
+      return res.redirect(frontendUrl("/login?error=oauth_failed"))
+    }
+
+    let link = null
+    if (req.query.ticket) {
+      link = verifyStartTicket(req.query.ticket, provider.id)
+
+      if (!link) {
+        return res.redirect(linkRedirect({ error: "session_expired" }))
+      }
+    }
+
+    const binding = setOAuthBindingCookie(res)
+    const authUrl = await createAuthorizationUrl(
+      provider,
+      link ? { binding, mode: "link", userId: link.user, sessionId: link.session } : { binding },
+    )
+
+    res.redirect(authUrl)
+  } catch (error) {
+    console.error("OAuth start error:", error)
+    res.redirect(frontendUrl("/login?error=oauth_failed"))
+  }
+}
+
+// The user and session a link was started for, if both are still active
+const findLinkingUser = async (userId, sessionId) => {
+  const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null })
+  const user = session && (await User.findById(userId))
+  return user?.isActive ? user : null
+}
+
+// Second half of the linking flow, run from the provider callback. The provider account is only linked once the
+// frontend confirms with the access token of the user who started it (see confirmOAuthLink).
+const completeOAuthLink = async (req, res, provider, profile, request) => {
+  if (!(await findLinkingUser(request.user, request.session))) {
+    return res.redirect(linkRedirect({ error: "session_expired" }))
+  }
+
+  res.redirect(linkRedirect({ provider: provider.id, linkToken: createLinkToken(provider, request, profile) }))
+}
+
+// @desc    Link the provider account from a link token to the signed-in user
+// @route   POST /api/auth/oauth/:provider/link/complete
+// @access  Private
+export const confirmOAuthLink = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider)
+    const link = provider && verifyLinkToken(req.body.linkToken, provider.id)
+
+    if (!link) {
+      return res.status(400).json({ message: "Linking has expired. Please try again" })
+    }
+
+    // Only the user and session that started the linking may finish it
+    if (link.user !== String(req.user.id) || link.session !== String(req.user.sessionId)) {
+      return res.status(403).json({ message: "This sign-in was not started from your session. Please try again" })
+    }
+
+    const user = await findLinkingUser(req.user.id, req.user.sessionId)
+
+    if (!user) {
+      return res.status(401).json({ message: "Session has expired or was revoked. Please log in again" })
+    }
+
+    const owner = await User.findByLinkedAccount(provider.id, link.subject)
+    if (owner && String(owner._id) !== String(user._id)) {
+      return res.status(409).json({ message: "This account is already linked to another user", error: "already_linked" })
+    }
+
+    await linkProviderAccount(req, user, provider, link)
+
+    if (process.env.NODE_ENV === "development") {
+      console.log(`${provider.label} account linked for user:`, user.email)
+    }
+
+    res.json({ message: `${provider.label} account linked`, provider: provider.id })
+  } catch (error) {
+    console.error("Confirm OAuth link error:", error)
+    res.status(500).json({ message: "Server error linking sign-in provider" })
+  }
+}
+
+// @desc    Provider redirect after sign-in - logs the user in or finishes linking
+// @route   GET /api/auth/oauth/:provider/callback (GET /api/auth/google/callback for Google)
+// @access  Public
+export const oauthCallback = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider)
+
+    if (req.query.error) {
+      console.log(`${provider?.label || req.params.provider} sign-in was not completed:`, req.query.error)
+    }
+
+    // The state must belong to a sign-in started in this browser, for this provider, and not have been used before
+    const request = provider && (await consumeOAuthState(req.query.state, provider.id, getOAuthBindingCookie(req)))
+    clearOAuthBindingCookie(res)
+
+    if (!request || !req.query.code) {
+      return res.redirect(frontendUrl("/login?error=oauth_failed"))
+    }
+
+    const profile = await fetchProviderProfile(provider, req.query.code, request)
+
+    if (process.env.NODE_ENV === "development") {
+      console.log(`${provider.label} user data received:`, {
+        name: profile.name,
+        email: profile.email,
+        emailVerified: profile.emailVerified,
+        hasPicture: !!profile.picture,
+      })
+    }
+
+    if (request.mode === "link") {
+      return completeOAuthLink(req, res, provider, profile, request)
+    }
+
+    // Accounts are matched by the linked provider account first. An unlinked account is only matched
+    // by email when the provider has verified the address, otherwise anyone could claim it.
+    let existingUser = await User.findByLinkedAccount(provider.id, profile.subject)
+    if (!existingUser && profile.email && profile.emailVerified) {
+      existingUser = await User.findOne({ email: profile.email })
+    }
+
+    if (existingUser) {
+      await linkProviderAccount(req, existingUser, provider, profile)
+
+      // The provider has confirmed the user owns this address
+      if (existingUser.emailVerified === false && profile.emailVerified && existingUser.email === profile.email) {
+        existingUser.emailVerified = true
+        existingUser.emailVerifiedAt = Date.now()
+        await existingUser.save()
+      }
+
+      return redirectAfterSsoLogin(req, res, existingUser)
+    }
+
+    if (!(await isSelfRegistrationOpen())) {
+      return res.redirect(frontendUrl("/login?error=registration_closed"))
+    }
+
+    if (!profile.email) {
+      return res.redirect(frontendUrl("/login?error=email_missing"))
+    }
+
+    // New OAuth users finish signing up on the frontend, which sends the signed token to /verify-oauth
+    const signupToken = createSignupToken(provider, profile)
+
+    res.redirect(
+      frontendUrl(
+        `/verify-otp?email=${encodeURIComponent(profile.email)}&oauth=true&signupToken=${encodeURIComponent(signupToken)}`,
+      ),
+    )
+  } catch (error) {
+    console.error("OAuth callback error:", error)
+    res.redirect(frontendUrl("/login?error=oauth_failed"))
+  }
+}
+
+// @desc    Create the account for a new OAuth user after the frontend's verification step
+// @route   POST /api/auth/verify-oauth
+// @access  Public (signup token from the OAuth callback)
+export const verifyOAuth = async (req, res) => {
+  try {
+    // Only the identity the callback verified with the provider is used; profile data sent by
+    // the client (the old oauthData field) is ignored
+    const identity = verifySignupToken(req.body.signupToken)
+    const provider = identity && getProvider(identity.provider)
+
+    if (!provider) {
+      return res.status(401).json({ message: "Sign-in has expired. Please sign in again" })
+    }
+
+    // The token is only good for creating an account, so replaying it cannot be used to log in
+    if ((await User.findByLinkedAccount(provider.id, identity.subject)) || (await User.exists({ email: identity.email }))) {
+      return res.status(409).json({ message: "An account already exists for this email address. Please sign in" })
+    }
+
+    if (!(await isSelfRegistrationOpen())) {
+      return res.status(403).json({ message: REGISTRATION_CLOSED_MESSAGE })
+    }
+
+    // Create new user from the verified identity - the role is always decided here, never by the client
+    const newUser = new User({
+      name: identity.name || identity.email,
+      email: identity.email,
+      isOAuthUser: true,
+      role: await User.roleForNewAccount(),
+      emailVerified: identity.emailVerified,
+      emailVerifiedAt: identity.emailVerified ? Date.now() : undefined,
+    })
+    newUser.linkAccount({ provider: provider.id, subject: identity.subject, email: identity.email })
+
+    if (identity.picture) {
+      newUser.avatar = await uploadOAuthAvatarToCloudinary(identity.picture, newUser._id, provider.id)
+    }
+
+    await newUser.save()
+
+    await recordAudit(req, {
+      action: "user.register",
+      entity: "User",
+      after: newUser,
+      actor: newUser,
+      metadata: { provider: provider.id },
+    })
+
+    // Providers that do not vouch for the address get the same verification email as a normal sign-up
+    if (needsEmailVerification(newUser)) {
+      let verificationEmailSent = true
+      try {
+        verificationEmailSent = (await sendEmailVerification(newUser)).status === "sent"
+      } catch (emailError) {
+        console.error("Error sending verification email:", emailError)
+        verificationEmailSent = false
+      }
+
+      return res.status(201).json({
+        _id: newUser._id,
+        email: newUser.email,
+        emailVerificationRequired: true,
+        verificationEmailSent,
+        message: "Account created. Please check your email to verify your address before logging in",
+      })
+    }
+
+    const challenge = getLoginChallenge(newUser)
+    if (challenge) {
+      return res.status(201).json(challenge)
+    }
+
+    await newUser.recordLogin(req.ip)
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(newUser, req)
+    const responseData = { ...oauthUserData(newUser), token, refreshToken }
+
+    if (process.env.NODE_ENV === "development") {
+      console.log("OAuth sign-up successful:", { id: newUser._id, email: newUser.email, provider: provider.id })
+    }
+    res.status(201).json(responseData)
+  } catch (error) {
+    console.error("OAuth verification error:", error)
+
+    // A parallel request with the same token created the account first
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "An account already exists for this email address. Please sign in" })
+    }
+
+    res.status(500).json({ message: "Failed to verify OAuth user" })
+  }
+}
+
+// @desc    List the provider accounts linked to the signed-in user
+// @route   GET /api/auth/linked-accounts
+// @access  Private
+export const getLinkedAccounts = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.json({
+      hasPassword: Boolean(user.password),
+      accounts: [...listProviders(), ...(isSamlEnabled() ? [{ id: "saml", label: getSamlLabel() }] : [])].map(({ id, label }) => {
+        const linked = user.getLinkedAccount(id)
+        return {
+          provider: id,
+          label,
+          linked: Boolean(linked),
+          email: linked?.email,
+          linkedAt: linked?.linkedAt,
+          lastUsedAt: linked?.lastUsedAt,
+        }
+      }),
+    })
+  } catch (error) {
+    console.error("Get linked accounts error:", error)
+    res.status(500).json({ message: "Server error fetching linked accounts" })
+  }
+}
+
+// @desc    Unlink a provider account from the signed-in user
+// @route   DELETE /api/auth/oauth/:provider/link
+// @access  Private
+export const unlinkOAuthAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (!user.getLinkedAccount(req.params.provider)) {
+      return res.status(404).json({ message: "This sign-in provider is not linked to your account" })
+    }
+
+    // Keep at least one way to sign in
+    const otherLinks = user.linkedAccounts.filter((linked) => linked.provider !== req.params.provider).length
+    const legacyGoogleLink = req.params.provider !== "google" && user.googleId ? 1 : 0
+    if (!user.password && otherLinks + legacyGoogleLink === 0) {
+      return res.status(400).json({
+        message: "Set a password before unlinking your only sign-in provider, otherwise you could not sign in again",
+      })
+    }
+
+    const before = snapshot(user)
+    user.unlinkAccount(req.params.provider)
+    await user.save()
+
+    await recordAudit(req, {
+      action: "user.unlinkOAuth",
+      entity: "User",
+      before,
+      after: user,
+      metadata: { provider: req.params.provider },
+    })
+
+    res.json({ message: "Sign-in provider unlinked" })
+  } catch (error) {
+    console.error("Unlink provider error:", error)
+    res.status(500).json({ message: "Server error unlinking sign-in provider" })
+  }
+}
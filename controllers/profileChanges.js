@@ -0,0 +1,284 @@
+import Alumni from "../models/alumni.js"
+import AlumniAccount from "../models/alumniAccount.js"
+import ProfileChangeRequest from "../models/profileChangeRequest.js"
+import { NOT_DELETED, scopeAlumniFilter, unitScopeFilter } from "../utils/alumniQuery.js"
+import { getPath } from "../utils/alumniFields.js"
+import { HISTORY_LIST_NAMES, mergeHistoryEntries } from "../utils/alumniHistory.js"
+import { ALUMNI_EDITABLE_FIELDS } from "../utils/alumniPortal.js"
+import { syncDocumentVerification } from "../utils/documentVerification.js"
+import { recordAudit, snapshot } from "../utils/audit.js"
+import { sendNotificationEmail } from "../utils/mailer.js"
+
+const STATUSES = ["pending", "approved", "rejected", "withdrawn"]
+const MAX_COMMENT_LENGTH = 1000
+
+// Find a change request the reviewer may see, i.e. one for a record in their academic units
+const findScopedRequest = (req) => ProfileChangeRequest.findOne({ _id: req.params.id, ...unitScopeFilter(req.user) })
+
+// Let the alumnus know how their changes were reviewed. Failures are logged and do not affect the review.
+const notifyAlumnus = async (changeRequest, approved) => {
+  try {
+    const account = await AlumniAccount.findById(changeRequest.alumniAccount)
+    if (!account) return
+
+    await sendNotificationEmail(account.email, {
+      subject: approved ? "Your profile changes were approved" : "Your profile changes were not approved",
+      message: [
+        approved
+          ? "The alumni office has reviewed and approved the changes you submitted. They are now part of your alumni record."
+          : "The alumni office has reviewed the changes you submitted and could not approve them.",
+        ...(changeRequest.reviewComment ? [`Comment from the reviewer: ${changeRequest.reviewComment}`] : []),
+      ],
+      actionUrl: `${process.env.FRONTEND_URL}/alumni/profile`,
+      actionLabel: "View Your Profile",
+    })
+  } catch (error) {
+    console.error("Error notifying alumnus about change review:", error)
+  }
+}
+
+const readComment = (body) => String(body?.comment || "").trim()
+
+// @desc    List alumni-submitted change requests for review
+// @route   GET /api/profile-changes?status=pending&academicUnit=&page=&limit=
+// @access  Private (alumni:moderate)
+export const getChangeRequests = async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Math.min(Number.parseInt(req.query.limit) || 20, 100) // Maximum 100 requests per page
+    const skip = (page - 1) * limit
+
+    const status = req.query.status || "pending"
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid status. Use one of: ${STATUSES.join(", ")}` })
+    }
+
+    const requested = { status }
+    if (req.query.academicUnit && req.query.academicUnit !== "all") {
+      requested.academicUnit = String(req.query.academicUnit)
+    }
+    const filter = scopeAlumniFilter(requested, req.user)
+
+    const [total, changeRequests] = await Promise.all([
+      ProfileChangeRequest.countDocuments(filter),
+      ProfileChangeRequest.find(filter)
+        .populate("alumni", "name registrationNumber academicUnit program passingYear")
+        .populate("reviewedBy", "name email")
+        .select("-alumniAccount")
+        .sort({ createdAt: status === "pending" ? 1 : -1 }) // Oldest first while they wait for review
+        .skip(skip)
+        .limit(limit),
+    ])
+
+    res.json({
+      data: changeRequests,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching change requests:", error)
+    res.status(500).json({ message: "Server error fetching change requests" })
+  }
+}
+
+// @desc    Get a change request with the record's current value for every proposed field
+// @route   GET /api/profile-changes/:id
+// @access  Private (alumni:moderate)
+export const getChangeRequestById = async (req, res) => {
+  try {
+    const changeRequest = await findScopedRequest(req)
+      .populate("alumni", "name registrationNumber academicUnit program passingYear")
+      .populate("reviewedBy", "name email")
+      .select("-alumniAccount")
+
+    if (!changeRequest) {
+      return res.status(404).json({ message: "Change request not found" })
+    }
+
+    const record = await Alumni.findById(changeRequest.alumni?._id).lean()
+
+    res.json({
+      ...changeRequest.toObject(),
+      // current differs from before when staff edited the field after the alumnus submitted the change
+      changes: changeRequest.changes.map((change) => ({
+        ...change.toObject(),
+        current: record ? getPath(record, change.field) ?? "" : undefined,
+      })),
+    })
+  } catch (error) {
+    console.error("Error fetching change request:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Change request not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching change request" })
+  }
+}
+
+// @desc    Approve a change request and merge the proposed values into the alumni record
+// @route   POST /api/profile-changes/:id/approve
+// @access  Private (alumni:moderate)
+export const approveChangeRequest = async (req, res) => {
+  try {
+    const comment = readComment(req.body)
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ message: `comment must be at most ${MAX_COMMENT_LENGTH} characters` })
+    }
+
+    const changeRequest = await findScopedRequest(req)
+
+    if (!changeRequest) {
+      return res.status(404).json({ message: "Change request not found" })
+    }
+
+    if (changeRequest.status !== "pending") {
+      return res.status(400).json({ message: `Change request has already been ${changeRequest.status}` })
+    }
+
+    const alumni = await Alumni.findOne({ _id: changeRequest.alumni, ...NOT_DELETED })
+
+    if (!alumni) {
+      return res.status(400).json({ message: "The alumni record for this request no longer exists" })
+    }
+
+    // Requests submitted before employment and education became history lists cannot be merged any more
+    const outdated = changeRequest.changes.filter(({ field }) => !ALUMNI_EDITABLE_FIELDS.includes(field))
+    if (outdated.length > 0) {
+      return res.status(400).json({
+        message: "This request changes fields that can no longer be edited from the portal. Please reject it",
+        fields: outdated.map(({ field }) => field),
+      })
+    }
+
+    const before = snapshot(alumni)
+    changeRequest.changes.forEach(({ field, after }) => {
+      // History entries keep their uploaded documents, which alumni cannot change
+      alumni.set(
+        field,
+        HISTORY_LIST_NAMES.includes(field) ? mergeHistoryEntries(alumni.get(field), after, { keepDocuments: true }) : after,
+      )
+    })
+    syncDocumentVerification(before, alumni)
+    alumni.updatedAt = Date.now()
+    alumni.updatedBy = req.user.id
+    await alumni.validate()
+
+    // Claim the request before merging so two reviewers cannot both act on it
+    const claimed = await ProfileChangeRequest.findOneAndUpdate(
+      { _id: changeRequest._id, status: "pending" },
+      { status: "approved", reviewedBy: req.user.id, reviewedAt: Date.now(), reviewComment: comment, updatedAt: Date.now() },
+      { new: true },
+    )
+
+    if (!claimed) {
+      return res.status(409).json({ message: "Change request was reviewed by someone else in the meantime" })
+    }
+
+    try {
+      await alumni.save()
+    } catch (error) {
+      // Nothing was merged, so put the request back in the queue
+      await ProfileChangeRequest.updateOne(
+        { _id: claimed._id, status: "approved" },
+        { status: "pending", $unset: { reviewedBy: 1, reviewedAt: 1, reviewComment: 1 }, updatedAt: Date.now() },
+      ).catch((resetError) => console.error(`Failed to reset change request ${claimed._id} to pending:`, resetError))
+      throw error
+    }
+
+    await recordAudit(req, {
+      action: "alumni.update",
+      entity: "Alumni",
+      before,
+      after: alumni,
+      metadata: { source: "alumni-portal", changeRequest: claimed._id },
+    })
+    await recordAudit(req, {
+      action: "profileChange.approve",
+      entity: "ProfileChangeRequest",
+      entityId: claimed._id,
+      metadata: { alumni: alumni._id, comment },
+    })
+
+    console.log(`Change request ${claimed._id} approved by ${req.user.email}`)
+
+    await notifyAlumnus(claimed, true)
+
+    res.json({ message: "Changes approved and applied to the alumni record", changeRequest: claimed, alumni })
+  } catch (error) {
+    console.error("Approve change request error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Change request not found" })
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message })
+    }
+
+    res.status(500).json({ message: "Server error approving change request" })
+  }
+}
+
+// @desc    Reject a change request with a comment for the alumnus
+// @route   POST /api/profile-changes/:id/reject
+// @access  Private (alumni:moderate)
+export const rejectChangeRequest = async (req, res) => {
+  try {
+    const comment = readComment(req.body)
+
+    if (!comment) {
+      return res.status(400).json({ message: "Please provide a comment explaining why the changes were rejected" })
+    }
+
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ message: `comment must be at most ${MAX_COMMENT_LENGTH} characters` })
+    }
+
+    const changeRequest = await findScopedRequest(req)
+
+    if (!changeRequest) {
+      return res.status(404).json({ message: "Change request not found" })
+    }
+
+    if (changeRequest.status !== "pending") {
+      return res.status(400).json({ message: `Change request has already been ${changeRequest.status}` })
+    }
+
+    const rejected = await ProfileChangeRequest.findOneAndUpdate(
+      { _id: changeRequest._id, status: "pending" },
+      { status: "rejected", reviewedBy: req.user.id, reviewedAt: Date.now(), reviewComment: comment, updatedAt: Date.now() },
+      { new: true },
+    )
+
+    if (!rejected) {
+      return res.status(409).json({ message: "Change request was reviewed by someone else in the meantime" })
+    }
+
+    await recordAudit(req, {
+      action: "profileChange.reject",
+      entity: "ProfileChangeRequest",
+      before: changeRequest,
+      after: rejected,
+      metadata: { alumni: rejected.alumni },
+    })
+
+    console.log(`Change request ${rejected._id} rejected by ${req.user.email}`)
+
+    await notifyAlumnus(rejected, false)
+
+    res.json({ message: "Changes rejected", changeRequest: rejected })
+  } catch (error) {
+    console.error("Reject change request error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Change request not found" })
+    }
+
+    res.status(500).json({ message: "Server error rejecting change request" })
+  }
+}
@@ -0,0 +1,169 @@
+import User from "../models/user.js"
+import { recordAudit, snapshot } from "../utils/audit.js"
+import { findUnknownUnits } from "../utils/alumniQuery.js"
+import { BOOTSTRAP_ROLE } from "../utils/permissions.js"
+import { redirectAfterSsoLogin } from "../utils/ssoLogin.js"
+import {
+  getSamlLoginUrl,
+  getSamlMetadata,
+  isSamlAutoCreateEnabled,
+  isSamlEnabled,
+  validateSamlResponse,
+} from "../utils/saml.js"
+
+const SAML_PROVIDER = "saml"
+
+const loginError = (res, error) => res.redirect(`${process.env.FRONTEND_URL}/login?error=${error}`)
+
+// Units the IdP sent that do not exist here are dropped rather than stored on the user
+const knownUnits = async (units) => {
+  const unknown = await findUnknownUnits(units)
+  if (unknown.length > 0) {
+    console.warn("Ignoring unknown academic units from SAML assertion:", unknown)
+  }
+  return units.filter((unit) => !unknown.includes(unit))
+}
+
+/**
+ * Apply the role and units from the IdP to an existing user. Super admins are only ever managed
+ * in the app, so a wrong IdP mapping cannot lock the last super admin out.
+ */
+const syncRoleFromIdp = async (req, user, { role, academicUnits }) => {
+  if (!role || user.role === BOOTSTRAP_ROLE) return
+
+  const units = await knownUnits(academicUnits)
+  const unitsChanged = [...units].sort().join("\n") !== [...user.academicUnits].sort().join("\n")
+
+  if (user.role === role && !unitsChanged) return
+
+  const before = snapshot(user)
+  user.role = role
+  user.academicUnits = units
+  await user.save()
+
+  if (process.env.NODE_ENV === "development") {
+    console.log(`Role of ${user.email} updated from SAML assertion:`, { role, academicUnits: units })
+  }
+
+  await recordAudit(req, {
+    action: "user.updateRole",
+    entity: "User",
+    before,
+    after: user,
+    actor: user,
+    metadata: { source: "saml" },
+  })
+}
+
+// @desc    SAML service provider metadata for registering this app with the IdP
+// @route   GET /api/auth/saml/metadata
+// @access  Public
+export const getMetadata = (req, res) => {
+  try {
+    if (!isSamlEnabled()) {
+      return res.status(404).json({ message: "SAML single sign-on is not configured" })
+    }
+
+    res.type("application/xml").send(getSamlMetadata())
+  } catch (error) {
+    console.error("SAML metadata error:", error)
+    res.status(500).json({ message: "Failed to generate SAML metadata" })
+  }
+}
+
+// @desc    Start SAML single sign-on - redirects the browser to the IdP
+// @route   GET /api/auth/saml/login
+// @access  Public
+export const samlLogin = async (req, res) => {
+  try {
+    if (!isSamlEnabled()) {
+      return loginError(res, "saml_disabled")
+    }
+
+    res.redirect(await getSamlLoginUrl())
+  } catch (error) {
+    console.error("SAML login error:", error)
+    loginError(res, "saml_failed")
+  }
+}
+
+// @desc    Assertion consumer service - the IdP posts the signed SAML response here
+// @route   POST /api/auth/saml/acs
+// @access  Public (signed SAML response)
+export const samlAcs = async (req, res) => {
+  try {
+    if (!isSamlEnabled()) {
+      return loginError(res, "saml_disabled")
+    }
+
+    const assertion = await validateSamlResponse(req.body)
+
+    if (process.env.NODE_ENV === "development") {
+      console.log("SAML assertion received:", assertion)
+    }
+
+    let user =
+      (await User.findByLinkedAccount(SAML_PROVIDER, assertion.subject)) ||
+      (await User.findOne({ email: assertion.email }))
+
+    if (!user) {
+      if (!isSamlAutoCreateEnabled()) {
+        return loginError(res, "registration_closed")
+      }
+
+      // The IdP has authenticated the user, so the address counts as verified
+      user = new User({
+        name: assertion.name,
+        email: assertion.email,
+        role: assertion.role || (await User.roleForNewAccount()),
+        academicUnits: assertion.academicUnits ? await knownUnits(assertion.academicUnits) : [],
+        emailVerified: true,
+        emailVerifiedAt: Date.now(),
+      })
+      user.linkAccount({ provider: SAML_PROVIDER, subject: assertion.subject, email: assertion.email })
+      await user.save()
+
+      if (process.env.NODE_ENV === "development") {
+        console.log("User created from SAML assertion:", { id: user._id, email: user.email, role: user.role })
+      }
+
+      await recordAudit(req, {
+        action: "user.register",
+        entity: "User",
+        after: user,
+        actor: user,
+        metadata: { provider: SAML_PROVIDER },
+      })
+    } else {
+      const alreadyLinked = user.linkedAccounts.some(
+        (linked) => linked.provider === SAML_PROVIDER && linked.subject === assertion.subject,
+      )
+      const before = snapshot(user)
+
+      user.linkAccount({ provider: SAML_PROVIDER, subject: assertion.subject, email: assertion.email })
+      if (user.emailVerified === false && user.email === assertion.email) {
+        user.emailVerified = true
+        user.emailVerifiedAt = Date.now()
+      }
+      await user.save()
+
+      if (!alreadyLinked) {
+        await recordAudit(req, {
+          action: "user.linkOAuth",
+          entity: "User",
+          before,
+          after: user,
+          actor: user,
+          metadata: { provider: SAML_PROVIDER },
+        })
+      }
+
+      await syncRoleFromIdp(req, user, assertion)
+    }
+
+    await redirectAfterSsoLogin(req, res, user)
+  } catch (error) {
+    console.error("SAML assertion error:", error)
+    loginError(res, "saml_failed")
+  }
+}
@@ -1,5 +1,6 @@
 import Settings from "../models/settings.js"
 import User from "../models/user.js"
+import { recordAudit, snapshot } from "../utils/audit.js"
 
 // @desc    Get user settings
 // @route   GET /api/settings
@@ -63,6 +64,7 @@ export const updateUserSettings = async (req, res) => {
 
     // Find settings or create if not exists
     let settings = await Settings.findOne({ userId: req.user.id })
+    const before = snapshot(settings)
 
     if (!settings) {
       // Create new settings
@@ -108,6 +110,8 @@ export const updateUserSettings = async (req, res) => {
     // Save settings
     await settings.save()
 
+    await recordAudit(req, { action: "settings.update", entity: "Settings", before, after: settings })
+
     // Also update user's settings reference
     const user = await User.findById(req.user.id)
     if (user) {
@@ -0,0 +1,326 @@
+import User from "../models/user.js"
+import Session from "../models/session.js"
+import { recordAudit, snapshot } from "../utils/audit.js"
+import { completeLogin } from "../utils/tokens.js"
+import { BOOTSTRAP_ROLE } from "../utils/permissions.js"
+import { rejectThrottledLogin, handleFailedLogin } from "../utils/loginAttempts.js"
+import {
+  CHALLENGE_PURPOSES,
+  buildEnrollment,
+  findRecoveryCode,
+  generateRecoveryCodes,
+  generateTwoFactorSecret,
+  isTwoFactorRequired,
+  verifyChallengeToken,
+  verifyTotp,
+} from "../utils/twoFactor.js"
+
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+
+/**
+ * Check a TOTP code or a recovery code against the user's 2FA settings.
+ * Marks the code as used on the document (the caller saves it) and returns
+ * "totp" or "recovery-code", or null when neither is valid.
+ */
+const useSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(code, user.twoFactor.secret, user.twoFactor.lastUsedStep)
+    if (step === null) return null
+
+    user.twoFactor.lastUsedStep = step
+    return "totp"
+  }
+
+  if (recoveryCode) {
+    const index = findRecoveryCode(recoveryCode, user.twoFactor.recoveryCodes)
+    if (index === -1) return null
+
+    user.twoFactor.recoveryCodes.splice(index, 1)
+    return "recovery-code"
+  }
+
+  return null
+}
+
+// @desc    Get the signed-in user's 2FA status
+// @route   GET /api/auth/2fa
+// @access  Private
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+twoFactor.recoveryCodes")
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: isTwoFactorRequired(user.role),
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+    })
+  } catch (error) {
+    console.error("Get 2FA status error:", error)
+    res.status(500).json({ message: "Server error fetching two-factor status" })
+  }
+}
+
+// @desc    Start 2FA enrollment - returns the secret and a QR code for an authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or setup challenge token)
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+    }
+
+    user.twoFactor.pendingSecret = generateTwoFactorSecret()
+    await user.save()
+
+    res.json(await buildEnrollment(user.email, user.twoFactor.pendingSecret))
+  } catch (error) {
+    console.error("2FA setup error:", error)
+    res.status(500).json({ message: "Server error starting two-factor setup" })
+  }
+}
+
+// @desc    Confirm enrollment with a code from the authenticator app and get recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or setup challenge token)
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first" })
+    }
+
+    const step = verifyTotp(req.body.code, user.twoFactor.pendingSecret)
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid authentication code" })
+    }
+
+    const before = snapshot(user)
+    const { codes, hashes } = generateRecoveryCodes()
+    user.twoFactor.enabled = true
+    user.twoFactor.enabledAt = Date.now()
+    user.twoFactor.secret = user.twoFactor.pendingSecret
+    user.twoFactor.pendingSecret = undefined
+    user.twoFactor.recoveryCodes = hashes
+    user.twoFactor.lastUsedStep = step
+    await user.save()
+
+    await recordAudit(req, { action: "user.enableTwoFactor", entity: "User", before, after: user, actor: user })
+
+    const response = {
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe - they are only shown once",
+      recoveryCodes: codes,
+    }
+
+    // Enrolling from the login screen finishes the login as well
+    if (req.twoFactorChallenge) {
+      if (!user.isActive) {
+        return res.status(403).json({ message: "Your account has been disabled. Please contact an administrator." })
+      }
+
+      return res.json({ ...response, ...(await completeLogin(user, req)) })
+    }
+
+    res.json(response)
+  } catch (error) {
+    console.error("2FA enable error:", error)
+    res.status(500).json({ message: "Server error enabling two-factor authentication" })
+  }
+}
+
+// @desc    Second login step - exchange the challenge token and a TOTP or recovery code for tokens
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token)
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body
+
+    const decoded = verifyChallengeToken(challengeToken, CHALLENGE_PURPOSES.LOGIN)
+    if (!decoded) {
+      return res.status(401).json({ message: "Login session has expired. Please log in again" })
+    }
+
+    const user = await User.findById(decoded.id).select(SECRET_FIELDS)
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: "Login session has expired. Please log in again" })
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (rejectThrottledLogin(user, res)) {
+      return
+    }
+
+    const method = useSecondFactor(user, { code, recoveryCode })
+    if (!method) {
+      console.log("2FA verification failed for user:", user.email)
+
+      if (await handleFailedLogin(user, req)) {
+        return res.status(423).json({
+          message: "Too many failed attempts. Your account has been temporarily locked and the owner has been notified.",
+          locked: true,
+        })
+      }
+
+      return res.status(401).json({ message: "Invalid authentication code" })
+    }
+
+    await user.save()
+
+    if (method === "recovery-code") {
+      await recordAudit(req, {
+        action: "user.useRecoveryCode",
+        entity: "User",
+        entityId: user._id,
+        actor: user,
+        metadata: { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length },
+      })
+    }
+
+    console.log("User logged in successfully with 2FA:", { id: user._id, email: user.email })
+
+    res.json({
+      ...(await completeLogin(user, req)),
+      ...(method === "recovery-code" && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length }),
+    })
+  } catch (error) {
+    console.error("2FA verify error:", error)
+    res.status(500).json({ message: "Server error verifying two-factor code" })
+  }
+}
+
+// @desc    Turn off 2FA - needs the password and a current code
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body
+
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" })
+    }
+
+    if (isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ message: "Two-factor authentication is required for your role" })
+    }
+
+    // OAuth-only accounts have no password to confirm; the second factor is checked either way
+    if (user.password && !(await user.matchPassword(password || ""))) {
+      return res.status(400).json({ message: "Password is incorrect" })
+    }
+
+    if (!useSecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({ message: "Invalid authentication code" })
+    }
+
+    const before = snapshot(user)
+    user.twoFactor = { enabled: false }
+    await user.save()
+
+    await recordAudit(req, { action: "user.disableTwoFactor", entity: "User", before, after: user })
+
+    res.json({ message: "Two-factor authentication disabled" })
+  } catch (error) {
+    console.error("2FA disable error:", error)
+    res.status(500).json({ message: "Server error disabling two-factor authentication" })
+  }
+}
+
+// @desc    Replace the recovery codes - the old ones stop working
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" })
+    }
+
+    if (useSecondFactor(user, { code: req.body.code }) !== "totp") {
+      return res.status(400).json({ message: "Invalid authentication code" })
+    }
+
+    const { codes, hashes } = generateRecoveryCodes()
+    user.twoFactor.recoveryCodes = hashes
+    await user.save()
+
+    await recordAudit(req, { action: "user.regenerateRecoveryCodes", entity: "User", entityId: user._id })
+
+    res.json({ message: "New recovery codes generated. The old codes no longer work", recoveryCodes: codes })
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error)
+    res.status(500).json({ message: "Server error generating recovery codes" })
+  }
+}
+
+// @desc    Reset a user's 2FA, e.g. after they lost their phone and recovery codes
+// @route   DELETE /api/users/:id/2fa
+// @access  Private (users:manage)
+export const resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(SECRET_FIELDS)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (String(user._id) === String(req.user.id)) {
+      return res.status(400).json({ message: "You cannot reset your own two-factor authentication" })
+    }
+
+    if (user.role === BOOTSTRAP_ROLE && req.user.role !== BOOTSTRAP_ROLE) {
+      return res.status(403).json({ message: "Only a super admin can manage a super admin account" })
+    }
+
+    const before = snapshot(user)
+    user.twoFactor = { enabled: false }
+    await user.save()
+
+    // Anyone signed in as this user got past the old second factor; make them log in again
+    await Session.revokeAllForUser(user._id, "two-factor-reset")
+
+    console.log(`2FA reset for user ${user.email} by ${req.user.email}`)
+
+    await recordAudit(req, { action: "user.resetTwoFactor", entity: "User", before, after: user })
+
+    res.json({ message: "Two-factor authentication has been reset for this user" })
+  } catch (error) {
+    console.error("Reset 2FA error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error resetting two-factor authentication" })
+  }
+}
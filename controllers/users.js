@@ -0,0 +1,544 @@
+import crypto from "crypto"
+import User from "../models/user.js"
+import Session from "../models/session.js"
+import { ROLES, ROLE_NAMES, BOOTSTRAP_ROLE } from "../utils/permissions.js"
+import { recordAudit, snapshot } from "../utils/audit.js"
+import { sendPasswordResetEmail } from "../utils/mailer.js"
+import { findUnknownUnits } from "../utils/alumniQuery.js"
+import { isTwoFactorRequired } from "../utils/twoFactor.js"
+
+// Never send password hashes or reset tokens back to the client
+const HIDDEN_USER_FIELDS = "-password -resetToken -resetTokenExpiry"
+
+const FORCED_RESET_EXPIRY_MS = 24 * 60 * 60 * 1000 // 24 hours
+
+const escapeRegex = (value) => value.replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&")
+
+// Shared guard for actions one admin takes against another account
+const checkManageableUser = (req, user) => {
+  if (String(user._id) === String(req.user.id)) {
+    return "You cannot perform this action on your own account"
+  }
+
+  if (user.role === BOOTSTRAP_ROLE && req.user.role !== BOOTSTRAP_ROLE) {
+    return "Only a super admin can manage a super admin account"
+  }
+
+  return null
+}
+
+// @desc    List and search staff accounts
+// @route   GET /api/users?search=&role=&status=active|disabled|locked&academicUnit=&page=&limit=
+// @access  Private (users:read)
+export const getUsers = async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Math.min(Number.parseInt(req.query.limit) || 20, 100) // Maximum 100 users per page
+    const skip = (page - 1) * limit
+
+    const filter = {}
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(String(req.query.search).trim()), "i")
+      filter.$or = [{ name: pattern }, { email: pattern }]
+    }
+
+    if (req.query.role) {
+      filter.role = req.query.role
+    }
+
+    if (req.query.status === "active") {
+      filter.isActive = { $ne: false }
+    } else if (req.query.status === "disabled") {
+      filter.isActive = false
+    } else if (req.query.status === "locked") {
+      filter.lockUntil = { $gt: new Date() }
+    } else if (req.query.status) {
+      return res.status(400).json({ message: "status must be one of: active, disabled, locked" })
+    }
+
+    if (req.query.academicUnit) {
+      filter.academicUnits = req.query.academicUnit
+    }
+
+    const total = await User.countDocuments(filter)
+
+    const users = await User.find(filter)
+      .select(HIDDEN_USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+
+    res.json({
+      data: users,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching users:", error)
+    res.status(500).json({ message: "Server error fetching users" })
+  }
+}
+
+// @desc    Get a single staff account, including last-login info
+// @route   GET /api/users/:id
+// @access  Private (users:read)
+export const getUserById = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select(HIDDEN_USER_FIELDS)
+      .populate("deactivatedBy", "name email")
+      .lean()
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.json(user)
+  } catch (error) {
+    console.error("Error fetching user:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching user" })
+  }
+}
+
+// @desc    Disable or re-enable a staff account
+// @route   PUT /api/users/:id/status
+// @access  Private (users:manage)
+export const updateUserStatus = async (req, res) => {
+  try {
+    const { active } = req.body
+
+    if (typeof active !== "boolean") {
+      return res.status(400).json({ message: "Please provide active as true or false" })
+    }
+
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const notAllowed = checkManageableUser(req, user)
+    if (notAllowed) {
+      return res.status(403).json({ message: notAllowed })
+    }
+
+    if (user.isActive === active) {
+      return res.json({
+        message: active ? "User is already active" : "User is already disabled",
+        user: { _id: user._id, isActive: user.isActive },
+      })
+    }
+
+    const before = snapshot(user)
+    user.isActive = active
+    user.deactivatedAt = active ? undefined : Date.now()
+    user.deactivatedBy = active ? undefined : req.user.id
+    await user.save()
+
+    if (!active) {
+      await Session.revokeAllForUser(user._id, "account-disabled")
+    }
+
+    console.log(`User ${user.email} ${active ? "re-enabled" : "disabled"} by ${req.user.email}`)
+
+    await recordAudit(req, {
+      action: active ? "user.enable" : "user.disable",
+      entity: "User",
+      before,
+      after: user,
+    })
+
+    res.json({
+      message: active ? "User re-enabled successfully" : "User disabled successfully",
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        isActive: user.isActive,
+        deactivatedAt: user.deactivatedAt,
+      },
+    })
+  } catch (error) {
+    console.error("Update user status error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error updating user status" })
+  }
+}
+
+// @desc    Require a user to set a new password before their next login
+// @route   POST /api/users/:id/force-password-reset
+// @access  Private (users:manage)
+export const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const notAllowed = checkManageableUser(req, user)
+    if (notAllowed) {
+      return res.status(403).json({ message: notAllowed })
+    }
+
+    const before = snapshot(user)
+    const resetToken = crypto.randomBytes(32).toString("hex")
+    user.resetToken = resetToken
+    user.resetTokenExpiry = Date.now() + FORCED_RESET_EXPIRY_MS
+    user.passwordResetRequired = true
+    await user.save()
+    await Session.revokeAllForUser(user._id, "password-reset-required")
+
+    await recordAudit(req, { action: "user.forcePasswordReset", entity: "User", before, after: user })
+
+    // The account stays locked even if the email fails; the user can still request a new link
+    let emailSent = true
+    try {
+      emailSent = (await sendPasswordResetEmail(user.email, resetToken, { expiresIn: "24 hours", forced: true })).status === "sent"
+    } catch (emailError) {
+      console.error("Error sending forced password reset email:", emailError)
+      emailSent = false
+    }
+
+    res.json({
+      message: emailSent
+        ? "Password reset required. A reset link has been sent to the user"
+        : "Password reset required, but the reset email could not be sent yet. It will be retried automatically, or the user can request a new link",
+      emailSent,
+    })
+  } catch (error) {
+    console.error("Force password reset error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error forcing password reset" })
+  }
+}
+
+// @desc    Permanently delete a staff account
+// @route   DELETE /api/users/:id
+// @access  Private (users:manage)
+export const deleteUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const notAllowed = checkManageableUser(req, user)
+    if (notAllowed) {
+      return res.status(403).json({ message: notAllowed })
+    }
+
+    const before = snapshot(user)
+    await user.deleteOne()
+    await Session.deleteMany({ user: user._id })
+
+    console.log(`User ${user.email} deleted by ${req.user.email}`)
+
+    await recordAudit(req, { action: "user.delete", entity: "User", before })
+
+    res.json({ message: "User deleted successfully" })
+  } catch (error) {
+    console.error("Delete user error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error deleting user" })
+  }
+}
+
+// @desc    List the available roles and the permissions they grant
+// @route   GET /api/users/roles
+// @access  Private (users:read)
+export const getRoles = async (req, res) => {
+  res.json(
+    ROLE_NAMES.map((name) => ({
+      name,
+      label: ROLES[name].label,
+      description: ROLES[name].description,
+      permissions: ROLES[name].permissions,
+    })),
+  )
+}
+
+// @desc    Assign a role to a user
+// @route   PUT /api/users/:id/role
+// @access  Private (roles:assign)
+export const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body
+
+    if (!ROLE_NAMES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Use one of: ${ROLE_NAMES.join(", ")}` })
+    }
+
+    if (req.params.id === String(req.user.id)) {
+      return res.status(400).json({ message: "You cannot change your own role" })
+    }
+
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    // Only super admins can grant or take away the super admin role
+    if ((role === BOOTSTRAP_ROLE || user.role === BOOTSTRAP_ROLE) && req.user.role !== BOOTSTRAP_ROLE) {
+      return res.status(403).json({ message: "Only a super admin can grant or revoke the super admin role" })
+    }
+
+    if (user.role === role) {
+      return res.json({ message: "User already has this role", user: { _id: user._id, role: user.role } })
+    }
+
+    const before = snapshot(user)
+    user.role = role
+    await user.save()
+
+    console.log(`Role of user ${user.email} changed from ${before.role} to ${role} by ${req.user.email}`)
+
+    // The new role requires 2FA - sign the user out so they enroll on their next login
+    if (isTwoFactorRequired(role) && !user.twoFactor?.enabled) {
+      await Session.revokeAllForUser(user._id, "two-factor-required")
+    }
+
+    await recordAudit(req, { action: "user.changeRole", entity: "User", before, after: user })
+
+    res.json({
+      message: "Role updated successfully",
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        academicUnits: user.academicUnits,
+      },
+    })
+  } catch (error) {
+    console.error("Update user role error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error updating role" })
+  }
+}
+
+// @desc    Assign the academic units a user may access
+// @route   PUT /api/users/:id/units
+// @access  Private (roles:assign)
+export const updateUserUnits = async (req, res) => {
+  try {
+    const { academicUnits } = req.body
+
+    if (!Array.isArray(academicUnits) || academicUnits.some((unit) => typeof unit !== "string" || !unit.trim())) {
+      return res.status(400).json({ message: "Please provide academicUnits as an array of academic unit names" })
+    }
+
+    const requestedUnits = [...new Set(academicUnits.map((unit) => unit.trim()))]
+
+    const unknownUnits = await findUnknownUnits(requestedUnits)
+
+    if (unknownUnits.length > 0) {
+      return res.status(400).json({ message: `Unknown academic units: ${unknownUnits.join(", ")}` })
+    }
+
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.role === BOOTSTRAP_ROLE && req.user.role !== BOOTSTRAP_ROLE) {
+      return res.status(403).json({ message: "Only a super admin can manage a super admin account" })
+    }
+
+    const before = snapshot(user)
+    user.academicUnits = requestedUnits
+    await user.save()
+
+    await recordAudit(req, { action: "user.changeUnits", entity: "User", before, after: user })
+
+    res.json({
+      message: "Academic units updated successfully",
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        academicUnits: user.academicUnits,
+      },
+    })
+  } catch (error) {
+    console.error("Update user units error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error updating academic units" })
+  }
+}
+
+// @desc    List a user's active sessions
+// @route   GET /api/users/:id/sessions
+// @access  Private (users:manage)
+export const getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("_id")
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const sessions = await Session.find(Session.activeFilter(user._id)).sort({ lastUsedAt: -1 })
+
+    res.json(sessions.map((session) => session.toSummary(req.user.sessionId)))
+  } catch (error) {
+    console.error("Get user sessions error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching sessions" })
+  }
+}
+
+// @desc    Revoke one of a user's sessions
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @access  Private (users:manage)
+export const revokeUserSession = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.role === BOOTSTRAP_ROLE && req.user.role !== BOOTSTRAP_ROLE) {
+      return res.status(403).json({ message: "Only a super admin can manage a super admin account" })
+    }
+
+    const session = await Session.findOne({ _id: req.params.sessionId, ...Session.activeFilter(user._id) })
+
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" })
+    }
+
+    await session.revoke("revoked-by-admin")
+
+    await recordAudit(req, {
+      action: "user.revokeSession",
+      entity: "User",
+      entityId: user._id,
+      metadata: { session: session._id, device: session.device },
+    })
+
+    res.json({ message: "Session revoked successfully" })
+  } catch (error) {
+    console.error("Revoke user session error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Session not found" })
+    }
+
+    res.status(500).json({ message: "Server error revoking session" })
+  }
+}
+
+// @desc    Sign a user out of every device
+// @route   DELETE /api/users/:id/sessions
+// @access  Private (users:manage)
+export const revokeAllUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.role === BOOTSTRAP_ROLE && req.user.role !== BOOTSTRAP_ROLE) {
+      return res.status(403).json({ message: "Only a super admin can manage a super admin account" })
+    }
+
+    const result = await Session.revokeAllForUser(user._id, "revoked-by-admin")
+
+    await recordAudit(req, {
+      action: "user.logoutAll",
+      entity: "User",
+      entityId: user._id,
+      metadata: { revokedSessions: result.modifiedCount },
+    })
+
+    res.json({ message: "User signed out of all devices", revokedSessions: result.modifiedCount })
+  } catch (error) {
+    console.error("Revoke all user sessions error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error revoking sessions" })
+  }
+}
+
+// @desc    Unlock an account locked after repeated failed logins
+// @route   POST /api/users/:id/unlock
+// @access  Private (users:manage)
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.role === BOOTSTRAP_ROLE && req.user.role !== BOOTSTRAP_ROLE) {
+      return res.status(403).json({ message: "Only a super admin can manage a super admin account" })
+    }
+
+    if (!user.isLocked() && user.failedLoginAttempts === 0) {
+      return res.json({ message: "User is not locked" })
+    }
+
+    const before = snapshot(user)
+    await user.unlock()
+
+    console.log(`User ${user.email} unlocked by ${req.user.email}`)
+
+    await recordAudit(req, { action: "user.unlock", entity: "User", before, after: user })
+
+    res.json({ message: "User unlocked successfully" })
+  } catch (error) {
+    console.error("Unlock user error:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error unlocking user" })
+  }
+}
@@ -1,7 +1,20 @@
 import jwt from "jsonwebtoken"
+import rateLimit from "express-rate-limit"
+import User from "../models/user.js"
+import Session from "../models/session.js"
+import ApiKey from "../models/apiKey.js"
+import Alumni from "../models/alumni.js"
+import AlumniAccount from "../models/alumniAccount.js"
+import { userHasPermission } from "../utils/permissions.js"
+import { CHALLENGE_PURPOSES, verifyChallengeToken } from "../utils/twoFactor.js"
+import { needsEmailVerification } from "../utils/emailVerification.js"
+import { ALUMNI_TOKEN_TYPE } from "../utils/alumniPortal.js"
+
+const SESSION_ACTIVITY_INTERVAL_MS = 5 * 60 * 1000 // 5 minutes
+const API_KEY_ACTIVITY_INTERVAL_MS = 60 * 1000 // 1 minute
 
 // Middleware to verify JWT token
-const protect = (req, res, next) => {
+const protect = async (req, res, next) => {
   // Get token from header
   const authHeader = req.header("Authorization")
   let token = null
@@ -20,6 +33,12 @@ const protect = (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
 
+    // Alumni portal tokens never grant access to staff routes
+    if (decoded.type === ALUMNI_TOKEN_TYPE) {
+      console.log("Alumni portal token rejected on a staff route")
+      return res.status(401).json({ message: "Invalid token" })
+    }
+
     console.log("Token verified successfully for user:", decoded.id || decoded.user?.id)
 
     // Set user in request object with all token data
@@ -40,6 +59,47 @@ const protect = (req, res, next) => {
       throw new Error("Invalid token structure")
     }
 
+    // Access tokens are only accepted while the session they were issued for is active,
+    // which is what makes logout and revocation take effect before the token expires
+    const session = decoded.sid ? await Session.findById(decoded.sid).select("user revokedAt expiresAt lastUsedAt") : null
+
+    if (!session || !session.isActive || String(session.user) !== String(req.user.id)) {
+      console.log("Token rejected - session missing or revoked:", decoded.sid)
+      return res.status(401).json({ message: "Session has expired or was revoked. Please log in again" })
+    }
+
+    // Load the current role from the database so role changes apply immediately
+    const user = await User.findById(req.user.id).select("name email role academicUnits isActive passwordResetRequired emailVerified")
+
+    if (!user) {
+      console.log("Token user no longer exists:", req.user.id)
+      return res.status(401).json({ message: "User no longer exists" })
+    }
+
+    if (!user.isActive) {
+      console.log("Token rejected for disabled user:", req.user.id)
+      return res.status(401).json({ message: "Your account has been disabled" })
+    }
+
+    if (user.passwordResetRequired) {
+      return res.status(401).json({ message: "Password reset required", passwordResetRequired: true })
+    }
+
+    if (needsEmailVerification(user)) {
+      return res.status(403).json({ message: "Please verify your email address", emailVerificationRequired: true })
+    }
+
+    req.user.name = user.name
+    req.user.email = user.email
+    req.user.role = user.role
+    req.user.academicUnits = user.academicUnits
+    req.user.sessionId = session._id
+
+    // Keep "last used" on the sessions list roughly current without writing on every request
+    if (Date.now() - session.lastUsedAt > SESSION_ACTIVITY_INTERVAL_MS) {
+      await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date(), ip: req.ip })
+    }
+
     next()
   } catch (error) {
     console.error("Token verification error:", error)
@@ -56,24 +116,211 @@ const protect = (req, res, next) => {
   }
 }
 
-// Middleware to check if user is admin
-const admin = (req, res, next) => {
-  console.log("Admin middleware - User object:", req.user)
-  console.log("Admin middleware - User role:", req.user?.role)
-  
-  if (req.user && req.user.role === "admin") {
-    console.log("Admin access granted")
+// Middleware factory to check the user's role grants every listed permission
+// Usage: router.delete("/:id", protect, authorize("alumni:delete"), handler)
+const authorize = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter((permission) => !userHasPermission(req.user, permission))
+
+  if (req.user && missing.length === 0) {
     next()
   } else {
-    console.log("Admin access denied - User role:", req.user?.role)
-    res.status(403).json({ message: "Not authorized as an admin" })
+    console.log("Access denied - User role:", req.user?.role || `API key ${req.user?.name}`, "missing permissions:", missing)
+    res.status(403).json({
+      message: "You do not have permission to perform this action",
+      missingPermissions: missing,
+    })
+  }
+}
+
+// Middleware for the 2FA enrollment routes. Accepts a normal access token, or the setup challenge token
+// handed out at login to users whose role requires 2FA but who have not enrolled yet.
+const protectTwoFactorSetup = (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return protect(req, res, next)
+  }
+
+  const decoded = verifyChallengeToken(req.body.challengeToken, CHALLENGE_PURPOSES.SETUP)
+
+  if (!decoded) {
+    return res.status(401).json({ message: "Two-factor setup has expired. Please log in again" })
+  }
+
+  req.user = { id: decoded.id }
+  req.twoFactorChallenge = true
+  next()
+}
+
+// API key from "X-API-Key: <key>" or "Authorization: ApiKey <key>"
+const getApiKeyFromRequest = (req) => {
+  const authHeader = req.header("Authorization")
+
+  if (authHeader && authHeader.startsWith("ApiKey ")) {
+    return authHeader.replace("ApiKey ", "").trim()
+  }
+
+  return req.header("X-API-Key") || null
+}
+
+// Slows down guessing: an IP gets 20 rejected API keys per 15 minutes
+const apiKeyFailureLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 20,
+  // Only requests whose key was rejected count towards the limit
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req) => Boolean(req.apiKey),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({ message: "Too many invalid API key attempts, please try again after 15 minutes" })
+  },
+})
+
+// Each key's own requests-per-minute limit
+const apiKeyRateLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => String(req.apiKey._id),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({ message: "API key rate limit exceeded, please try again in a minute" })
+  },
+})
+
+// The request's API key if it exists and is active, otherwise null
+const findActiveApiKey = async (req) => {
+  const apiKey = await ApiKey.findByKey(getApiKeyFromRequest(req))
+
+  if (!apiKey || apiKey.status !== "active") {
+    if (process.env.NODE_ENV === "development") {
+      console.log("API key rejected:", apiKey ? `${apiKey.prefix} (${apiKey.status})` : "unknown key")
+    }
+    return null
+  }
+
+  return apiKey
+}
+
+// Validate the API key on the request (unless identifyApiKey already has) and set req.user to the key's scopes and units
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = req.apiKey || (await findActiveApiKey(req))
+
+    if (!apiKey) {
+      return res.status(401).json({ message: "Invalid, expired or revoked API key" })
+    }
+
+    req.apiKey = apiKey
+    req.user = {
+      apiKeyId: apiKey._id,
+      name: apiKey.name,
+      permissions: apiKey.scopes,
+      academicUnits: apiKey.academicUnits,
+    }
+
+    // Keep "last used" roughly current without writing on every request
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > API_KEY_ACTIVITY_INTERVAL_MS) {
+      await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip })
+    }
+
+    next()
+  } catch (error) {
+    console.error("API key verification error:", error)
+    res.status(401).json({ message: "API key is not valid" })
+  }
+}
+
+/**
+ * Mounted in front of the general per-IP limiter on routers that accept API keys. A valid key is put on
+ * req.apiKey and limited per key, which lets the per-IP limiter skip the request. Anything else passes
+ * through untouched; routes that accept keys reject invalid ones in protectWithApiKey, other routes ignore them.
+ */
+const identifyApiKey = async (req, res, next) => {
+  if (!getApiKeyFromRequest(req) || req.apiKey) {
+    return next()
+  }
+
+  try {
+    const apiKey = await findActiveApiKey(req)
+    if (!apiKey) return next()
+
+    req.apiKey = apiKey
+    apiKeyRateLimiter(req, res, next)
+  } catch (error) {
+    console.error("API key lookup error:", error)
+    next()
+  }
+}
+
+// Middleware for read-only routes that integrations may call. Requests with an API key are authenticated
+// by the key (see authenticateApiKey), everything else goes through protect.
+const protectWithApiKey = (req, res, next) => {
+  if (!getApiKeyFromRequest(req)) {
+    return protect(req, res, next)
+  }
+
+  // Already validated and limited per key by identifyApiKey
+  if (req.apiKey) {
+    return authenticateApiKey(req, res, next)
+  }
+
+  apiKeyFailureLimiter(req, res, (error) => {
+    if (error) return next(error)
+
+    authenticateApiKey(req, res, (error) => {
+      if (error) return next(error)
+      apiKeyRateLimiter(req, res, next)
+    })
+  })
+}
+
+// Middleware for the alumni self-service portal. Accepts only portal tokens and sets req.alumniAccount
+// and req.alumni, the claimed record.
+const protectAlumni = async (req, res, next) => {
+  const authHeader = req.header("Authorization")
+
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return res.status(401).json({ message: "No token, authorization denied" })
+  }
+
+  try {
+    const decoded = jwt.verify(authHeader.replace("Bearer ", ""), process.env.JWT_SECRET)
+
+    if (decoded.type !== ALUMNI_TOKEN_TYPE) {
+      return res.status(401).json({ message: "Invalid token" })
+    }
+
+    const account = await AlumniAccount.findById(decoded.aid)
+
+    // Logging out bumps the token version, which ends every earlier portal session
+    if (!account || !account.isActive || account.tokenVersion !== decoded.ver) {
+      return res.status(401).json({ message: "Session has expired or was revoked. Please sign in again" })
+    }
+
+    const alumni = await Alumni.findOne({ _id: account.alumni, deletedAt: null })
+
+    if (!alumni) {
+      return res.status(401).json({ message: "Your alumni record is no longer available" })
+    }
+
+    req.alumniAccount = account
+    req.alumni = alumni
+    next()
+  } catch (error) {
+    console.error("Alumni token verification error:", error)
+
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({ message: "Token has expired" })
+    }
+
+    res.status(401).json({ message: "Token is not valid" })
   }
 }
 
 // Named exports
-export { protect, admin }
+export { protect, authorize, protectTwoFactorSetup, protectWithApiKey, identifyApiKey, protectAlumni }
 
 // Default export - this allows 'import auth from "../middleware/auth.js"' to work
-const auth = { protect, admin }
+const auth = { protect, authorize, protectTwoFactorSetup, protectWithApiKey, identifyApiKey, protectAlumni }
 export default auth
 
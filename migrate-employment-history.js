@@ -0,0 +1,101 @@
+import mongoose from "mongoose"
+import dotenv from "dotenv"
+import Alumni from "./models/alumni.js"
+import ProfileChangeRequest from "./models/profileChangeRequest.js"
+import { HISTORY_LIST_NAMES, toHistoryList } from "./utils/alumniHistory.js"
+
+/**
+ * One-off migration from the single employment/higherEducation objects to history lists.
+ * A legacy object with any details becomes the record's one current entry; an empty object becomes an empty list.
+ * Pending portal change requests for the old single-object fields can no longer be merged, so they are withdrawn
+ * and the alumni have to submit them again.
+ *
+ * Usage: node migrate-employment-history.js [--dry-run]
+ * Safe to run more than once - records that already have lists are skipped.
+ */
+
+dotenv.config()
+
+const dryRun = process.argv.includes("--dry-run")
+const BATCH_SIZE = 500
+
+
+// Raw documents still storing either list as a single object
+const legacyFilter = {
+  $or: HISTORY_LIST_NAMES.map((listName) => ({ $expr: { $eq: [{ $type: `$${listName}` }, "object"] } })),
+}
+
+const migrateAlumni = async () => {
+  // The raw collection is used because the schema can no longer read the legacy shape
+  const cursor = Alumni.collection.find(legacyFilter, { projection: Object.fromEntries(HISTORY_LIST_NAMES.map((name) => [name, 1])) })
+  let operations = []
+  let migrated = 0
+
+  const flush = async () => {
+    if (operations.length > 0 && !dryRun) {
+      await Alumni.collection.bulkWrite(operations, { ordered: false })
+    }
+    operations = []
+  }
+
+  for await (const alumni of cursor) {
+    const update = {}
+    HISTORY_LIST_NAMES.forEach((listName) => {
+      const value = alumni[listName]
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        update[listName] = toHistoryList(value).map((entry) => ({ _id: new mongoose.Types.ObjectId(), ...entry }))
+      }
+    })
+
+    operations.push({ updateOne: { filter: { _id: alumni._id }, update: { $set: update } } })
+    migrated += 1
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush()
+      console.log(`  ${migrated} records migrated...`)
+    }
+  }
+
+  await flush()
+  return migrated
+}
+
+const withdrawLegacyChangeRequests = async () => {
+  const filter = {
+    status: "pending",
+    "changes.field": { $regex: `^(${HISTORY_LIST_NAMES.join("|")})\\.` },
+  }
+
+  if (dryRun) {
+    return ProfileChangeRequest.countDocuments(filter)
+  }
+
+  const result = await ProfileChangeRequest.updateMany(filter, {
+    status: "withdrawn",
+    reviewComment: "Withdrawn when employment and education history was introduced. Please submit your changes again",
+    updatedAt: Date.now(),
+  })
+  return result.modifiedCount
+}
+
+const run = async () => {
+  const mongoUri = process.env.MONGODB_URI || "mongodb://localhost:27017/hsst-alumni"
+
+  try {
+    await mongoose.connect(mongoUri, { serverSelectionTimeoutMS: 5000 })
+    console.log(`Connected to MongoDB${dryRun ? " (dry run - nothing will be written)" : ""}`)
+
+    const migrated = await migrateAlumni()
+    console.log(`${dryRun ? "Would migrate" : "Migrated"} ${migrated} alumni records to employment/education history`)
+
+    const withdrawn = await withdrawLegacyChangeRequests()
+    console.log(`${dryRun ? "Would withdraw" : "Withdrew"} ${withdrawn} pending change requests for the old fields`)
+  } catch (error) {
+    console.error("Migration failed:", error)
+    process.exitCode = 1
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+run()
@@ -1,4 +1,99 @@
 import mongoose from "mongoose"
+import AlumniRevision from "./alumniRevision.js"
+import { diffDocuments } from "../utils/diff.js"
+import { EMPLOYMENT_TYPES } from "../utils/alumniHistory.js"
+
+// Review state of an uploaded document; reset to pending whenever the document is replaced
+const DocumentVerificationSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["pending", "verified", "rejected"],
+      default: "pending",
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    verifiedAt: {
+      type: Date,
+    },
+    // Why the document was rejected, or an optional note for a verification
+    reason: {
+      type: String,
+    },
+  },
+  { _id: false },
+)
+
+// Start and end of a history entry, and whether it is still ongoing
+const historyPeriod = {
+  startDate: {
+    type: Date,
+  },
+  endDate: {
+    type: Date,
+    validate: {
+      validator: function (endDate) {
+        return !endDate || !this.startDate || endDate >= this.startDate
+      },
+      message: "End date must not be before the start date",
+    },
+  },
+  current: {
+    type: Boolean,
+    default: false,
+  },
+}
+
+// One job (or period of self-employment, unemployment or study) in the alumnus' employment history
+const EmploymentEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: EMPLOYMENT_TYPES,
+  },
+  employerName: {
+    type: String,
+  },
+  role: {
+    type: String,
+  },
+  location: {
+    type: String,
+  },
+  salaryBand: {
+    type: String,
+  },
+  employerContact: {
+    type: String,
+  },
+  employerEmail: {
+    type: String,
+  },
+  documentUrl: {
+    type: String,
+  },
+  documentVerification: DocumentVerificationSchema,
+  selfEmploymentDetails: {
+    type: String,
+  },
+  ...historyPeriod,
+})
+
+// One program in the alumnus' higher education history
+const HigherEducationEntrySchema = new mongoose.Schema({
+  institutionName: {
+    type: String,
+  },
+  programName: {
+    type: String,
+  },
+  documentUrl: {
+    type: String,
+  },
+  documentVerification: DocumentVerificationSchema,
+  ...historyPeriod,
+})
 
 const AlumniSchema = new mongoose.Schema({
   name: {
@@ -44,39 +139,12 @@ const AlumniSchema = new mongoose.Schema({
     certificateUrl: {
       type: String,
     },
+    certificateVerification: DocumentVerificationSchema,
   },
-  employment: {
-    type: {
-      type: String,
-      enum: ["Employed", "Self-employed", "Unemployed", "Studying", ""],
-    },
-    employerName: {
-      type: String,
-    },
-    employerContact: {
-      type: String,
-    },
-    employerEmail: {
-      type: String,
-    },
-    documentUrl: {
-      type: String,
-    },
-    selfEmploymentDetails: {
-      type: String,
-    },
-  },
-  higherEducation: {
-    institutionName: {
-      type: String,
-    },
-    programName: {
-      type: String,
-    },
-    documentUrl: {
-      type: String,
-    },
-  },
+  // Records created before history existed have a single object here until
+  // migrate-employment-history.js has been run
+  employment: [EmploymentEntrySchema],
+  higherEducation: [HigherEducationEntrySchema],
   // New fields for file uploads
   basicInfoImageUrl: {
     type: String,
@@ -92,6 +160,109 @@ const AlumniSchema = new mongoose.Schema({
   updatedAt: {
     type: Date,
   },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Soft delete - deleted records stay in the trash until restored or purged
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+})
+
+// Move the record to the trash
+AlumniSchema.methods.softDelete = function (userId) {
+  this.deletedAt = Date.now()
+  this.deletedBy = userId
+  this.updatedBy = userId
+  return this.save()
+}
+
+// Bring the record back from the trash
+AlumniSchema.methods.restore = function (userId) {
+  this.deletedAt = null
+  this.deletedBy = undefined
+  this.updatedAt = Date.now()
+  this.updatedBy = userId
+  return this.save()
+}
+
+// Fields that describe a revision rather than the record itself
+const toRevisionSnapshot = (doc) => {
+  const { _id, __v, ...snapshot } = doc.toObject ? doc.toObject({ depopulate: true }) : doc
+  return snapshot
+}
+
+// Records saved before revisions existed get their stored state as version 1 before they are first changed
+const ensureBaselineRevision = async (model, alumniId) => {
+  try {
+    if (!alumniId || (await AlumniRevision.exists({ alumni: alumniId }))) return
+
+    const stored = await model.findById(alumniId).lean()
+    if (!stored) return
+
+    await AlumniRevision.create({
+      alumni: alumniId,
+      version: 1,
+      snapshot: toRevisionSnapshot(stored),
+      changedBy: stored.updatedBy || stored.createdBy,
+      createdAt: stored.updatedAt || stored.createdAt,
+    })
+  } catch (error) {
+    console.error("Failed to record baseline alumni revision:", error)
+  }
+}
+
+// Store the saved state as the next revision of the record.
+// Self-service saves set doc.$locals.alumniAccount so the revision is attributed to the alumnus.
+const recordRevision = async (doc) => {
+  try {
+    const snapshot = toRevisionSnapshot(doc)
+    const previous = await AlumniRevision.findOne({ alumni: doc._id }).sort({ version: -1 }).lean()
+    const alumniAccount = doc.$locals?.alumniAccount
+
+    await AlumniRevision.create({
+      alumni: doc._id,
+      version: (previous?.version || 0) + 1,
+      snapshot,
+      changes: diffDocuments(previous?.snapshot || null, snapshot),
+      changedBy: alumniAccount ? undefined : doc.updatedBy || doc.createdBy,
+      changedByAlumni: alumniAccount,
+    })
+  } catch (error) {
+    // Never fail the save itself because the history could not be written
+    console.error("Failed to record alumni revision:", error)
+  }
+}
+
+AlumniSchema.pre("save", async function () {
+  if (!this.isNew) {
+    await ensureBaselineRevision(this.constructor, this._id)
+  }
+})
+
+AlumniSchema.post("save", async function (doc) {
+  await recordRevision(doc)
+})
+
+AlumniSchema.pre("findOneAndUpdate", async function () {
+  const current = await this.model.findOne(this.getQuery()).select("_id").lean()
+  await ensureBaselineRevision(this.model, current?._id)
+})
+
+AlumniSchema.post("findOneAndUpdate", async function (result) {
+  if (!result) return
+
+  // The result may be the pre-update document, so read back what was stored
+  const updated = await this.model.findById(result._id)
+  if (updated) {
+    await recordRevision(updated)
+  }
 })
 
 const Alumni = mongoose.model("Alumni", AlumniSchema)
@@ -102,7 +273,12 @@ AlumniSchema.index({ registrationNumber: 1 }) // For unique lookups
 AlumniSchema.index({ name: 1 }) // For name searches
 AlumniSchema.index({ program: 1 }) // For program filtering
 AlumniSchema.index({ passingYear: 1 }) // For year filtering
-AlumniSchema.index({ "employment.type": 1 }) // For employment filtering
+AlumniSchema.index({ "employment.current": 1, "employment.type": 1 }) // For employment filtering
+AlumniSchema.index({ "employment.employerName": 1 }) // For employer filtering
+AlumniSchema.index({ deletedAt: 1 }) // For trash listing and excluding deleted records
+AlumniSchema.index({ "qualifiedExams.certificateVerification.status": 1 }) // For document verification filters
+AlumniSchema.index({ "employment.documentVerification.status": 1 })
+AlumniSchema.index({ "higherEducation.documentVerification.status": 1 })
 
 // Compound indexes for filter combinations
 AlumniSchema.index({ academicUnit: 1, passingYear: 1, createdAt: -1 }) // For academic unit + year filtering
@@ -0,0 +1,82 @@
+import crypto from "crypto"
+import mongoose from "mongoose"
+
+// Portal login for an alumnus who has claimed their Alumni record. There is no password: the alumnus
+// signs in with a single-use link emailed to the address on their record.
+const AlumniAccountSchema = new mongoose.Schema({
+  alumni: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Alumni",
+    required: true,
+    unique: true,
+  },
+  // Address the record was claimed with; sign-in links are sent here
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  magicLinkHash: {
+    type: String,
+    select: false,
+  },
+  magicLinkExpiresAt: {
+    type: Date,
+  },
+  // Bumped on logout and when staff disable the account, which invalidates every portal token issued before
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  // Staff can disable the account (PUT /api/alumni/:id/portal-account)
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  lastLoginAt: {
+    type: Date,
+  },
+  lastLoginIp: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+AlumniAccountSchema.index({ email: 1 })
+
+AlumniAccountSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.magicLinkHash
+    return ret
+  },
+})
+
+AlumniAccountSchema.statics.hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex")
+
+// Generate a fresh sign-in link token; returns the plain token to email to the alumnus
+AlumniAccountSchema.methods.issueMagicLink = function (expiresInMs) {
+  const token = crypto.randomBytes(32).toString("hex")
+  this.magicLinkHash = AlumniAccount.hashToken(token)
+  this.magicLinkExpiresAt = Date.now() + expiresInMs
+  return token
+}
+
+/**
+ * Use up a sign-in link token. Returns the account, or null if the token is unknown or expired.
+ * The token is cleared in the same update, so each link works only once.
+ */
+AlumniAccountSchema.statics.consumeMagicLink = function (token) {
+  return this.findOneAndUpdate(
+    { magicLinkHash: this.hashToken(token), magicLinkExpiresAt: { $gt: new Date() }, isActive: true },
+    { $unset: { magicLinkHash: 1, magicLinkExpiresAt: 1 } },
+    { new: true },
+  )
+}
+
+const AlumniAccount = mongoose.model("AlumniAccount", AlumniAccountSchema)
+
+export default AlumniAccount
@@ -0,0 +1,53 @@
+import mongoose from "mongoose"
+
+// One saved state of an Alumni document; a new revision is written on every save
+const AlumniRevisionSchema = new mongoose.Schema({
+  alumni: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Alumni",
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  // Full copy of the record as it was saved
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // Field-level changes compared with the previous revision
+  changes: [
+    {
+      _id: false,
+      field: {
+        type: String,
+      },
+      before: {
+        type: mongoose.Schema.Types.Mixed,
+      },
+      after: {
+        type: mongoose.Schema.Types.Mixed,
+      },
+    },
+  ],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Set instead of changedBy when the alumnus saved the change from the self-service portal
+  changedByAlumni: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AlumniAccount",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+AlumniRevisionSchema.index({ alumni: 1, version: -1 }, { unique: true })
+
+const AlumniRevision = mongoose.model("AlumniRevision", AlumniRevisionSchema)
+
+export default AlumniRevision
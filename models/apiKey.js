@@ -0,0 +1,125 @@
+import crypto from "crypto"
+import mongoose from "mongoose"
+import { API_KEY_SCOPES } from "../utils/permissions.js"
+
+const DEFAULT_RATE_LIMIT = Number.parseInt(process.env.API_KEY_RATE_LIMIT) || 60 // requests per minute
+
+// API key for a machine-to-machine integration. Keys look like "sst_<prefix>_<secret>"; only a hash of
+// the full key is stored, the prefix identifies the key in lists and logs.
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: "At least one scope is required",
+    },
+  },
+  // Units the key can read; ignored when the key has the alumni:all-units scope
+  academicUnits: {
+    type: [String],
+    default: [],
+  },
+  // Requests per minute
+  rateLimit: {
+    type: Number,
+    min: 1,
+    max: 10000,
+    default: DEFAULT_RATE_LIMIT,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+  lastUsedIp: {
+    type: String,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+ApiKeySchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked"
+  if (this.expiresAt && this.expiresAt <= Date.now()) return "expired"
+  return "active"
+})
+
+ApiKeySchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash
+    delete ret.id
+    return ret
+  },
+})
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex")
+
+// Split "sst_<prefix>_<secret>" into its prefix, or null if the key is malformed
+const parseKey = (key) => {
+  const match = /^sst_([a-f0-9]{12})_[A-Za-z0-9_-]{32,}$/.exec(String(key || ""))
+  return match ? match[1] : null
+}
+
+/**
+ * Generate a new key. Returns { prefix, key, keyHash }; the plain key is only ever shown once.
+ */
+ApiKeySchema.statics.generate = function () {
+  const prefix = crypto.randomBytes(6).toString("hex")
+  const key = `sst_${prefix}_${crypto.randomBytes(32).toString("base64url")}`
+  return { prefix, key, keyHash: hashKey(key) }
+}
+
+/**
+ * Look up the key presented by a client. Returns the key document if it exists and matches,
+ * whether or not it is still active, or null.
+ */
+ApiKeySchema.statics.findByKey = async function (key) {
+  const prefix = parseKey(key)
+  if (!prefix) return null
+
+  const apiKey = await this.findOne({ prefix }).select("+keyHash")
+  if (!apiKey) return null
+
+  const expected = Buffer.from(apiKey.keyHash, "hex")
+  const actual = Buffer.from(hashKey(key), "hex")
+
+  return crypto.timingSafeEqual(expected, actual) ? apiKey : null
+}
+
+const ApiKey = mongoose.model("ApiKey", ApiKeySchema)
+
+export default ApiKey
@@ -0,0 +1,61 @@
+import mongoose from "mongoose"
+
+const AuditLogSchema = new mongoose.Schema({
+  // User who made the change (empty for anonymous actions such as password resets by token)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  actorEmail: {
+    type: String,
+  },
+  // Dotted action name, e.g. "alumni.update" or "academicUnit.delete"
+  action: {
+    type: String,
+    required: true,
+  },
+  // Model name of the changed record, e.g. "Alumni", "User", "AcademicUnit"
+  entity: {
+    type: String,
+    required: true,
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  changes: [
+    {
+      _id: false,
+      field: {
+        type: String,
+      },
+      before: {
+        type: mongoose.Schema.Types.Mixed,
+      },
+      after: {
+        type: mongoose.Schema.Types.Mixed,
+      },
+    },
+  ],
+  // Extra context, e.g. { source: "import" }
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+AuditLogSchema.index({ createdAt: -1 }) // For listing the latest entries
+AuditLogSchema.index({ actor: 1, createdAt: -1 }) // For filtering by user
+AuditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 }) // For the history of a single record
+
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema)
+
+export default AuditLog
@@ -0,0 +1,96 @@
+import mongoose from "mongoose"
+import crypto from "crypto"
+import { ROLE_NAMES } from "../utils/permissions.js"
+
+// An invitation for a staff member to create an account with a pre-assigned role and units
+const InvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ROLE_NAMES,
+    required: true,
+  },
+  academicUnits: {
+    type: [String],
+    default: [],
+  },
+  // Only a hash of the invite token is stored; the token itself is only ever sent by email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  acceptedAt: {
+    type: Date,
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+InvitationSchema.index({ email: 1, createdAt: -1 })
+
+InvitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted"
+  if (this.revokedAt) return "revoked"
+  if (this.expiresAt <= Date.now()) return "expired"
+  return "pending"
+})
+
+InvitationSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash
+    return ret
+  },
+})
+
+InvitationSchema.statics.hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex")
+
+// Filter matching invitations that can still be accepted
+InvitationSchema.statics.pendingFilter = () => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+})
+
+// Generate a fresh invite token; returns the plain token to email to the invitee
+InvitationSchema.methods.issueToken = function (expiresInMs) {
+  const token = crypto.randomBytes(32).toString("hex")
+  this.tokenHash = Invitation.hashToken(token)
+  this.expiresAt = Date.now() + expiresInMs
+  return token
+}
+
+const Invitation = mongoose.model("Invitation", InvitationSchema)
+
+export default Invitation
@@ -0,0 +1,54 @@
+import mongoose from "mongoose"
+
+// A started OAuth/OIDC sign-in. The signed state parameter points at this record, which holds the
+// PKCE code verifier and the ID token nonce; it is deleted when the callback uses it, so every state
+// works only once.
+const OAuthRequestSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  // login, or link to add the provider to a signed-in user's account
+  mode: {
+    type: String,
+    enum: ["login", "link"],
+    default: "login",
+  },
+  // Signed-in user and session, when linking
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Session",
+  },
+  // Hash of the binding cookie given to the browser that started the sign-in
+  bindingHash: {
+    type: String,
+    required: true,
+  },
+  codeVerifier: {
+    type: String,
+    required: true,
+  },
+  nonce: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// MongoDB removes requests that were never completed
+OAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const OAuthRequest = mongoose.model("OAuthRequest", OAuthRequestSchema)
+
+export default OAuthRequest
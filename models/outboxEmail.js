@@ -0,0 +1,101 @@
+import mongoose from "mongoose"
+
+const RETENTION_DAYS = Number.parseInt(process.env.MAIL_OUTBOX_RETENTION_DAYS) || 30
+
+// An outgoing email. Messages are stored before they are sent so that delivery can be retried
+// when the mail server is unavailable; see processOutbox in utils/mailer.js.
+const OutboxEmailSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  fromName: {
+    type: String,
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  // The bodies can contain single-use links, so they are removed once the message is sent or has failed for good
+  html: {
+    type: String,
+  },
+  text: {
+    type: String,
+  },
+  // Name of the template the message was rendered from, e.g. "passwordReset"
+  template: {
+    type: String,
+  },
+  // pending: waiting for (another) delivery attempt, sending: claimed by a worker, sent, failed: gave up
+  status: {
+    type: String,
+    enum: ["pending", "sending", "sent", "failed"],
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  // When the message is due for its next attempt. While "sending" this is the end of the worker's lease,
+  // after which another worker may pick the message up again.
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastError: {
+    type: String,
+  },
+  transport: {
+    type: String,
+  },
+  messageId: {
+    type: String,
+  },
+  sentAt: {
+    type: Date,
+  },
+  failedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+OutboxEmailSchema.index({ status: 1, nextAttemptAt: 1 }) // For picking up due messages
+OutboxEmailSchema.index({ createdAt: -1 })
+// MongoDB removes sent and failed messages after the retention period
+OutboxEmailSchema.index({ sentAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 })
+OutboxEmailSchema.index({ failedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 })
+
+// Message details for the admin outbox view, without the bodies (they contain reset and invitation links)
+OutboxEmailSchema.methods.toSummary = function () {
+  return {
+    _id: this._id,
+    to: this.to,
+    subject: this.subject,
+    template: this.template,
+    status: this.status,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    nextAttemptAt: this.status === "pending" ? this.nextAttemptAt : undefined,
+    lastError: this.lastError,
+    transport: this.transport,
+    messageId: this.messageId,
+    sentAt: this.sentAt,
+    failedAt: this.failedAt,
+    createdAt: this.createdAt,
+  }
+}
+
+const OutboxEmail = mongoose.model("OutboxEmail", OutboxEmailSchema)
+
+export default OutboxEmail
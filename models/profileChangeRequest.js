@@ -0,0 +1,72 @@
+import mongoose from "mongoose"
+
+// Edits an alumnus submitted from the portal that need staff review before they are merged into the record.
+// Each alumnus has at most one pending request; submitting again updates it.
+const ProfileChangeRequestSchema = new mongoose.Schema({
+  alumni: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Alumni",
+    required: true,
+  },
+  alumniAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AlumniAccount",
+  },
+  // Copied from the record so the queue can be limited to the reviewer's units
+  academicUnit: {
+    type: String,
+  },
+  // Proposed values; before is the record's value when the change was submitted
+  changes: [
+    {
+      _id: false,
+      field: {
+        type: String,
+        required: true,
+      },
+      before: {
+        type: mongoose.Schema.Types.Mixed,
+      },
+      after: {
+        type: mongoose.Schema.Types.Mixed,
+      },
+    },
+  ],
+  // Optional note from the alumnus, e.g. where the new details can be checked
+  note: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected", "withdrawn"],
+    default: "pending",
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  reviewComment: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+  },
+})
+
+ProfileChangeRequestSchema.index({ status: 1, createdAt: -1 }) // For the review queue
+ProfileChangeRequestSchema.index({ alumni: 1, createdAt: -1 }) // For an alumnus' own requests
+// At most one pending request per alumnus, even when two submissions race
+ProfileChangeRequestSchema.index({ alumni: 1 }, { unique: true, partialFilterExpression: { status: "pending" } })
+
+const ProfileChangeRequest = mongoose.model("ProfileChangeRequest", ProfileChangeRequestSchema)
+
+export default ProfileChangeRequest
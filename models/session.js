@@ -0,0 +1,106 @@
+import mongoose from "mongoose"
+import { UAParser } from "ua-parser-js"
+
+// A signed-in device. Access tokens carry the session ID and are only accepted while the session is active;
+// the session's refresh token is rotated every time it is used.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  // Hash of the refresh token that was rotated out most recently - presenting it again means it was stolen
+  previousTokenHash: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  // logout, logout-all, password-change, token-reuse, ...
+  revokedReason: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+SessionSchema.index({ user: 1, revokedAt: 1 })
+// MongoDB removes sessions once their refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+SessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now()
+})
+
+// Readable device description, e.g. "Chrome 126 on Windows 10"
+SessionSchema.virtual("device").get(function () {
+  if (!this.userAgent) return "Unknown device"
+
+  const { browser, os, device } = new UAParser(this.userAgent).getResult()
+  const browserName = [browser.name, browser.major].filter(Boolean).join(" ")
+  const osName = [os.name, os.version].filter(Boolean).join(" ")
+  const deviceName = [device.vendor, device.model].filter(Boolean).join(" ")
+
+  const description = [browserName, osName && `on ${osName}`, deviceName && `(${deviceName})`].filter(Boolean).join(" ")
+  return description || this.userAgent
+})
+
+// Session details safe to show to the user; the token hashes never leave the server
+SessionSchema.methods.toSummary = function (currentSessionId) {
+  return {
+    _id: this._id,
+    device: this.device,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: Boolean(currentSessionId) && String(this._id) === String(currentSessionId),
+  }
+}
+
+SessionSchema.methods.revoke = function (reason) {
+  this.revokedAt = Date.now()
+  this.revokedReason = reason
+  return this.save()
+}
+
+// Filter matching a user's sessions that are still usable
+SessionSchema.statics.activeFilter = (userId) => ({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+})
+
+// Revoke every active session of a user, optionally keeping one (e.g. the session changing the password)
+SessionSchema.statics.revokeAllForUser = function (userId, reason, { except } = {}) {
+  const filter = this.activeFilter(userId)
+  if (except) {
+    filter._id = { $ne: except }
+  }
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason })
+}
+
+const Session = mongoose.model("Session", SessionSchema)
+
+export default Session
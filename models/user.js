@@ -1,5 +1,14 @@
 import mongoose from "mongoose"
 import bcrypt from "bcryptjs"
+import { ROLE_NAMES, DEFAULT_ROLE, BOOTSTRAP_ROLE } from "../utils/permissions.js"
+import { PASSWORD_POLICY } from "../utils/passwordPolicy.js"
+
+// Per-account brute-force protection: after LOGIN_DELAY_AFTER failures each further attempt has to wait
+// progressively longer, and after MAX_FAILED_LOGINS failures the account is locked for LOCKOUT_MINUTES
+const LOGIN_DELAY_AFTER = 3
+const MAX_LOGIN_DELAY_SECONDS = 60
+export const MAX_FAILED_LOGINS = Number.parseInt(process.env.MAX_FAILED_LOGINS) || 10
+export const LOCKOUT_MINUTES = Number.parseInt(process.env.ACCOUNT_LOCKOUT_MINUTES) || 15
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -16,14 +25,65 @@ const UserSchema = new mongoose.Schema({
   password: {
     type: String,
     required: function() {
-      return !this.googleId; // Password is required only if not using Google OAuth
+      // Password is required only if the user signs in through an OAuth/OIDC provider
+      return !this.googleId && !(this.linkedAccounts?.length > 0)
     },
   },
+  // Hashes of previous passwords, newest first, so they cannot be reused
+  passwordHistory: {
+    type: [String],
+    select: false,
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
+  // false until the owner clicks the verification link; accounts from before verification have no value
+  emailVerified: {
+    type: Boolean,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  emailVerificationSentAt: {
+    type: Date,
+  },
+  // New address waiting for verification; email only changes once it is verified
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  // Legacy Google account ID from before linkedAccounts; moved there on the user's next Google sign-in
   googleId: {
     type: String,
     unique: true,
     sparse: true, // Allows multiple null values
   },
+  // Accounts at OAuth/OIDC providers (see utils/oauthProviders.js) the user can sign in with
+  linkedAccounts: [
+    {
+      _id: false,
+      provider: {
+        type: String,
+        required: true,
+      },
+      // The provider's stable user ID (the OIDC "sub" claim)
+      subject: {
+        type: String,
+        required: true,
+      },
+      email: {
+        type: String,
+      },
+      linkedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      lastUsedAt: {
+        type: Date,
+      },
+    },
+  ],
   avatar: {
     type: String,
   },
@@ -33,8 +93,77 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ["admin", "user"],
-    default: "user",
+    enum: ROLE_NAMES,
+    default: DEFAULT_ROLE,
+  },
+  // Academic units (by name) whose alumni this user may see and edit.
+  // Ignored for roles with the alumni:all-units permission.
+  academicUnits: {
+    type: [String],
+    default: [],
+  },
+  // Disabled accounts cannot log in and their tokens are rejected
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  deactivatedAt: {
+    type: Date,
+  },
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Set by an administrator - the user must reset their password before logging in again
+  passwordResetRequired: {
+    type: Boolean,
+    default: false,
+  },
+  lastLoginAt: {
+    type: Date,
+  },
+  lastLoginIp: {
+    type: String,
+  },
+  // Failed password or 2FA attempts since the last successful login or lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedLoginAt: {
+    type: Date,
+  },
+  lockUntil: {
+    type: Date,
+  },
+  // TOTP two-factor authentication. Secrets and recovery codes are never selected unless asked for.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    enabledAt: {
+      type: Date,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Secret generated during enrollment, moved to secret once the user confirms a code
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Time step of the last accepted code, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
   },
   resetToken: {
     type: String,
@@ -82,6 +211,12 @@ const UserSchema = new mongoose.Schema({
   },
 })
 
+// A provider account can only be linked to one user
+UserSchema.index(
+  { "linkedAccounts.provider": 1, "linkedAccounts.subject": 1 },
+  { unique: true, partialFilterExpression: { "linkedAccounts.subject": { $exists: true } } },
+)
+
 // Match user entered password to hashed password in database
 UserSchema.methods.matchPassword = async function (enteredPassword) {
   try {
@@ -92,6 +227,111 @@ UserSchema.methods.matchPassword = async function (enteredPassword) {
   }
 }
 
+// Remember when and from where the user last logged in
+UserSchema.methods.recordLogin = function (ip) {
+  this.lastLoginAt = Date.now()
+  this.lastLoginIp = ip
+  this.failedLoginAttempts = 0
+  this.lastFailedLoginAt = undefined
+  return this.save()
+}
+
+UserSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now())
+}
+
+// Seconds the user has to wait before the next login attempt is accepted (0 if none)
+UserSchema.methods.loginRetryAfter = function () {
+  if (this.isLocked()) {
+    return Math.ceil((this.lockUntil - Date.now()) / 1000)
+  }
+
+  if (this.failedLoginAttempts < LOGIN_DELAY_AFTER || !this.lastFailedLoginAt) {
+    return 0
+  }
+
+  // 1s, 2s, 4s, ... doubling with every failure past the threshold
+  const delaySeconds = Math.min(2 ** (this.failedLoginAttempts - LOGIN_DELAY_AFTER), MAX_LOGIN_DELAY_SECONDS)
+  const waitMs = this.lastFailedLoginAt.getTime() + delaySeconds * 1000 - Date.now()
+  return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0
+}
+
+/**
+ * Count a failed password or 2FA attempt. Uses $inc so that parallel attempts are all counted.
+ * Returns the updated user; lockUntil is set when this attempt locked the account.
+ */
+UserSchema.statics.registerFailedLogin = async function (userId) {
+  const user = await this.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true },
+  )
+
+  if (user && user.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    // Start counting afresh once the lockout ends
+    return this.findByIdAndUpdate(
+      userId,
+      { $set: { lockUntil: new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000), failedLoginAttempts: 0 } },
+      { new: true },
+    )
+  }
+
+  return user
+}
+
+// Find the user a provider account is linked to, including legacy googleId links
+UserSchema.statics.findByLinkedAccount = function (provider, subject) {
+  const conditions = [{ linkedAccounts: { $elemMatch: { provider, subject: String(subject) } } }]
+  if (provider === "google") {
+    conditions.push({ googleId: String(subject) })
+  }
+  return this.findOne({ $or: conditions })
+}
+
+UserSchema.methods.getLinkedAccount = function (provider) {
+  const account = this.linkedAccounts.find((linked) => linked.provider === provider)
+  if (account) return account
+
+  return provider === "google" && this.googleId ? { provider, subject: this.googleId } : null
+}
+
+/**
+ * Link a provider account, or record that it was used again. The caller saves the user.
+ * Legacy googleId links are converted into a linkedAccounts entry on the way.
+ */
+UserSchema.methods.linkAccount = function ({ provider, subject, email }) {
+  const existing = this.linkedAccounts.find((linked) => linked.provider === provider)
+
+  if (existing) {
+    existing.subject = String(subject)
+    existing.email = email
+    existing.lastUsedAt = Date.now()
+  } else {
+    this.linkedAccounts.push({ provider, subject: String(subject), email, lastUsedAt: Date.now() })
+  }
+
+  if (provider === "google") {
+    this.googleId = undefined
+  }
+  this.isOAuthUser = true
+}
+
+UserSchema.methods.unlinkAccount = function (provider) {
+  this.linkedAccounts = this.linkedAccounts.filter((linked) => linked.provider !== provider)
+
+  if (provider === "google") {
+    this.googleId = undefined
+  }
+  this.isOAuthUser = this.linkedAccounts.length > 0 || Boolean(this.googleId)
+}
+
+UserSchema.methods.unlock = function () {
+  this.failedLoginAttempts = 0
+  this.lastFailedLoginAt = undefined
+  this.lockUntil = undefined
+  return this.save()
+}
+
 // Encrypt password using bcrypt
 UserSchema.pre("save", async function (next) {
   try {
@@ -100,6 +340,18 @@ UserSchema.pre("save", async function (next) {
       return next()
     }
 
+    // Keep the hash being replaced in the password history
+    if (!this.isNew && PASSWORD_POLICY.historyCount > 0) {
+      const previous = await this.constructor.findById(this._id).select("password +passwordHistory")
+      if (previous?.password) {
+        this.passwordHistory = [previous.password, ...(previous.passwordHistory || [])].slice(
+          0,
+          PASSWORD_POLICY.historyCount,
+        )
+      }
+    }
+    this.passwordChangedAt = Date.now()
+
     // Generate salt
     const salt = await bcrypt.genSalt(10)
 
@@ -157,6 +409,12 @@ UserSchema.pre("save", function (next) {
   next()
 })
 
+// Role for a newly created account - the first account ever created becomes a super admin
+UserSchema.statics.roleForNewAccount = async function () {
+  const existingUsers = await this.countDocuments()
+  return existingUsers === 0 ? BOOTSTRAP_ROLE : DEFAULT_ROLE
+}
+
 const User = mongoose.model("User", UserSchema)
 
 export default User
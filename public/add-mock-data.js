@@ -36,22 +36,35 @@ function addMockData() {
               .padStart(10, "0")}`,
             address: `Address ${i + 1}, Dehradun, Uttarakhand`,
           },
-          employment: {
-            type: employmentType,
-            employerName: employmentType === "Employed" ? `Company ${i + 1}` : "",
-            employerContact:
-              employmentType === "Employed"
-                ? `+91${Math.floor(Math.random() * 10000000000)
-                    .toString()
-                    .padStart(10, "0")}`
-                : "",
-            employerEmail: employmentType === "Employed" ? `company${i + 1}@example.com` : "",
-            selfEmploymentDetails: employmentType === "Self-employed" ? `Self-employed business ${i + 1}` : "",
-          },
-          higherEducation: {
-            institutionName: employmentType === "Studying" ? `University ${i + 1}` : "",
-            programName: employmentType === "Studying" ? `Program ${i + 1}` : "",
-          },
+          employment: [
+            {
+              type: employmentType,
+              employerName: employmentType === "Employed" ? `Company ${i + 1}` : "",
+              role: employmentType === "Employed" ? "Software Engineer" : "",
+              location: employmentType === "Employed" ? "Dehradun" : "",
+              employerContact:
+                employmentType === "Employed"
+                  ? `+91${Math.floor(Math.random() * 10000000000)
+                      .toString()
+                      .padStart(10, "0")}`
+                  : "",
+              employerEmail: employmentType === "Employed" ? `company${i + 1}@example.com` : "",
+              selfEmploymentDetails: employmentType === "Self-employed" ? `Self-employed business ${i + 1}` : "",
+              startDate: `${passingYear.split("-")[0]}-07-01`,
+              current: true,
+            },
+          ],
+          higherEducation:
+            employmentType === "Studying"
+              ? [
+                  {
+                    institutionName: `University ${i + 1}`,
+                    programName: `Program ${i + 1}`,
+                    startDate: `${passingYear.split("-")[0]}-08-01`,
+                    current: true,
+                  },
+                ]
+              : [],
           createdAt: new Date(Date.now() - Math.floor(Math.random() * 10000000000)).toISOString(),
           updatedAt: new Date().toISOString(),
         }
@@ -1,7 +1,8 @@
 import express from "express"
 import { check, validationResult } from "express-validator"
-import { protect } from "../middleware/auth.js"
+import { protect, authorize } from "../middleware/auth.js"
 import AcademicUnit from "../models/academicUnit.js"
+import { recordAudit, snapshot } from "../utils/audit.js"
 
 const router = express.Router()
 
@@ -43,11 +44,12 @@ router.get("/:id", async (req, res) => {
 
 // @route   POST /api/academic-units
 // @desc    Create new academic unit
-// @access  Private
+// @access  Private (academicUnits:manage)
 router.post(
   "/",
   [
     protect,
+    authorize("academicUnits:manage"),
     [check("name", "Name is required").not().isEmpty(), check("shortName", "Short name is required").not().isEmpty()],
   ],
   async (req, res) => {
@@ -75,6 +77,8 @@ router.post(
       // Save to database
       const academicUnit = await newAcademicUnit.save()
 
+      await recordAudit(req, { action: "academicUnit.create", entity: "AcademicUnit", after: academicUnit })
+
       res.json(academicUnit)
     } catch (error) {
       console.error("Error creating academic unit:", error)
@@ -85,8 +89,8 @@ router.post(
 
 // @route   PUT /api/academic-units/:id
 // @desc    Update academic unit
-// @access  Private
-router.put("/:id", protect, async (req, res) => {
+// @access  Private (academicUnits:manage)
+router.put("/:id", protect, authorize("academicUnits:manage"), async (req, res) => {
   try {
     // Find academic unit
     let academicUnit = await AcademicUnit.findById(req.params.id)
@@ -113,8 +117,11 @@ router.put("/:id", protect, async (req, res) => {
     }
 
     // Update academic unit
+    const before = snapshot(academicUnit)
     academicUnit = await AcademicUnit.findByIdAndUpdate(req.params.id, updateFields, { new: true })
 
+    await recordAudit(req, { action: "academicUnit.update", entity: "AcademicUnit", before, after: academicUnit })
+
     res.json(academicUnit)
   } catch (error) {
     console.error("Error updating academic unit:", error)
@@ -129,8 +136,8 @@ router.put("/:id", protect, async (req, res) => {
 
 // @route   DELETE /api/academic-units/:id
 // @desc    Delete academic unit
-// @access  Private
-router.delete("/:id", protect, async (req, res) => {
+// @access  Private (academicUnits:manage)
+router.delete("/:id", protect, authorize("academicUnits:manage"), async (req, res) => {
   try {
     // Find academic unit
     const academicUnit = await AcademicUnit.findById(req.params.id)
@@ -142,6 +149,8 @@ router.delete("/:id", protect, async (req, res) => {
     // Delete academic unit
     await AcademicUnit.deleteOne({ _id: req.params.id })
 
+    await recordAudit(req, { action: "academicUnit.delete", entity: "AcademicUnit", before: academicUnit })
+
     res.json({ message: "Academic unit removed" })
   } catch (error) {
     console.error("Error deleting academic unit:", error)
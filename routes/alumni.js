@@ -5,6 +5,51 @@ import { v2 as cloudinary } from "cloudinary"
 import { CloudinaryStorage } from "multer-storage-cloudinary"
 import auth from "../middleware/auth.js"
 import Alumni from "../models/alumni.js"
+import AlumniRevision from "../models/alumniRevision.js"
+import AlumniAccount from "../models/alumniAccount.js"
+import {
+  MAX_IMPORT_ROWS,
+  isSupportedImportFile,
+  parseImportFile,
+  planImport,
+  applyImportPlan,
+  summarizeImport,
+} from "../utils/alumniImport.js"
+import {
+  NOT_DELETED,
+  buildAlumniFilter,
+  scopeAlumniFilter,
+  unitScopeFilter,
+  canAccessUnit,
+  getDefaultUnit,
+  validateEmploymentFilter,
+} from "../utils/alumniQuery.js"
+import { recordAudit, snapshot } from "../utils/audit.js"
+import {
+  HISTORY_LIST_NAMES,
+  toHistoryList,
+  parseHistoryInput,
+  mergeHistoryEntries,
+  attachDocumentToCurrent,
+} from "../utils/alumniHistory.js"
+import { diffDocuments } from "../utils/diff.js"
+import {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  exportProjection,
+  resolveExportColumns,
+  writeAlumniExport,
+} from "../utils/alumniExport.js"
+import {
+  VERIFICATION_STATUSES,
+  DOCUMENT_KEYS,
+  getDocument,
+  findDocumentHolder,
+  syncDocumentVerification,
+  validateDocumentFilters,
+  verificationCountsGroup,
+  formatVerificationCounts,
+} from "../utils/documentVerification.js"
 
 // Configure Cloudinary with fallback values if environment variables are missing
 cloudinary.config({
@@ -36,6 +81,66 @@ const uploadFiles = upload.fields([
   { name: "higherEducationImage", maxCount: 1 },
 ])
 
+// Configure multer for bulk import spreadsheets (kept in memory, never sent to Cloudinary)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (isSupportedImportFile(file)) {
+      cb(null, true)
+    } else {
+      cb(new Error("Only CSV and XLSX files are allowed"), false)
+    }
+  },
+})
+
+// Report upload problems (wrong type, too large) as a 400 instead of falling through to the error handler
+const uploadImportFile = (req, res, next) => {
+  importUpload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.message })
+    }
+    next()
+  })
+}
+
+// Days a deleted record stays in the trash before it can be purged permanently
+const TRASH_RETENTION_DAYS = Number.parseInt(process.env.ALUMNI_TRASH_RETENTION_DAYS) || 30
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+
+// Fields returned by the list and search routes, including a summary of the employment and education history
+const LIST_FIELDS =
+  "name contactDetails.email academicUnit passingYear program registrationNumber createdAt " +
+  "employment._id employment.type employment.employerName employment.role employment.startDate employment.endDate " +
+  "employment.current higherEducation._id higherEducation.institutionName higherEducation.programName " +
+  "higherEducation.startDate higherEducation.endDate higherEducation.current"
+
+// Number of employers listed in the statistics
+const TOP_EMPLOYERS_LIMIT = 10
+
+// Validate the employment and higher education lists of a create/update body; lists not sent are left undefined
+const parseHistoryBody = (body) => {
+  const history = {}
+
+  for (const listName of HISTORY_LIST_NAMES) {
+    if (body[listName] === undefined) continue
+
+    const { entries, error } = parseHistoryInput(listName, body[listName], { allowDocuments: true })
+    if (error) return { error }
+    history[listName] = entries
+  }
+
+  return history
+}
+
+// A record's history list after an update: the submitted entries merged with the existing ones
+// (or the existing list when none were sent), with an uploaded document attached to the current entry
+const updatedHistory = (alumni, listName, submitted, uploadedUrl) => {
+  const existing = Array.isArray(alumni[listName]) ? alumni[listName].toObject() : []
+  const entries = submitted ? mergeHistoryEntries(existing, submitted) : existing
+  return uploadedUrl ? attachDocumentToCurrent(entries, uploadedUrl) : entries
+}
+
 const router = express.Router()
 
 // @route   GET /api/alumni/programs
@@ -44,7 +149,7 @@ const router = express.Router()
 router.get("/programs", async (req, res) => {
   try {
     // Get distinct programs from the database
-    const programs = await Alumni.distinct("program")
+    const programs = await Alumni.distinct("program", NOT_DELETED)
     
     // Sort alphabetically
     const sortedPrograms = programs.sort()
@@ -67,7 +172,7 @@ router.get("/programs", async (req, res) => {
 router.get("/passing-years", async (req, res) => {
   try {
     // Get distinct passing years from the database
-    const passingYears = await Alumni.distinct("passingYear")
+    const passingYears = await Alumni.distinct("passingYear", NOT_DELETED)
     
     // Sort in descending order (newest first)
     const sortedYears = passingYears.sort((a, b) => {
@@ -89,31 +194,39 @@ router.get("/passing-years", async (req, res) => {
 })
 
 // @route   GET /api/alumni
-// @desc    Get all alumni with pagination and filters
-// @access  Public
-router.get("/", async (req, res) => {
+// @desc    Get all alumni with pagination and filters, limited to the user's academic units
+//          ?documentStatus=unverified|pending|verified|rejected&documentType=certificate|employment|higherEducation
+//          &employer=<any past or current employer>&employmentType=<type of the current employment>
+// @access  Private (alumni:read) or API key
+router.get("/", auth.protectWithApiKey, auth.authorize("alumni:read"), async (req, res) => {
   try {
     const page = Number.parseInt(req.query.page) || 1
     const limit = Math.min(Number.parseInt(req.query.limit) || 10, 100) // Maximum 100 records per page
     const skip = (page - 1) * limit
 
-    // Build filter object
-    const filter = {}
-
-    // Handle academic unit filter
-    if (req.query.academicUnit && req.query.academicUnit !== "all") {
-      filter.academicUnit = req.query.academicUnit
+    const documentFilterError = validateDocumentFilters(req.query)
+    if (documentFilterError) {
+      return res.status(400).json({ message: documentFilterError })
     }
-    // If "all" is selected or no filter, don't add academicUnit filter - show all units
 
-    if (req.query.passingYear && req.query.passingYear !== "all") {
-      filter.passingYear = req.query.passingYear
+    const employmentFilterError = validateEmploymentFilter(req.query)
+    if (employmentFilterError) {
+      return res.status(400).json({ message: employmentFilterError })
     }
 
-    if (req.query.program && req.query.program.trim() !== "") {
-      // Use case-insensitive regex for program search
-      filter.program = { $regex: req.query.program.trim(), $options: "i" }
-    }
+    // Build filter object from academicUnit, passingYear, program, employment and document verification status
+    const filter = scopeAlumniFilter(
+      buildAlumniFilter({
+        academicUnit: req.query.academicUnit,
+        passingYear: req.query.passingYear,
+        program: req.query.program,
+        employer: req.query.employer,
+        employmentType: req.query.employmentType,
+        documentStatus: req.query.documentStatus,
+        documentType: req.query.documentType,
+      }),
+      req.user,
+    )
 
     console.log("Filter applied:", filter) // Debug log for filter performance
 
@@ -122,7 +235,10 @@ router.get("/", async (req, res) => {
 
     // Get alumni with pagination and optimization
     const alumni = await Alumni.find(filter)
-      .select('name contactDetails.email academicUnit passingYear program registrationNumber createdAt') // Only select needed fields
+      .select(
+        `${LIST_FIELDS} qualifiedExams.certificateVerification.status employment.documentVerification.status ` +
+          "higherEducation.documentVerification.status",
+      ) // Only select needed fields
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -145,37 +261,28 @@ router.get("/", async (req, res) => {
 
 // @route   GET /api/alumni/search
 // @desc    Search alumni with pagination
-// @access  Private
-router.get("/search", auth.protect, async (req, res) => {
+// @access  Private (alumni:read) or API key
+router.get("/search", auth.protectWithApiKey, auth.authorize("alumni:read"), async (req, res) => {
   try {
-    const { query } = req.query
     const page = Number.parseInt(req.query.page) || 1
     const limit = Math.min(Number.parseInt(req.query.limit) || 10, 100) // Maximum 100 records per page
     const skip = (page - 1) * limit
 
     // Build search filter
-    const filter = {}
-
-    // Handle academic unit filter
-    if (req.query.academicUnit && req.query.academicUnit !== "all") {
-      filter.academicUnit = req.query.academicUnit
-    }
-    // If "all" is selected or no filter, don't add academicUnit filter - show all units
-
-    if (query) {
-      filter.$or = [
-        { name: { $regex: query, $options: "i" } },
-        { registrationNumber: { $regex: query, $options: "i" } },
-        { program: { $regex: query, $options: "i" } },
-      ]
-    }
+    const filter = scopeAlumniFilter(
+      buildAlumniFilter({
+        academicUnit: req.query.academicUnit,
+        query: req.query.query,
+      }),
+      req.user,
+    )
 
     // Get total count for pagination
     const total = await Alumni.countDocuments(filter)
 
     // Search alumni with pagination and optimization
     const alumni = await Alumni.find(filter)
-      .select('name contactDetails.email academicUnit passingYear program registrationNumber createdAt') // Only select needed fields
+      .select(LIST_FIELDS) // Only select needed fields
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -197,15 +304,15 @@ router.get("/search", auth.protect, async (req, res) => {
 })
 
 // @route   GET /api/alumni/stats
-// @desc    Get alumni statistics
-// @access  Public
+// @desc    Get alumni statistics for the user's academic units
+// @access  Private (alumni:stats) or API key
 // IMPORTANT: This route must be defined BEFORE the /:id route to prevent MongoDB from trying to cast "stats" as an ObjectId
-router.get("/stats", async (req, res) => {
+router.get("/stats", auth.protectWithApiKey, auth.authorize("alumni:stats"), async (req, res) => {
   try {
     console.log("Fetching alumni statistics...")
 
-    // No filter - get statistics for all academic units
-    const filter = {}
+    // Statistics cover every academic unit the user can access, ignoring deleted records
+    const filter = { ...NOT_DELETED, ...unitScopeFilter(req.user) }
 
     // Get total alumni count
     const totalAlumni = await Alumni.countDocuments(filter)
@@ -225,22 +332,51 @@ router.get("/stats", async (req, res) => {
       { $sort: { _id: 1 } },
     ])
 
-    // Get employment rate
+    // Get employment rate from each alumnus' current employment
     const employedCount = await Alumni.countDocuments({
       ...filter,
-      "employment.type": "Employed",
+      employment: { $elemMatch: { current: true, type: "Employed" } },
     })
 
     const employmentRate = totalAlumni > 0 ? Math.round((employedCount / totalAlumni) * 100) : 0
 
-    // Get higher education rate
+    // Current employment entries of the alumni in scope, for the breakdowns below
+    const currentEmployment = [
+      { $match: filter },
+      { $unwind: "$employment" },
+      { $match: { "employment.current": true } },
+    ]
+
+    // Get alumni count by type of current employment (someone with two current jobs is counted once per type)
+    const byEmploymentTypeResult = await Alumni.aggregate([
+      ...currentEmployment,
+      { $match: { "employment.type": { $nin: [null, ""] } } },
+      { $group: { _id: "$employment.type", alumni: { $addToSet: "$_id" } } },
+      { $project: { count: { $size: "$alumni" } } },
+      { $sort: { _id: 1 } },
+    ])
+
+    // Get the employers with the most current alumni
+    const topEmployers = await Alumni.aggregate([
+      ...currentEmployment,
+      { $match: { "employment.employerName": { $nin: [null, ""] } } },
+      { $group: { _id: "$employment.employerName", alumni: { $addToSet: "$_id" } } },
+      { $project: { _id: 0, employer: "$_id", count: { $size: "$alumni" } } },
+      { $sort: { count: -1, employer: 1 } },
+      { $limit: TOP_EMPLOYERS_LIMIT },
+    ])
+
+    // Get higher education rate from anyone with a higher education entry
     const higherEducationCount = await Alumni.countDocuments({
       ...filter,
-      "higherEducation.institutionName": { $exists: true, $ne: "" },
+      higherEducation: { $elemMatch: { institutionName: { $nin: [null, ""] } } },
     })
 
     const higherEducationRate = totalAlumni > 0 ? Math.round((higherEducationCount / totalAlumni) * 100) : 0
 
+    // Get how many uploaded documents have been verified
+    const [verificationCounts] = await Alumni.aggregate([{ $match: filter }, { $group: verificationCountsGroup() }])
+
     // Format data for response
     const byAcademicUnit = {}
     byAcademicUnitResult.forEach((item) => {
@@ -256,12 +392,20 @@ router.get("/stats", async (req, res) => {
       }
     })
 
+    const byEmploymentType = {}
+    byEmploymentTypeResult.forEach((item) => {
+      byEmploymentType[item._id] = item.count
+    })
+
     const stats = {
       totalAlumni,
       byAcademicUnit,
       byPassingYear,
       employmentRate,
       higherEducationRate,
+      byEmploymentType,
+      topEmployers,
+      documentVerification: formatVerificationCounts(verificationCounts),
     }
 
     console.log("Stats generated successfully:", stats)
@@ -272,12 +416,127 @@ router.get("/stats", async (req, res) => {
   }
 })
 
+// @route   GET /api/alumni/export
+// @desc    Export every alumni record matching the list/search filters as CSV, XLSX or PDF
+//          ?format=csv|xlsx|pdf&columns=name,registrationNumber,contactDetails.email
+//          &documentStatus=unverified&documentType=certificate&employer=&employmentType=
+// @access  Private (alumni:export) or API key
+router.get("/export", auth.protectWithApiKey, auth.authorize("alumni:export"), async (req, res) => {
+  const format = String(req.query.format || "csv").toLowerCase()
+  const formatConfig = EXPORT_FORMATS[format]
+
+  if (!formatConfig) {
+    return res.status(400).json({ message: `Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` })
+  }
+
+  const filterError = validateDocumentFilters(req.query) || validateEmploymentFilter(req.query)
+  if (filterError) {
+    return res.status(400).json({ message: filterError })
+  }
+
+  const { columns, unknownColumns } = resolveExportColumns(req.query.columns)
+
+  if (unknownColumns.length > 0 || columns.length === 0) {
+    return res.status(400).json({
+      message: `Unknown export columns: ${unknownColumns.join(", ") || "none selected"}`,
+      availableColumns: EXPORT_COLUMNS.map(({ path }) => path),
+    })
+  }
+
+  try {
+    const filters = {
+      academicUnit: req.query.academicUnit,
+      passingYear: req.query.passingYear,
+      program: req.query.program,
+      employer: req.query.employer,
+      employmentType: req.query.employmentType,
+      query: req.query.query,
+      documentStatus: req.query.documentStatus,
+      documentType: req.query.documentType,
+    }
+    const filter = scopeAlumniFilter(buildAlumniFilter(filters), req.user)
+
+    console.log(`Exporting alumni as ${format} with filter:`, filter)
+
+    // Stream the full result set instead of loading it into memory
+    const cursor = Alumni.find(filter)
+      .select(exportProjection(columns))
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor()
+
+    const appliedFilters = Object.entries(filters)
+      .filter(([, value]) => value && value !== "all")
+      .map(([key, value]) => `${key}: ${value}`)
+      .join(", ")
+
+    const filename = `alumni-export-${new Date().toISOString().split("T")[0]}.${formatConfig.extension}`
+    res.setHeader("Content-Type", formatConfig.contentType)
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+
+    await writeAlumniExport(format, cursor, columns, res, {
+      title: "Alumni Export",
+      subtitle: appliedFilters ? `Filters - ${appliedFilters}` : "All alumni",
+    })
+  } catch (error) {
+    console.error("Error exporting alumni:", error)
+
+    if (!res.headersSent) {
+      return res.status(500).json({ message: "Failed to export alumni" })
+    }
+
+    // Part of the file has already been sent, so the only option is to abort the download
+    res.destroy(error)
+  }
+})
+
+// @route   GET /api/alumni/trash
+// @desc    List deleted alumni waiting in the trash
+// @access  Private (alumni:restore)
+// IMPORTANT: Defined before the /:id route so "trash" is not cast as an ObjectId
+router.get("/trash", auth.protect, auth.authorize("alumni:restore"), async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Math.min(Number.parseInt(req.query.limit) || 10, 100) // Maximum 100 records per page
+    const skip = (page - 1) * limit
+
+    const filter = { deletedAt: { $ne: null }, ...unitScopeFilter(req.user) }
+
+    const total = await Alumni.countDocuments(filter)
+
+    const alumni = await Alumni.find(filter)
+      .select("name contactDetails.email academicUnit passingYear program registrationNumber deletedAt deletedBy")
+      .populate("deletedBy", "name email")
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+
+    res.json({
+      data: alumni.map((record) => ({
+        ...record,
+        purgeableAt: new Date(new Date(record.deletedAt).getTime() + TRASH_RETENTION_MS),
+      })),
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching alumni trash:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 // @route   GET /api/alumni/:id
 // @desc    Get alumni by ID
-// @access  Private
-router.get("/:id", auth.protect, async (req, res) => {
+// @access  Private (alumni:read) or API key
+router.get("/:id", auth.protectWithApiKey, auth.authorize("alumni:read"), async (req, res) => {
   try {
-    const alumni = await Alumni.findById(req.params.id)
+    const alumni = await Alumni.findOne({ _id: req.params.id, ...NOT_DELETED, ...unitScopeFilter(req.user) })
 
     if (!alumni) {
       return res.status(404).json({ message: "Alumni not found" })
@@ -297,11 +556,12 @@ router.get("/:id", auth.protect, async (req, res) => {
 
 // @route   POST /api/alumni
 // @desc    Create new alumni with file uploads
-// @access  Private
+// @access  Private (alumni:create)
 router.post(
   "/",
   [
     auth.protect, // Using auth.protect instead of auth
+    auth.authorize("alumni:create"),
     uploadFiles,
     check("name", "Name is required").not().isEmpty(),
     check("program", "Program is required").not().isEmpty(),
@@ -317,12 +577,17 @@ router.post(
 
     try {
       console.log("Creating new alumni with data:", req.body);
+
+      // Staff can only add alumni to their own academic units
+      const academicUnit = req.body.academicUnit || getDefaultUnit(req.user)
+
+      if (!canAccessUnit(req.user, academicUnit)) {
+        return res.status(403).json({ message: "You can only add alumni to your own academic units" })
+      }
       
       // Parse JSON strings if they were sent as strings
       let contactDetails = req.body.contactDetails
       let qualifiedExams = req.body.qualifiedExams
-      let employment = req.body.employment
-      let higherEducation = req.body.higherEducation
 
       if (typeof contactDetails === "string") {
         try {
@@ -342,27 +607,21 @@ router.post(
         }
       }
 
-      if (typeof employment === "string") {
-        try {
-          employment = JSON.parse(employment)
-        } catch (e) {
-          console.error("Error parsing employment:", e)
-          employment = {}
-        }
-      }
-
-      if (typeof higherEducation === "string") {
-        try {
-          higherEducation = JSON.parse(higherEducation)
-        } catch (e) {
-          console.error("Error parsing higherEducation:", e)
-          higherEducation = {}
-        }
+      // Employment and higher education are lists of history entries
+      const history = parseHistoryBody(req.body)
+      if (history.error) {
+        return res.status(400).json({ message: history.error })
       }
 
       // Check if alumni with same registration number already exists
       const existingAlumni = await Alumni.findOne({ registrationNumber: req.body.registrationNumber })
 
+      if (existingAlumni?.deletedAt) {
+        return res.status(400).json({
+          message: "Alumni with this registration number is in the trash. Restore it instead of creating a new record",
+        })
+      }
+
       if (existingAlumni) {
         return res.status(400).json({ message: "Alumni with this registration number already exists" })
       }
@@ -378,9 +637,9 @@ router.post(
       console.log("File URLs:", fileUrls);
 
       // Create new alumni
-      const newAlumni = new Alumni({
+      const alumniData = {
         name: req.body.name,
-        academicUnit: "School of Science and Technology", // Always set to SST
+        academicUnit,
         program: req.body.program,
         passingYear: req.body.passingYear,
         registrationNumber: req.body.registrationNumber,
@@ -389,17 +648,20 @@ router.post(
           ...(qualifiedExams || {}),
           certificateUrl: fileUrls.qualificationImageUrl || qualifiedExams?.certificateUrl || "",
         },
-        employment: {
-          ...(employment || {}),
-          documentUrl: fileUrls.employmentImageUrl || employment?.documentUrl || "",
-        },
-        higherEducation: {
-          ...(higherEducation || {}),
-          documentUrl: fileUrls.higherEducationImageUrl || higherEducation?.documentUrl || "",
-        },
+        // An uploaded document belongs to the current entry
+        employment: fileUrls.employmentImageUrl
+          ? attachDocumentToCurrent(history.employment || [], fileUrls.employmentImageUrl)
+          : history.employment || [],
+        higherEducation: fileUrls.higherEducationImageUrl
+          ? attachDocumentToCurrent(history.higherEducation || [], fileUrls.higherEducationImageUrl)
+          : history.higherEducation || [],
         basicInfoImageUrl: fileUrls.basicInfoImageUrl,
         createdBy: req.user.id,
-      })
+      }
+
+      // Uploaded documents start out pending verification
+      syncDocumentVerification(null, alumniData)
+      const newAlumni = new Alumni(alumniData)
 
       console.log("Saving new alumni:", newAlumni);
 
@@ -407,6 +669,8 @@ router.post(
       const alumni = await newAlumni.save()
       console.log("Alumni saved successfully:", alumni);
 
+      await recordAudit(req, { action: "alumni.create", entity: "Alumni", after: alumni })
+
       res.json(alumni)
     } catch (error) {
       console.error("Error creating alumni:", error)
@@ -415,18 +679,81 @@ router.post(
   },
 )
 
+// @route   POST /api/alumni/import
+// @desc    Bulk import alumni from a CSV or XLSX file
+//          ?dryRun=true returns the create/update/reject report without writing anything
+//          ?onDuplicate=update updates existing records instead of rejecting their rows
+// @access  Private (alumni:import)
+router.post("/import", [auth.protect, auth.authorize("alumni:import"), uploadImportFile], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "Please upload a CSV or XLSX file in the 'file' field" })
+    }
+
+    const dryRun = req.query.dryRun === "true"
+    const onDuplicate = req.query.onDuplicate || "reject"
+
+    if (!["reject", "update"].includes(onDuplicate)) {
+      return res.status(400).json({ message: "onDuplicate must be either 'reject' or 'update'" })
+    }
+
+    let rows
+    try {
+      rows = await parseImportFile(req.file)
+    } catch (parseError) {
+      console.error("Error parsing import file:", parseError)
+      return res.status(400).json({ message: "Could not read import file: " + parseError.message })
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: "Import file does not contain any rows" })
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Import files are limited to ${MAX_IMPORT_ROWS} rows` })
+    }
+
+    console.log(`${dryRun ? "Previewing" : "Importing"} ${rows.length} alumni rows from ${req.file.originalname}`)
+
+    const { entries, unmappedColumns } = await planImport(rows, { onDuplicate, user: req.user })
+    const results = dryRun ? entries : await applyImportPlan(entries, req)
+    const { summary, rows: rowReports } = summarizeImport(results)
+
+    console.log("Alumni import summary:", summary)
+
+    const written = summary.create + summary.update
+    res.json({
+      message: dryRun
+        ? `Dry run: ${summary.create} to create, ${summary.update} to update, ${summary.reject} rejected`
+        : `${written} of ${rows.length} alumni rows imported successfully`,
+      dryRun,
+      onDuplicate,
+      summary,
+      unmappedColumns,
+      rows: rowReports,
+    })
+  } catch (error) {
+    console.error("Error importing alumni:", error)
+    res.status(500).json({ message: "Failed to import alumni: " + error.message })
+  }
+})
+
 // @route   PUT /api/alumni/:id
 // @desc    Update alumni with file uploads
-// @access  Private
-router.put("/:id", [auth.protect, uploadFiles], async (req, res) => {
+// @access  Private (alumni:update)
+router.put("/:id", [auth.protect, auth.authorize("alumni:update"), uploadFiles], async (req, res) => {
   try {
-    // Find alumni
-    let alumni = await Alumni.findById(req.params.id)
+    // Find alumni within the user's academic units
+    let alumni = await Alumni.findOne({ _id: req.params.id, ...NOT_DELETED, ...unitScopeFilter(req.user) })
 
     if (!alumni) {
       return res.status(404).json({ message: "Alumni not found" })
     }
 
+    if (req.body.academicUnit && !canAccessUnit(req.user, req.body.academicUnit)) {
+      return res.status(403).json({ message: "You can only move alumni to your own academic units" })
+    }
+
     // Check if updating registration number and it already exists
     if (req.body.registrationNumber && req.body.registrationNumber !== alumni.registrationNumber) {
       const existingAlumni = await Alumni.findOne({ registrationNumber: req.body.registrationNumber })
@@ -439,8 +766,6 @@ router.put("/:id", [auth.protect, uploadFiles], async (req, res) => {
     // Parse JSON strings if they were sent as strings
     let contactDetails = req.body.contactDetails
     let qualifiedExams = req.body.qualifiedExams
-    let employment = req.body.employment
-    let higherEducation = req.body.higherEducation
 
     if (typeof contactDetails === "string") {
       try {
@@ -460,22 +785,10 @@ router.put("/:id", [auth.protect, uploadFiles], async (req, res) => {
       }
     }
 
-    if (typeof employment === "string") {
-      try {
-        employment = JSON.parse(employment)
-      } catch (e) {
-        console.error("Error parsing employment:", e)
-        employment = {}
-      }
-    }
-
-    if (typeof higherEducation === "string") {
-      try {
-        higherEducation = JSON.parse(higherEducation)
-      } catch (e) {
-        console.error("Error parsing higherEducation:", e)
-        higherEducation = {}
-      }
+    // Lists that are sent replace the record's history; entries with an _id update the existing entry
+    const history = parseHistoryBody(req.body)
+    if (history.error) {
+      return res.status(400).json({ message: history.error })
     }
 
     // Get file URLs if files were uploaded
@@ -489,7 +802,7 @@ router.put("/:id", [auth.protect, uploadFiles], async (req, res) => {
     // Update fields
     const updateFields = {
       name: req.body.name || alumni.name,
-      academicUnit: "School of Science and Technology", // Always set to SST
+      academicUnit: req.body.academicUnit || alumni.academicUnit,
       program: req.body.program || alumni.program,
       passingYear: req.body.passingYear || alumni.passingYear,
       registrationNumber: req.body.registrationNumber || alumni.registrationNumber,
@@ -502,22 +815,22 @@ router.put("/:id", [auth.protect, uploadFiles], async (req, res) => {
           alumni.qualifiedExams?.certificateUrl ||
           "",
       },
-      employment: {
-        ...(employment || alumni.employment),
-        documentUrl: fileUrls.employmentImageUrl || employment?.documentUrl || alumni.employment?.documentUrl || "",
-      },
-      higherEducation: {
-        ...(higherEducation || alumni.higherEducation),
-        documentUrl:
-          fileUrls.higherEducationImageUrl || higherEducation?.documentUrl || alumni.higherEducation?.documentUrl || "",
-      },
+      employment: updatedHistory(alumni, "employment", history.employment, fileUrls.employmentImageUrl),
+      higherEducation: updatedHistory(alumni, "higherEducation", history.higherEducation, fileUrls.higherEducationImageUrl),
       basicInfoImageUrl: fileUrls.basicInfoImageUrl || alumni.basicInfoImageUrl,
       updatedAt: Date.now(),
+      updatedBy: req.user.id,
     }
 
+    // Replaced documents need to be verified again
+    const before = snapshot(alumni)
+    syncDocumentVerification(before, updateFields)
+
     // Update alumni
     alumni = await Alumni.findByIdAndUpdate(req.params.id, updateFields, { new: true })
 
+    await recordAudit(req, { action: "alumni.update", entity: "Alumni", before, after: alumni })
+
     res.json(alumni)
   } catch (error) {
     console.error("Error updating alumni:", error)
@@ -530,10 +843,438 @@ router.put("/:id", [auth.protect, uploadFiles], async (req, res) => {
   }
 })
 
+// @route   PUT /api/alumni/:id/documents/:document/verification
+// @desc    Mark an uploaded document as verified, rejected or back to pending
+//          :document is certificate, employment or higherEducation; body { status, reason, entryId }
+//          entryId is the _id of the employment/higher education entry the document belongs to
+// @access  Private (alumni:verify)
+router.put("/:id/documents/:document/verification", auth.protect, auth.authorize("alumni:verify"), async (req, res) => {
+  try {
+    const document = getDocument(req.params.document)
+
+    if (!document) {
+      return res.status(404).json({ message: `Unknown document. Use one of: ${DOCUMENT_KEYS.join(", ")}` })
+    }
+
+    const { status } = req.body
+    const reason = String(req.body.reason || "").trim()
+
+    if (!VERIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid status. Use one of: ${VERIFICATION_STATUSES.join(", ")}` })
+    }
+
+    if (status === "rejected" && !reason) {
+      return res.status(400).json({ message: "Please provide a reason for rejecting the document" })
+    }
+
+    const alumni = await Alumni.findOne({ _id: req.params.id, ...NOT_DELETED, ...unitScopeFilter(req.user) })
+
+    if (!alumni) {
+      return res.status(404).json({ message: "Alumni not found" })
+    }
+
+    if (document.listPath && !req.body.entryId) {
+      return res.status(400).json({ message: `Please provide the entryId of the ${document.listPath} entry to verify` })
+    }
+
+    const holder = findDocumentHolder(alumni, document, req.body.entryId)
+
+    if (!holder) {
+      return res.status(404).json({ message: `No ${document.listPath} entry with this entryId` })
+    }
+
+    if (!holder.get(document.urlPath)) {
+      return res.status(400).json({ message: `This record has no ${document.label.toLowerCase()} to verify` })
+    }
+
+    const before = snapshot(alumni)
+    holder.set(
+      document.verificationPath,
+      status === "pending"
+        ? { status }
+        : { status, verifiedBy: req.user.id, verifiedAt: Date.now(), reason: reason || undefined },
+    )
+    alumni.updatedAt = Date.now()
+    alumni.updatedBy = req.user.id
+    await alumni.save()
+
+    console.log(`${document.label} of alumni ${alumni._id} marked ${status} by ${req.user.email}`)
+
+    await recordAudit(req, {
+      action: "alumni.verifyDocument",
+      entity: "Alumni",
+      before,
+      after: alumni,
+      metadata: {
+        document: document.key,
+        entryId: document.listPath ? holder._id : undefined,
+        status,
+        reason: reason || undefined,
+      },
+    })
+
+    res.json({
+      message: `${document.label} marked as ${status}`,
+      document: document.key,
+      entryId: document.listPath ? holder._id : undefined,
+      verification: holder.get(document.verificationPath),
+    })
+  } catch (error) {
+    console.error("Error updating document verification:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Alumni not found" })
+    }
+
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   PUT /api/alumni/:id/portal-account
+// @desc    Disable or re-enable the alumnus' self-service portal account. body { isActive }
+//          Disabling signs the alumnus out of every portal session and cancels any unused sign-in link
+// @access  Private (alumni:update)
+router.put("/:id/portal-account", auth.protect, auth.authorize("alumni:update"), async (req, res) => {
+  try {
+    if (typeof req.body.isActive !== "boolean") {
+      return res.status(400).json({ message: "isActive must be true or false" })
+    }
+
+    const alumni = await Alumni.findOne({ _id: req.params.id, ...NOT_DELETED, ...unitScopeFilter(req.user) }).select("_id")
+
+    if (!alumni) {
+      return res.status(404).json({ message: "Alumni not found" })
+    }
+
+    const account = await AlumniAccount.findOne({ alumni: alumni._id })
+
+    if (!account) {
+      return res.status(404).json({ message: "This alumnus has not claimed a portal account" })
+    }
+
+    const before = snapshot(account)
+    account.isActive = req.body.isActive
+
+    if (!account.isActive) {
+      account.tokenVersion += 1
+      account.magicLinkHash = undefined
+      account.magicLinkExpiresAt = undefined
+    }
+
+    await account.save()
+
+    console.log(`Portal account of alumni ${alumni._id} ${account.isActive ? "enabled" : "disabled"} by ${req.user.email}`)
+
+    await recordAudit(req, {
+      action: account.isActive ? "alumniAccount.enable" : "alumniAccount.disable",
+      entity: "AlumniAccount",
+      before,
+      after: account,
+      metadata: { alumni: alumni._id },
+    })
+
+    res.json({
+      message: account.isActive ? "Portal account enabled" : "Portal account disabled",
+      account,
+    })
+  } catch (error) {
+    console.error("Error updating alumni portal account:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Alumni not found" })
+    }
+
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   DELETE /api/alumni/trash/purge
+// @desc    Permanently delete every trashed alumni past the retention window
+// @access  Private (alumni:purge)
+router.delete("/trash/purge", auth.protect, auth.authorize("alumni:purge"), async (req, res) => {
+  try {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_MS)
+    const purgeFilter = { deletedAt: { $ne: null, $lte: cutoff }, ...unitScopeFilter(req.user) }
+
+    // Keep the final state of every purged record in the audit trail
+    const purged = await Alumni.find(purgeFilter).lean()
+
+    const result = await Alumni.deleteMany({ _id: { $in: purged.map((alumni) => alumni._id) } })
+    console.log(`Purged ${result.deletedCount} alumni deleted before ${cutoff.toISOString()}`)
+
+    for (const alumni of purged) {
+      await recordAudit(req, { action: "alumni.purge", entity: "Alumni", before: alumni })
+    }
+
+    res.json({
+      message: `${result.deletedCount} alumni permanently deleted`,
+      deletedCount: result.deletedCount,
+    })
+  } catch (error) {
+    console.error("Error purging alumni trash:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/alumni/:id/restore
+// @desc    Restore a deleted alumni from the trash
+// @access  Private (alumni:restore)
+router.post("/:id/restore", auth.protect, auth.authorize("alumni:restore"), async (req, res) => {
+  try {
+    const alumni = await Alumni.findOne({ _id: req.params.id, deletedAt: { $ne: null }, ...unitScopeFilter(req.user) })
+
+    if (!alumni) {
+      return res.status(404).json({ message: "Deleted alumni not found" })
+    }
+
+    const before = snapshot(alumni)
+    await alumni.restore(req.user.id)
+    console.log("Alumni restored from trash:", alumni.name)
+
+    await recordAudit(req, { action: "alumni.restore", entity: "Alumni", before, after: alumni })
+
+    res.json({ message: "Alumni restored", alumni })
+  } catch (error) {
+    console.error("Error restoring alumni:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Deleted alumni not found" })
+    }
+
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   DELETE /api/alumni/:id/permanent
+// @desc    Permanently delete a trashed alumni once the retention window has passed
+// @access  Private (alumni:purge)
+router.delete("/:id/permanent", auth.protect, auth.authorize("alumni:purge"), async (req, res) => {
+  try {
+    const alumni = await Alumni.findOne({ _id: req.params.id, deletedAt: { $ne: null }, ...unitScopeFilter(req.user) })
+
+    if (!alumni) {
+      return res.status(404).json({ message: "Deleted alumni not found" })
+    }
+
+    const purgeableAt = new Date(alumni.deletedAt.getTime() + TRASH_RETENTION_MS)
+    if (purgeableAt > new Date()) {
+      return res.status(400).json({
+        message: `Alumni can only be permanently deleted ${TRASH_RETENTION_DAYS} days after being moved to the trash`,
+        purgeableAt,
+      })
+    }
+
+    await Alumni.deleteOne({ _id: alumni._id })
+    console.log("Alumni permanently deleted:", alumni.name)
+
+    await recordAudit(req, { action: "alumni.purge", entity: "Alumni", before: alumni })
+
+    res.json({ message: "Alumni permanently deleted" })
+  } catch (error) {
+    console.error("Error permanently deleting alumni:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Deleted alumni not found" })
+    }
+
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Fields a rollback must never overwrite - identity, creation info and trash state
+const ROLLBACK_PRESERVED_FIELDS = ["createdAt", "createdBy", "deletedAt", "deletedBy"]
+
+// @route   GET /api/alumni/:id/history
+// @desc    List the revisions of an alumni record, newest first
+// @access  Private (alumni:history)
+router.get("/:id/history", auth.protect, auth.authorize("alumni:history"), async (req, res) => {
+  try {
+    const alumni = await Alumni.findOne({ _id: req.params.id, ...unitScopeFilter(req.user) }).select(
+      "name registrationNumber",
+    )
+
+    if (!alumni) {
+      return res.status(404).json({ message: "Alumni not found" })
+    }
+
+    const revisions = await AlumniRevision.find({ alumni: alumni._id })
+      .select("version changes changedBy changedByAlumni createdAt")
+      .populate("changedBy", "name email")
+      .sort({ version: -1 })
+      .lean()
+
+    res.json({
+      alumni: { _id: alumni._id, name: alumni.name, registrationNumber: alumni.registrationNumber },
+      data: revisions,
+      total: revisions.length,
+    })
+  } catch (error) {
+    console.error("Error fetching alumni history:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Alumni not found" })
+    }
+
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET /api/alumni/:id/history/compare?from=1&to=3
+// @desc    Compare two revisions of an alumni record field by field
+// @access  Private (alumni:history)
+router.get("/:id/history/compare", auth.protect, auth.authorize("alumni:history"), async (req, res) => {
+  try {
+    const from = Number.parseInt(req.query.from)
+    const to = Number.parseInt(req.query.to)
+
+    if (!from || !to) {
+      return res.status(400).json({ message: "Please provide the 'from' and 'to' revision numbers" })
+    }
+
+    if (!(await Alumni.exists({ _id: req.params.id, ...unitScopeFilter(req.user) }))) {
+      return res.status(404).json({ message: "Alumni not found" })
+    }
+
+    const revisions = await AlumniRevision.find({ alumni: req.params.id, version: { $in: [from, to] } }).lean()
+    const fromRevision = revisions.find((revision) => revision.version === from)
+    const toRevision = revisions.find((revision) => revision.version === to)
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ message: "Revision not found" })
+    }
+
+    res.json({
+      from: { version: from, createdAt: fromRevision.createdAt, changedBy: fromRevision.changedBy },
+      to: { version: to, createdAt: toRevision.createdAt, changedBy: toRevision.changedBy },
+      changes: diffDocuments(fromRevision.snapshot, toRevision.snapshot),
+    })
+  } catch (error) {
+    console.error("Error comparing alumni revisions:", error)
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Alumni not found" })
+    }
+
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET /api/alumni/:id/history/:version
+// @desc    Get the full record as it was saved in one revision
+// @access  Private (alumni:history)
+router.get("/:id/history/:version", auth.protect, auth.authorize("alumni:history"), async (req, res) => {
+  try {
+    if (!(await Alumni.exists({ _id: req.params.id, ...unitScopeFilter(req.user) }))) {
+      return res.status(404).json({ message: "Alumni not found" })
+    }
+
+    const revision = await AlumniRevision.findOne({
+      alumni: req.params.id,
+      version: Number.parseInt(req.params.version),
+    })
+      .populate("changedBy", "name email")
+      .lean()
+
+    if (!revision) {
+      return res.status(404).json({ message: "Revision not found" })
+    }
+
+    res.json(revision)
+  } catch (error) {
+    console.error("Error fetching alumni revision:", error)
+
+    if (error.kind === "ObjectId" || error.name === "CastError") {
+      return res.status(404).json({ message: "Revision not found" })
+    }
+
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/alumni/:id/history/:version/rollback
+// @desc    Roll an alumni record back to an earlier revision (saved as a new revision)
+// @access  Private (alumni:history, alumni:update)
+router.post("/:id/history/:version/rollback", auth.protect, auth.authorize("alumni:history", "alumni:update"), async (req, res) => {
+  try {
+    const alumni = await Alumni.findOne({ _id: req.params.id, ...NOT_DELETED, ...unitScopeFilter(req.user) })
+
+    if (!alumni) {
+      return res.status(404).json({ message: "Alumni not found" })
+    }
+
+    const revision = await AlumniRevision.findOne({
+      alumni: alumni._id,
+      version: Number.parseInt(req.params.version),
+    }).lean()
+
+    if (!revision) {
+      return res.status(404).json({ message: "Revision not found" })
+    }
+
+    const restored = { ...revision.snapshot }
+    ROLLBACK_PRESERVED_FIELDS.forEach((field) => delete restored[field])
+
+    // Revisions saved before history existed hold single employment/higher education objects
+    HISTORY_LIST_NAMES.forEach((listName) => {
+      restored[listName] = toHistoryList(restored[listName])
+    })
+
+    if (!canAccessUnit(req.user, restored.academicUnit)) {
+      return res.status(403).json({ message: "This revision belongs to an academic unit you cannot access" })
+    }
+
+    // The old registration number may have been given to another record since
+    if (restored.registrationNumber !== alumni.registrationNumber) {
+      const existingAlumni = await Alumni.findOne({ registrationNumber: restored.registrationNumber })
+
+      if (existingAlumni) {
+        return res.status(400).json({
+          message: "Cannot roll back: another alumni now uses this revision's registration number",
+        })
+      }
+    }
+
+    const before = snapshot(alumni)
+    const preserved = {}
+    ROLLBACK_PRESERVED_FIELDS.forEach((field) => {
+      preserved[field] = alumni[field]
+    })
+
+    alumni.overwrite({
+      ...restored,
+      ...preserved,
+      _id: alumni._id,
+      updatedAt: Date.now(),
+      updatedBy: req.user.id,
+    })
+    await alumni.save()
+
+    console.log(`Alumni ${alumni._id} rolled back to revision ${revision.version}`)
+
+    await recordAudit(req, {
+      action: "alumni.rollback",
+      entity: "Alumni",
+      before,
+      after: alumni,
+      metadata: { version: revision.version },
+    })
+
+    res.json({ message: `Alumni rolled back to revision ${revision.version}`, alumni })
+  } catch (error) {
+    console.error("Error rolling back alumni:", error)
+
+    if (error.kind === "ObjectId" || error.name === "CastError") {
+      return res.status(404).json({ message: "Alumni not found" })
+    }
+
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 // @route   DELETE /api/alumni/bulk
-// @desc    Delete multiple alumni
-// @access  Private
-router.delete("/bulk", auth.protect, auth.admin, async (req, res) => {
+// @desc    Move multiple alumni to the trash
+// @access  Private (alumni:delete)
+router.delete("/bulk", auth.protect, auth.authorize("alumni:delete"), async (req, res) => {
   try {
     console.log("Bulk delete request received")
     console.log("User making request:", req.user)
@@ -548,19 +1289,30 @@ router.delete("/bulk", auth.protect, auth.admin, async (req, res) => {
 
     console.log("Attempting to delete alumni IDs:", ids)
 
-    // Delete multiple alumni
-    const result = await Alumni.deleteMany({ _id: { $in: ids } })
-    console.log("Bulk delete result:", result)
+    // Soft delete each record so it can be restored from the trash
+    const alumniList = await Alumni.find({ _id: { $in: ids }, ...NOT_DELETED, ...unitScopeFilter(req.user) })
 
-    if (result.deletedCount === 0) {
+    if (alumniList.length === 0) {
       console.log("No alumni found to delete")
       return res.status(404).json({ message: "No alumni found to delete" })
     }
 
-    console.log(`Successfully deleted ${result.deletedCount} alumni`)
+    for (const alumni of alumniList) {
+      const before = snapshot(alumni)
+      await alumni.softDelete(req.user.id)
+      await recordAudit(req, {
+        action: "alumni.delete",
+        entity: "Alumni",
+        before,
+        after: alumni,
+        metadata: { bulk: true },
+      })
+    }
+
+    console.log(`Successfully moved ${alumniList.length} alumni to the trash`)
     res.json({ 
-      message: `${result.deletedCount} alumni removed successfully`,
-      deletedCount: result.deletedCount
+      message: `${alumniList.length} alumni moved to the trash`,
+      deletedCount: alumniList.length
     })
   } catch (error) {
     console.error("Error deleting multiple alumni:", error)
@@ -569,15 +1321,15 @@ router.delete("/bulk", auth.protect, auth.admin, async (req, res) => {
 })
 
 // @route   DELETE /api/alumni/:id
-// @desc    Delete alumni
-// @access  Private
-router.delete("/:id", auth.protect, auth.admin, async (req, res) => {
+// @desc    Move alumni to the trash
+// @access  Private (alumni:delete)
+router.delete("/:id", auth.protect, auth.authorize("alumni:delete"), async (req, res) => {
   try {
     console.log("Delete alumni request received for ID:", req.params.id)
     console.log("User making request:", req.user)
     
-    // Find alumni
-    const alumni = await Alumni.findById(req.params.id)
+    // Find alumni within the user's academic units
+    const alumni = await Alumni.findOne({ _id: req.params.id, ...NOT_DELETED, ...unitScopeFilter(req.user) })
 
     if (!alumni) {
       console.log("Alumni not found with ID:", req.params.id)
@@ -586,11 +1338,13 @@ router.delete("/:id", auth.protect, auth.admin, async (req, res) => {
 
     console.log("Found alumni:", alumni.name)
 
-    // Delete alumni
-    const deleteResult = await Alumni.deleteOne({ _id: req.params.id })
-    console.log("Delete result:", deleteResult)
+    // Soft delete so the record can be restored from the trash
+    const before = snapshot(alumni)
+    await alumni.softDelete(req.user.id)
+
+    await recordAudit(req, { action: "alumni.delete", entity: "Alumni", before, after: alumni })
 
-    res.json({ message: "Alumni removed" })
+    res.json({ message: "Alumni moved to the trash" })
   } catch (error) {
     console.error("Error deleting alumni:", error)
 
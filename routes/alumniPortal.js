@@ -0,0 +1,56 @@
+import express from "express"
+import {
+  claimRecord,
+  requestMagicLink,
+  verifyMagicLink,
+  logoutAlumni,
+  getMyRecord,
+  updateMyRecord,
+  getMyChangeRequests,
+  withdrawMyChangeRequest,
+} from "../controllers/alumniPortal.js"
+import { protectAlumni } from "../middleware/auth.js"
+
+const router = express.Router()
+
+// @route   POST /api/alumni-portal/claim
+// @desc    Claim an alumni record by registration number and email, and receive a sign-in link
+// @access  Public
+router.post("/claim", claimRecord)
+
+// @route   POST /api/alumni-portal/magic-link
+// @desc    Request a sign-in link for a claimed record
+// @access  Public
+router.post("/magic-link", requestMagicLink)
+
+// @route   POST /api/alumni-portal/verify
+// @desc    Exchange a sign-in link token for a portal token
+// @access  Public
+router.post("/verify", verifyMagicLink)
+
+// @route   POST /api/alumni-portal/logout
+// @desc    Sign out of the portal on every device
+// @access  Private (alumni portal)
+router.post("/logout", protectAlumni, logoutAlumni)
+
+// @route   GET /api/alumni-portal/me
+// @desc    Get the signed-in alumnus' record
+// @access  Private (alumni portal)
+router.get("/me", protectAlumni, getMyRecord)
+
+// @route   PUT /api/alumni-portal/me
+// @desc    Update contact details; employment and higher education changes go to staff review
+// @access  Private (alumni portal)
+router.put("/me", protectAlumni, updateMyRecord)
+
+// @route   GET /api/alumni-portal/me/changes
+// @desc    List submitted changes and their review outcome
+// @access  Private (alumni portal)
+router.get("/me/changes", protectAlumni, getMyChangeRequests)
+
+// @route   DELETE /api/alumni-portal/me/changes
+// @desc    Withdraw changes that are still waiting for review
+// @access  Private (alumni portal)
+router.delete("/me/changes", protectAlumni, withdrawMyChangeRequest)
+
+export default router
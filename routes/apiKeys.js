@@ -0,0 +1,27 @@
+import express from "express"
+import { getApiKeys, createApiKey, updateApiKey, revokeApiKey } from "../controllers/apiKeys.js"
+import { protect, authorize } from "../middleware/auth.js"
+
+const router = express.Router()
+
+// @route   GET /api/api-keys
+// @desc    List API keys for integrations
+// @access  Private (apiKeys:manage)
+router.get("/", protect, authorize("apiKeys:manage"), getApiKeys)
+
+// @route   POST /api/api-keys
+// @desc    Create a scoped API key
+// @access  Private (apiKeys:manage)
+router.post("/", protect, authorize("apiKeys:manage"), createApiKey)
+
+// @route   PUT /api/api-keys/:id
+// @desc    Update an API key's name, scopes, units, rate limit or expiry
+// @access  Private (apiKeys:manage)
+router.put("/:id", protect, authorize("apiKeys:manage"), updateApiKey)
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private (apiKeys:manage)
+router.delete("/:id", protect, authorize("apiKeys:manage"), revokeApiKey)
+
+export default router
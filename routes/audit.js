@@ -0,0 +1,12 @@
+import express from "express"
+import { getAuditLogs } from "../controllers/audit.js"
+import { protect, authorize } from "../middleware/auth.js"
+
+const router = express.Router()
+
+// @route   GET /api/audit-logs
+// @desc    Query the audit trail by user, entity and date range
+// @access  Private (audit:read)
+router.get("/", protect, authorize("audit:read"), getAuditLogs)
+
+export default router
@@ -6,17 +6,49 @@ import {
   updateUserProfile,
   updateUserPassword,
   updateUserSettings,
+  getInvitationByToken,
+  acceptInvitation,
+  refreshSession,
+  logoutUser,
+  logoutAllDevices,
+  getMySessions,
+  revokeMySession,
+  verifyEmail,
+  resendVerification,
 } from "../controllers/auth.js"
-import { protect } from "../middleware/auth.js"
+import { protect, protectTwoFactorSetup } from "../middleware/auth.js"
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../controllers/twoFactor.js"
+import {
+  getOAuthProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  startOAuthRedirect,
+  confirmOAuthLink,
+  oauthCallback,
+  verifyOAuth,
+  getLinkedAccounts,
+  unlinkOAuthAccount,
+} from "../controllers/oauth.js"
+import { getMetadata, samlLogin, samlAcs } from "../controllers/saml.js"
 import User from "../models/user.js"
-import jwt from "jsonwebtoken"
-import nodemailer from "nodemailer"
+import Session from "../models/session.js"
 import crypto from "crypto"
 import { check, validationResult } from "express-validator"
 import multer from "multer"
 import { v2 as cloudinary } from "cloudinary"
 import { CloudinaryStorage } from "multer-storage-cloudinary"
-import axios from "axios"
+import { recordAudit, snapshot } from "../utils/audit.js"
+import { sendPasswordResetEmail } from "../utils/mailer.js"
+import { isSelfRegistrationOpen } from "../utils/registration.js"
+import { generateAccessToken } from "../utils/tokens.js"
+import { checkPasswordPolicy, describePasswordPolicy } from "../utils/passwordPolicy.js"
 
 // Configure Cloudinary storage for avatars
 const avatarStorage = new CloudinaryStorage({
@@ -41,74 +73,6 @@ const uploadAvatar = multer({
   },
 })
 
-// Generate JWT token function
-const generateToken = (user) => {
-  return jwt.sign(
-    {
-      id: user._id,
-      email: user.email,
-      role: user.role,
-    },
-    process.env.JWT_SECRET,
-    {
-      expiresIn: "30d",
-    },
-  )
-}
-
-// Function to upload Google profile picture to Cloudinary
-const uploadGoogleAvatarToCloudinary = async (googleAvatarUrl, userId) => {
-  try {
-    if (!googleAvatarUrl) return null
-
-    if (process.env.NODE_ENV === 'development') {
-      console.log("Starting Google avatar upload to Cloudinary for user:", userId)
-      console.log("Google avatar URL:", googleAvatarUrl)
-    }
-
-    // Download the image from Google
-    const response = await axios.get(googleAvatarUrl, {
-      responseType: 'arraybuffer'
-    })
-
-    if (process.env.NODE_ENV === 'development') {
-      console.log("Downloaded image from Google, size:", response.data.length, "bytes")
-    }
-
-    // Convert to base64
-    const buffer = Buffer.from(response.data, 'binary')
-    const base64Image = buffer.toString('base64')
-    const dataURI = `data:${response.headers['content-type']};base64,${base64Image}`
-
-    if (process.env.NODE_ENV === 'development') {
-      console.log("Converted to base64, content type:", response.headers['content-type'])
-    }
-
-    // Upload to Cloudinary
-    const uploadResult = await cloudinary.uploader.upload(dataURI, {
-      folder: 'hsst-alumni-avatars',
-      public_id: `google_avatar_${userId}`,
-      overwrite: true,
-      transformation: [
-        { width: 400, height: 400, crop: 'fill', gravity: 'face' }
-      ]
-    })
-
-    if (process.env.NODE_ENV === 'development') {
-      console.log("Successfully uploaded to Cloudinary:", uploadResult.secure_url)
-    }
-
-    return uploadResult.secure_url
-  } catch (error) {
-    if (process.env.NODE_ENV === 'development') {
-      console.error("Error uploading Google avatar to Cloudinary:", error)
-      console.error("Error details:", error.message)
-    }
-    // Return original URL if Cloudinary upload fails
-    return googleAvatarUrl
-  }
-}
-
 const router = express.Router()
 
 // @route   GET /api/auth/health
@@ -126,11 +90,64 @@ router.post(
   [
     check("name", "Name is required").not().isEmpty(),
     check("email", "Please include a valid email").isEmail(),
-    check("password", "Please enter a password with 6 or more characters").isLength({ min: 6 }),
+    check("password", "Password is required").not().isEmpty(),
   ],
   registerUser,
 )
 
+// @route   GET /api/auth/registration
+// @desc    Tell the frontend whether open self-registration is available
+// @access  Public
+router.get("/registration", async (req, res) => {
+  try {
+    res.json({ selfRegistration: await isSelfRegistrationOpen() })
+  } catch (error) {
+    console.error("Registration status error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from a verification link
+// @access  Public (verification token)
+router.post("/verify-email", verifyEmail)
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Public
+router.post("/resend-verification", resendVerification)
+
+// @route   GET /api/auth/password-policy
+// @desc    Password requirements, for showing next to password fields
+// @access  Public
+router.get("/password-policy", (req, res) => {
+  res.json(describePasswordPolicy())
+})
+
+// @route   GET /api/auth/invitations/:token
+// @desc    Look up a pending invitation from an invite link
+// @access  Public
+router.get("/invitations/:token", getInvitationByToken)
+
+// @route   POST /api/auth/accept-invite
+// @desc    Accept an invitation and set a password
+// @access  Public
+router.post(
+  "/accept-invite",
+  [
+    check("token", "Token is required").not().isEmpty(),
+    check("password", "Password is required").not().isEmpty(),
+  ],
+  (req, res, next) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+    next()
+  },
+  acceptInvitation,
+)
+
 // @route   POST /api/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
@@ -140,6 +157,61 @@ router.post(
   loginUser,
 )
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public (refresh token)
+router.post("/refresh", refreshSession)
+
+// @route   POST /api/auth/logout
+// @desc    Log out of the current device
+// @access  Public (refresh token)
+router.post("/logout", logoutUser)
+
+// @route   POST /api/auth/logout-all
+// @desc    Sign out of every device
+// @access  Private
+router.post("/logout-all", protect, logoutAllDevices)
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get("/2fa", protect, getTwoFactorStatus)
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolling an authenticator app (returns secret and QR code)
+// @access  Private (or setup challenge token from login)
+router.post("/2fa/setup", protectTwoFactorSetup, setupTwoFactor)
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and receive recovery codes
+// @access  Private (or setup challenge token from login)
+router.post("/2fa/enable", protectTwoFactorSetup, enableTwoFactor)
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Second login step with a TOTP code or a recovery code
+// @access  Public (challenge token from login)
+router.post("/2fa/verify", verifyTwoFactorLogin)
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post("/2fa/disable", protect, disableTwoFactor)
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes
+// @access  Private
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes)
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (device, IP, created, last used)
+// @access  Private
+router.get("/sessions", protect, getMySessions)
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of your sessions
+// @access  Private
+router.delete("/sessions/:id", protect, revokeMySession)
+
 // @route   GET /api/auth/profile
 // @desc    Get user profile
 // @access  Private
@@ -181,89 +253,26 @@ router.post("/forgot-password", [check("email", "Please include a valid email").
     const resetToken = crypto.randomBytes(32).toString("hex")
     const resetTokenExpiry = Date.now() + 3600000 // Token valid for 1 hour
 
+    const before = snapshot(user)
     user.resetToken = resetToken
     user.resetTokenExpiry = resetTokenExpiry
     await user.save()
 
-    if (process.env.NODE_ENV === 'development') {
-      console.log("Reset token generated and saved:", resetToken)
-    }
+    await recordAudit(req, { action: "user.requestPasswordReset", entity: "User", before, after: user })
 
-    // Create a nodemailer transporter with detailed logging
     if (process.env.NODE_ENV === 'development') {
-      console.log("Setting up email transporter with:", {
-        service: process.env.EMAIL_SERVICE,
-        user: process.env.EMAIL_USER,
-        // Password hidden for security
-      })
-    }
-
-    const transporter = nodemailer.createTransport({
-      service: process.env.EMAIL_SERVICE,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD,
-      },
-      debug: true, // Enable debug output
-      logger: true, // Log information about the transport mechanism
-    })
-
-    // Verify the transporter configuration
-    try {
-          if (process.env.NODE_ENV === 'development') {
-      console.log("Verifying email transporter configuration...")
-    }
-    await transporter.verify()
-    if (process.env.NODE_ENV === 'development') {
-      console.log("Email transporter verification successful")
-    }
-    } catch (verifyError) {
-      console.error("Email transporter verification failed:", verifyError)
-      return res.status(500).json({ message: "Email service configuration error" })
-    }
-
-    // Email content
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`
-
-    // Use the same email for FROM as the authenticated user
-    const mailOptions = {
-      from: `"Password Reset" <${process.env.EMAIL_USER}>`, // Use the authenticated email address
-      to: email,
-      subject: "Password Reset Request",
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
-          <h2 style="color: #333;">Password Reset Request</h2>
-          <p>Hello,</p>
-          <p>You requested a password reset. Please click the button below to reset your password:</p>
-          <div style="text-align: center; margin: 25px 0;">
-            <a href="${resetUrl}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px; display: inline-block;">Reset Password</a>
-          </div>
-          <p>Or copy and paste this link in your browser:</p>
-          <p style="word-break: break-all;"><a href="${resetUrl}">${resetUrl}</a></p>
-          <p>If you did not request this, please ignore this email.</p>
-          <p>This link will expire in 1 hour.</p>
-          <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-          <p style="color: #777; font-size: 12px;">This is an automated email, please do not reply.</p>
-        </div>
-      `,
-    }
-
-    if (process.env.NODE_ENV === 'development') {
-      console.log("Sending email to:", email)
-      console.log("Reset URL:", resetUrl)
-      console.log("Email from:", mailOptions.from)
+      console.log("Reset token generated and saved:", resetToken)
     }
 
-    // Send the email with detailed error handling
+    // Send the email with detailed error handling; failed deliveries stay in the outbox and are retried
     try {
-      const info = await transporter.sendMail(mailOptions)
-      if (process.env.NODE_ENV === 'development') {
-        console.log("Email sent successfully:", info.response)
-        console.log("Message ID:", info.messageId)
-        console.log("Preview URL:", nodemailer.getTestMessageUrl(info))
-      }
-
-      res.json({ message: "Password reset instructions sent to your email" })
+      const message = await sendPasswordResetEmail(user.email, resetToken)
+      res.json({
+        message:
+          message.status === "sent"
+            ? "Password reset instructions sent to your email"
+            : "Password reset instructions will be sent to your email shortly",
+      })
     } catch (emailError) {
       console.error("Email sending failed:", emailError)
       return res.status(500).json({ message: "Failed to send email. Please try again later." })
@@ -281,7 +290,7 @@ router.post(
   "/reset-password",
   [
     check("token", "Token is required").not().isEmpty(),
-    check("newPassword", "Please enter a password with 6 or more characters").isLength({ min: 6 }),
+    check("newPassword", "New password is required").not().isEmpty(),
   ],
   async (req, res) => {
     const errors = validationResult(req)
@@ -301,7 +310,7 @@ router.post(
       const user = await User.findOne({
         resetToken: token,
         resetTokenExpiry: { $gt: Date.now() },
-      })
+      }).select("+passwordHistory")
 
       if (!user) {
         if (process.env.NODE_ENV === 'development') {
@@ -314,15 +323,32 @@ router.post(
         console.log("User found, resetting password")
       }
 
+      const passwordErrors = await checkPasswordPolicy(newPassword, user)
+      if (passwordErrors.length > 0) {
+        return res.status(400).json({ message: passwordErrors[0], passwordErrors })
+      }
+
+      const before = snapshot(user)
+
       // Set the new password - let the pre-save hook handle the hashing
       user.password = newPassword
 
       // Clear the reset token fields
       user.resetToken = undefined
       user.resetTokenExpiry = undefined
+      user.passwordResetRequired = false
+
+      // Proving ownership of the email address also lifts a lockout
+      user.failedLoginAttempts = 0
+      user.lockUntil = undefined
 
       await user.save()
 
+      await recordAudit(req, { action: "user.resetPassword", entity: "User", before, after: user, actor: user })
+
+      // Whoever knew the old password may still be signed in somewhere
+      await Session.revokeAllForUser(user._id, "password-reset")
+
       if (process.env.NODE_ENV === 'development') {
         console.log("Password reset successful")
       }
@@ -352,151 +378,109 @@ router.put(
   [
     protect,
     check("currentPassword", "Current password is required").exists(),
-    check("newPassword", "Please enter a new password with 6 or more characters").isLength({ min: 6 }),
+    check("newPassword", "New password is required").not().isEmpty(),
   ],
   updateUserPassword,
 )
 
-// OAuth verification route
-router.post("/verify-oauth", async (req, res) => {
-  try {
-    const { email, otp, oauthData } = req.body
-
-    // For OAuth users, we skip OTP verification since Google already verified them
-    // Check if user already exists
-    const existingUser = await User.findOne({ 
-      $or: [
-        { email: oauthData.email },
-        { googleId: oauthData.googleId }
-      ]
-    })
+// @route   POST /api/auth/verify-oauth
+// @desc    Create the account for a new OAuth user after the frontend's verification step
+// @access  Public (signup token from the OAuth callback)
+router.post("/verify-oauth", verifyOAuth)
 
-    if (existingUser) {
-      // Update existing user with OAuth info if needed
-      if (!existingUser.googleId) {
-        existingUser.googleId = oauthData.googleId
-        existingUser.isOAuthUser = true
-        if (oauthData.avatar) {
-          // Upload Google profile picture to Cloudinary if it's from Google
-          if (oauthData.avatar.includes('googleusercontent.com')) {
-            try {
-              const cloudinaryAvatarUrl = await uploadGoogleAvatarToCloudinary(oauthData.avatar, existingUser._id)
-              if (cloudinaryAvatarUrl) {
-                existingUser.avatar = cloudinaryAvatarUrl
-              } else {
-                existingUser.avatar = oauthData.avatar
-              }
-            } catch (error) {
-              if (process.env.NODE_ENV === 'development') {
-                console.error("Failed to upload Google avatar to Cloudinary:", error)
-              }
-              existingUser.avatar = oauthData.avatar
-            }
-          } else {
-            existingUser.avatar = oauthData.avatar
-          }
-        }
-        await existingUser.save()
-      }
+// @route   GET /api/auth/oauth/providers
+// @desc    List the OAuth/OIDC providers users can sign in with
+// @access  Public
+router.get("/oauth/providers", getOAuthProviders)
 
-      // Generate token for existing user
-      const token = generateToken(existingUser)
-
-      const responseData = {
-        _id: existingUser._id,
-        name: existingUser.name,
-        email: existingUser.email,
-        role: existingUser.role,
-        avatar: existingUser.avatar,
-        isOAuthUser: existingUser.isOAuthUser,
-        settings: existingUser.settings,
-        token,
-      }
+// @route   GET /api/auth/linked-accounts
+// @desc    List the provider accounts linked to the current user
+// @access  Private
+router.get("/linked-accounts", protect, getLinkedAccounts)
 
-      if (process.env.NODE_ENV === 'development') {
-      console.log("OAuth verification successful (existing user), sending response:", responseData)
-    }
-      res.json(responseData)
-    } else {
-      // Create new user with OAuth data
-      const newUser = await User.create(oauthData)
-      
-      // Upload Google profile picture to Cloudinary if it exists
-      if (oauthData.avatar && oauthData.avatar.includes('googleusercontent.com')) {
-        if (process.env.NODE_ENV === 'development') {
-          console.log("Found Google avatar for new user, attempting upload to Cloudinary")
-        }
-        try {
-          const cloudinaryAvatarUrl = await uploadGoogleAvatarToCloudinary(oauthData.avatar, newUser._id)
-          if (cloudinaryAvatarUrl) {
-            newUser.avatar = cloudinaryAvatarUrl
-            await newUser.save()
-            if (process.env.NODE_ENV === 'development') {
-              console.log("Successfully updated user avatar to Cloudinary URL")
-            }
-          }
-        } catch (error) {
-          if (process.env.NODE_ENV === 'development') {
-            console.error("Failed to upload Google avatar to Cloudinary:", error)
-          }
-          // Continue with original avatar if upload fails
-        }
-      } else {
-        if (process.env.NODE_ENV === 'development') {
-          console.log("No Google avatar found or not a Google URL:", oauthData.avatar)
-        }
-      }
-      
-      // Generate token
-      const token = generateToken(newUser)
-
-      const responseData = {
-        _id: newUser._id,
-        name: newUser.name,
-        email: newUser.email,
-        role: newUser.role,
-        avatar: newUser.avatar,
-        isOAuthUser: newUser.isOAuthUser,
-        settings: newUser.settings,
-        token,
-      }
+// @route   GET /api/auth/oauth/:provider
+// @desc    Get the URL that starts a sign-in with the provider
+// @access  Public
+router.get("/oauth/:provider", startOAuthLogin)
 
-      if (process.env.NODE_ENV === 'development') {
-      console.log("OAuth verification successful, sending response:", responseData)
-    }
-      res.json(responseData)
-    }
-  } catch (error) {
-    console.error("OAuth verification error:", error)
-    res.status(500).json({ message: "Failed to verify OAuth user" })
-  }
-})
+// @route   GET /api/auth/oauth/:provider/start
+// @desc    Browser navigation that sets the binding cookie and redirects to the provider
+// @access  Public
+router.get("/oauth/:provider/start", startOAuthRedirect)
+
+// @route   GET /api/auth/oauth/:provider/callback
+// @desc    Provider redirect after sign-in
+// @access  Public
+router.get("/oauth/:provider/callback", oauthCallback)
+
+// @route   POST /api/auth/oauth/:provider/link
+// @desc    Get the URL that starts linking the provider to the current user
+// @access  Private
+router.post("/oauth/:provider/link", protect, startOAuthLink)
+
+// @route   POST /api/auth/oauth/:provider/link/complete
+// @desc    Link the provider account from the link token the callback sent to the frontend
+// @access  Private
+router.post("/oauth/:provider/link/complete", protect, confirmOAuthLink)
+
+// @route   DELETE /api/auth/oauth/:provider/link
+// @desc    Unlink a provider account from the current user
+// @access  Private
+router.delete("/oauth/:provider/link", protect, unlinkOAuthAccount)
+
+// Google OAuth routes, kept for existing frontends and the redirect URI registered with Google
+const useProvider = (provider) => (req, res, next) => {
+  req.params.provider = provider
+  next()
+}
 
-// Avatar upload route
-router.post("/upload-avatar", uploadAvatar.single("avatar"), async (req, res) => {
+// @route   GET /api/auth/google
+// @desc    Get the URL that starts a Google sign-in (same as /oauth/google)
+// @access  Public
+router.get("/google", useProvider("google"), startOAuthLogin)
+
+// @route   GET /api/auth/google/callback
+// @desc    Google redirect after sign-in (same as /oauth/google/callback)
+// @access  Public
+router.get("/google/callback", useProvider("google"), oauthCallback)
+
+// @route   GET /api/auth/saml/metadata
+// @desc    SAML service provider metadata for the IdP
+// @access  Public
+router.get("/saml/metadata", getMetadata)
+
+// @route   GET /api/auth/saml/login
+// @desc    Start SAML single sign-on (redirects to the IdP)
+// @access  Public
+router.get("/saml/login", samlLogin)
+
+// @route   POST /api/auth/saml/acs
+// @desc    SAML assertion consumer service
+// @access  Public (signed SAML response)
+router.post("/saml/acs", samlAcs)
+
+// Avatar upload route - always updates the signed-in user
+router.post("/upload-avatar", protect, uploadAvatar.single("avatar"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: "No avatar file uploaded" })
     }
 
-    const { userId } = req.body
-
-    if (!userId) {
-      return res.status(400).json({ message: "User ID is required" })
-    }
-
     // Find user
-    const user = await User.findById(userId)
+    const user = await User.findById(req.user.id)
     if (!user) {
       return res.status(404).json({ message: "User not found" })
     }
 
     // Update user avatar with Cloudinary URL
+    const before = snapshot(user)
     user.avatar = req.file.path
     await user.save()
 
-    // Generate new token with updated user info
-    const token = generateToken(user)
+    await recordAudit(req, { action: "user.updateAvatar", entity: "User", before, after: user })
+
+    // Generate new token with updated user info for the current session
+    const token = generateAccessToken(user, req.user.sessionId)
 
     res.json({
       message: "Avatar uploaded successfully",
@@ -517,17 +501,11 @@ router.post("/upload-avatar", uploadAvatar.single("avatar"), async (req, res) =>
   }
 })
 
-// Remove avatar route
-router.post("/remove-avatar", async (req, res) => {
+// Remove avatar route - always updates the signed-in user
+router.post("/remove-avatar", protect, async (req, res) => {
   try {
-    const { userId } = req.body
-
-    if (!userId) {
-      return res.status(400).json({ message: "User ID is required" })
-    }
-
     // Find user
-    const user = await User.findById(userId)
+    const user = await User.findById(req.user.id)
     if (!user) {
       return res.status(404).json({ message: "User not found" })
     }
@@ -556,11 +534,14 @@ router.post("/remove-avatar", async (req, res) => {
     }
 
     // Clear avatar field
+    const before = snapshot(user)
     user.avatar = undefined
     await user.save()
 
-    // Generate new token with updated user info
-    const token = generateToken(user)
+    await recordAudit(req, { action: "user.removeAvatar", entity: "User", before, after: user })
+
+    // Generate new token with updated user info for the current session
+    const token = generateAccessToken(user, req.user.sessionId)
 
     res.json({
       message: "Avatar removed successfully",
@@ -581,155 +562,4 @@ router.post("/remove-avatar", async (req, res) => {
   }
 })
 
-// Google OAuth routes
-router.get("/google", async (req, res) => {
-  try {
-    const { google } = await import("googleapis")
-    
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI || "http://localhost:5001/api/auth/google/callback"
-    )
-
-    const scopes = [
-      'https://www.googleapis.com/auth/userinfo.profile',
-      'https://www.googleapis.com/auth/userinfo.email'
-    ]
-
-    const authUrl = oauth2Client.generateAuthUrl({
-      access_type: 'offline',
-      scope: scopes,
-      prompt: 'consent'
-    })
-
-    res.json({ authUrl })
-  } catch (error) {
-    console.error("Google OAuth error:", error)
-    res.status(500).json({ message: "Failed to generate Google OAuth URL" })
-  }
-})
-
-router.get("/google/callback", async (req, res) => {
-  try {
-    const { code } = req.query
-    const { google } = await import("googleapis")
-    
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI || "http://localhost:5001/api/auth/google/callback"
-    )
-
-    // Exchange code for tokens
-    const { tokens } = await oauth2Client.getToken(code)
-    oauth2Client.setCredentials(tokens)
-
-    // Get user info
-    const oauth2 = google.oauth2({ version: 'v2', auth: oauth2Client })
-    const { data } = await oauth2.userinfo.get()
-
-    if (process.env.NODE_ENV === 'development') {
-      console.log("Google user data received:", {
-        name: data.name,
-        email: data.email,
-        hasPicture: !!data.picture,
-        pictureUrl: data.picture
-      })
-    }
-
-    // Check if user exists
-    const existingUser = await User.findOne({ 
-      $or: [
-        { email: data.email },
-        { googleId: data.id }
-      ]
-    })
-
-    if (existingUser) {
-      // Update existing user with Google info if needed
-      if (!existingUser.googleId) {
-        existingUser.googleId = data.id
-        existingUser.isOAuthUser = true
-        if (data.picture) {
-          // Upload Google profile picture to Cloudinary if it's from Google
-          if (data.picture.includes('googleusercontent.com')) {
-            try {
-              const cloudinaryAvatarUrl = await uploadGoogleAvatarToCloudinary(data.picture, existingUser._id)
-              if (cloudinaryAvatarUrl) {
-                existingUser.avatar = cloudinaryAvatarUrl
-              } else {
-                existingUser.avatar = data.picture
-              }
-            } catch (error) {
-              if (process.env.NODE_ENV === 'development') {
-                console.error("Failed to upload Google avatar to Cloudinary:", error)
-              }
-              existingUser.avatar = data.picture
-            }
-          } else {
-            existingUser.avatar = data.picture
-          }
-        }
-        await existingUser.save()
-      }
-
-             // Generate token and redirect
-       const token = generateToken(existingUser)
-       const userData = {
-         _id: existingUser._id,
-         name: existingUser.name,
-         email: existingUser.email,
-         role: existingUser.role,
-         avatar: existingUser.avatar,
-         isOAuthUser: existingUser.isOAuthUser,
-         settings: existingUser.settings,
-       }
-       const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?token=${token}&user=${encodeURIComponent(JSON.stringify(userData))}`
-       res.redirect(redirectUrl)
-    } else {
-      // For new OAuth users, redirect to OTP verification
-      // This follows the same flow as regular registration
-      const oauthData = {
-        name: data.name,
-        email: data.email,
-        googleId: data.id,
-        avatar: data.picture,
-        isOAuthUser: true,
-        role: "admin",
-        settings: {
-          notifications: {
-            email: true,
-            browser: false,
-          },
-          privacy: {
-            showEmail: false,
-            showProfile: true,
-          },
-          appearance: {
-            theme: "system",
-            fontSize: "medium",
-          },
-        },
-      }
-
-      if (process.env.NODE_ENV === 'development') {
-        console.log("OAuth data prepared for new user:", {
-          name: oauthData.name,
-          email: oauthData.email,
-          hasAvatar: !!oauthData.avatar,
-          avatarUrl: oauthData.avatar
-        })
-      }
-
-      // Redirect to OTP verification with OAuth data
-      const redirectUrl = `${process.env.FRONTEND_URL}/verify-otp?email=${encodeURIComponent(data.email)}&oauth=true&oauthData=${encodeURIComponent(JSON.stringify(oauthData))}`
-      res.redirect(redirectUrl)
-    }
-  } catch (error) {
-    console.error("Google OAuth callback error:", error)
-    res.redirect(`${process.env.FRONTEND_URL}/login?error=oauth_failed`)
-  }
-})
-
 export default router
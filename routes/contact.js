@@ -1,10 +1,10 @@
 import express from "express"
 import { sendContactMessage, getContactMessages } from "../controllers/contact.js"
-import { protect, admin } from "../middleware/auth.js"
+import { protect, authorize } from "../middleware/auth.js"
 
 const router = express.Router()
 
-router.route("/").post(sendContactMessage).get(protect, admin, getContactMessages)
+router.route("/").post(sendContactMessage).get(protect, authorize("contact:read"), getContactMessages)
 
 export default router
 
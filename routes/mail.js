@@ -0,0 +1,22 @@
+import express from "express"
+import { getOutbox, processOutboxNow, retryOutboxMessage } from "../controllers/mail.js"
+import { protect, authorize } from "../middleware/auth.js"
+
+const router = express.Router()
+
+// @route   GET /api/mail/outbox
+// @desc    List outgoing emails and their delivery status
+// @access  Private (mail:manage)
+router.get("/outbox", protect, authorize("mail:manage"), getOutbox)
+
+// @route   POST /api/mail/outbox/process
+// @desc    Retry queued emails that are due now
+// @access  Private (mail:manage)
+router.post("/outbox/process", protect, authorize("mail:manage"), processOutboxNow)
+
+// @route   POST /api/mail/outbox/:id/retry
+// @desc    Retry an email that failed permanently
+// @access  Private (mail:manage)
+router.post("/outbox/:id/retry", protect, authorize("mail:manage"), retryOutboxMessage)
+
+export default router
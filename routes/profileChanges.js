@@ -0,0 +1,32 @@
+import express from "express"
+import {
+  getChangeRequests,
+  getChangeRequestById,
+  approveChangeRequest,
+  rejectChangeRequest,
+} from "../controllers/profileChanges.js"
+import { protect, authorize } from "../middleware/auth.js"
+
+const router = express.Router()
+
+// @route   GET /api/profile-changes
+// @desc    List changes submitted by alumni, pending ones by default
+// @access  Private (alumni:moderate)
+router.get("/", protect, authorize("alumni:moderate"), getChangeRequests)
+
+// @route   GET /api/profile-changes/:id
+// @desc    Get a change request next to the record's current values
+// @access  Private (alumni:moderate)
+router.get("/:id", protect, authorize("alumni:moderate"), getChangeRequestById)
+
+// @route   POST /api/profile-changes/:id/approve
+// @desc    Approve a change request and merge it into the alumni record
+// @access  Private (alumni:moderate)
+router.post("/:id/approve", protect, authorize("alumni:moderate"), approveChangeRequest)
+
+// @route   POST /api/profile-changes/:id/reject
+// @desc    Reject a change request with a comment
+// @access  Private (alumni:moderate)
+router.post("/:id/reject", protect, authorize("alumni:moderate"), rejectChangeRequest)
+
+export default router
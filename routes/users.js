@@ -0,0 +1,108 @@
+import express from "express"
+import {
+  getUsers,
+  getUserById,
+  getRoles,
+  updateUserRole,
+  updateUserUnits,
+  updateUserStatus,
+  forcePasswordReset,
+  deleteUser,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  unlockUser,
+} from "../controllers/users.js"
+import { resetUserTwoFactor } from "../controllers/twoFactor.js"
+import { getInvitations, createInvitation, resendInvitation, revokeInvitation } from "../controllers/invitations.js"
+import { protect, authorize } from "../middleware/auth.js"
+
+const router = express.Router()
+
+// @route   GET /api/users
+// @desc    List and search staff accounts
+// @access  Private (users:read)
+router.get("/", protect, authorize("users:read"), getUsers)
+
+// @route   GET /api/users/roles
+// @desc    List roles and their permissions
+// @access  Private (users:read)
+router.get("/roles", protect, authorize("users:read"), getRoles)
+
+// @route   GET /api/users/invitations
+// @desc    List staff invitations
+// @access  Private (users:invite)
+router.get("/invitations", protect, authorize("users:invite"), getInvitations)
+
+// @route   POST /api/users/invitations
+// @desc    Invite a staff member with a pre-assigned role and academic units
+// @access  Private (users:invite)
+router.post("/invitations", protect, authorize("users:invite"), createInvitation)
+
+// @route   POST /api/users/invitations/:id/resend
+// @desc    Resend an invitation with a new link
+// @access  Private (users:invite)
+router.post("/invitations/:id/resend", protect, authorize("users:invite"), resendInvitation)
+
+// @route   DELETE /api/users/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (users:invite)
+router.delete("/invitations/:id", protect, authorize("users:invite"), revokeInvitation)
+
+// IMPORTANT: Keep this after /roles and /invitations so "roles" and "invitations" are not treated as a user ID
+// @route   GET /api/users/:id
+// @desc    Get a staff account, including last-login info
+// @access  Private (users:read)
+router.get("/:id", protect, authorize("users:read"), getUserById)
+
+// @route   PUT /api/users/:id/role
+// @desc    Assign a role to a user
+// @access  Private (roles:assign)
+router.put("/:id/role", protect, authorize("roles:assign"), updateUserRole)
+
+// @route   PUT /api/users/:id/units
+// @desc    Assign the academic units a user may access
+// @access  Private (roles:assign)
+router.put("/:id/units", protect, authorize("roles:assign"), updateUserUnits)
+
+// @route   PUT /api/users/:id/status
+// @desc    Disable or re-enable a staff account
+// @access  Private (users:manage)
+router.put("/:id/status", protect, authorize("users:manage"), updateUserStatus)
+
+// @route   POST /api/users/:id/force-password-reset
+// @desc    Require a user to reset their password before logging in again
+// @access  Private (users:manage)
+router.post("/:id/force-password-reset", protect, authorize("users:manage"), forcePasswordReset)
+
+// @route   POST /api/users/:id/unlock
+// @desc    Unlock an account locked after repeated failed logins
+// @access  Private (users:manage)
+router.post("/:id/unlock", protect, authorize("users:manage"), unlockUser)
+
+// @route   GET /api/users/:id/sessions
+// @desc    List a user's active sessions
+// @access  Private (users:manage)
+router.get("/:id/sessions", protect, authorize("users:manage"), getUserSessions)
+
+// @route   DELETE /api/users/:id/sessions
+// @desc    Sign a user out of every device
+// @access  Private (users:manage)
+router.delete("/:id/sessions", protect, authorize("users:manage"), revokeAllUserSessions)
+
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @desc    Revoke one of a user's sessions
+// @access  Private (users:manage)
+router.delete("/:id/sessions/:sessionId", protect, authorize("users:manage"), revokeUserSession)
+
+// @route   DELETE /api/users/:id/2fa
+// @desc    Reset a user's two-factor authentication
+// @access  Private (users:manage)
+router.delete("/:id/2fa", protect, authorize("users:manage"), resetUserTwoFactor)
+
+// @route   DELETE /api/users/:id
+// @desc    Permanently delete a staff account
+// @access  Private (users:manage)
+router.delete("/:id", protect, authorize("users:manage"), deleteUser)
+
+export default router
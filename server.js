@@ -7,6 +7,14 @@ import alumniRoutes from "./routes/alumni.js"
 import contactRoutes from "./routes/contact.js"
 import academicUnitRoutes from "./routes/academicUnit.js"
 import settingsRoutes from "./routes/settings.js"
+import auditRoutes from "./routes/audit.js"
+import userRoutes from "./routes/users.js"
+import mailRoutes from "./routes/mail.js"
+import apiKeyRoutes from "./routes/apiKeys.js"
+import alumniPortalRoutes from "./routes/alumniPortal.js"
+import profileChangeRoutes from "./routes/profileChanges.js"
+import { startOutboxProcessor } from "./utils/mailer.js"
+import { identifyApiKey } from "./middleware/auth.js"
 import path from "path"
 import { fileURLToPath } from "url"
 import { v2 as cloudinary } from "cloudinary"
@@ -49,7 +57,7 @@ app.use(
       "https://hsst-alumni-backend.vercel.app",
     ],
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "X-API-Key"],
     credentials: true,
     optionsSuccessStatus: 200, // For legacy browser support
   }),
@@ -88,7 +96,7 @@ const createRateLimiter = (windowMs, max, message) => {
     handler: (req, res) => {
       res.header("Access-Control-Allow-Origin", req.headers.origin || "*")
       res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS")
-      res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Requested-With")
+      res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Requested-With, X-API-Key")
       res.header("Access-Control-Allow-Credentials", "true")
 
       res.status(429).json({
@@ -99,7 +107,10 @@ const createRateLimiter = (windowMs, max, message) => {
     },
     skip: (req) => {
       // Skip rate limiting for OPTIONS requests (preflight)
-      return req.method === "OPTIONS"
+      if (req.method === "OPTIONS") return true
+
+      // Requests with a validated API key are limited per key by identifyApiKey instead
+      return Boolean(req.apiKey)
     },
   })
 }
@@ -117,10 +128,20 @@ const authLimiter = createRateLimiter(
   "Too many authentication attempts, please try again after 15 minutes",
 )
 
-// Apply rate limiting after CORS
+// Apply rate limiting after CORS. Valid API keys are identified first on the router that accepts them,
+// so only requests with a valid key are limited per key instead of per IP.
+app.use("/api/alumni", identifyApiKey)
 app.use("/api/", generalLimiter)
 app.use("/api/auth/login", authLimiter)
 app.use("/api/auth/register", authLimiter)
+app.use("/api/auth/accept-invite", authLimiter)
+app.use("/api/auth/2fa/verify", authLimiter)
+app.use("/api/auth/resend-verification", authLimiter)
+app.use("/api/auth/saml/acs", authLimiter)
+app.use("/api/auth/verify-oauth", authLimiter)
+app.use("/api/alumni-portal/claim", authLimiter)
+app.use("/api/alumni-portal/magic-link", authLimiter)
+app.use("/api/alumni-portal/verify", authLimiter)
 
 // Data sanitization against XSS attacks
 app.use(xss())
@@ -180,6 +201,12 @@ app.use("/api/alumni", alumniRoutes)
 app.use("/api/contact", contactRoutes)
 app.use("/api/academic-units", academicUnitRoutes)
 app.use("/api/settings", settingsRoutes)
+app.use("/api/audit-logs", auditRoutes)
+app.use("/api/users", userRoutes)
+app.use("/api/mail", mailRoutes)
+app.use("/api/api-keys", apiKeyRoutes)
+app.use("/api/alumni-portal", alumniPortalRoutes)
+app.use("/api/profile-changes", profileChangeRoutes)
 
 // Serve static files in production
 if (process.env.NODE_ENV === "production") {
@@ -197,7 +224,7 @@ app.use((err, req, res, next) => {
   // Ensure CORS headers are set even for errors
   res.header("Access-Control-Allow-Origin", req.headers.origin || "*")
   res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS")
-  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Requested-With")
+  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Requested-With, X-API-Key")
   res.header("Access-Control-Allow-Credentials", "true")
 
   res.status(500).json({
@@ -213,7 +240,7 @@ app.use((req, res) => {
   // Ensure CORS headers for 404s too
   res.header("Access-Control-Allow-Origin", req.headers.origin || "*")
   res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS")
-  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Requested-With")
+  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Requested-With, X-API-Key")
   res.header("Access-Control-Allow-Credentials", "true")
 
   res.status(404).json({ message: `Route not found: ${req.method} ${req.originalUrl}` })
@@ -259,6 +286,8 @@ connectToMongoDB()
   .then((connected) => {
     if (connected) {
       console.log("MongoDB connection successful, starting secure server...")
+      // Retry emails that could not be sent when they were queued
+      startOutboxProcessor()
     } else {
       console.warn("Failed to connect to MongoDB, starting server anyway...")
     }
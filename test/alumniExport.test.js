@@ -0,0 +1,68 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { PassThrough } from "stream"
+import ExcelJS from "exceljs"
+import { resolveExportColumns, writeAlumniExport } from "../utils/alumniExport.js"
+import { parseImportFile } from "../utils/alumniImport.js"
+
+const alumni = [
+  {
+    name: "=HYPERLINK(\"http://evil.test\")",
+    registrationNumber: "REG-1",
+    contactDetails: { phone: "+91 98765 43210", address: "@home" },
+  },
+]
+
+async function* cursor() {
+  yield* alumni
+}
+
+// Write an export into a buffer
+const exportAlumni = async (format) => {
+  const { columns } = resolveExportColumns("name,registrationNumber,contactDetails.phone,contactDetails.address")
+  const stream = new PassThrough()
+  const chunks = []
+  stream.on("data", (chunk) => chunks.push(chunk))
+
+  await writeAlumniExport(format, cursor(), columns, stream)
+  return Buffer.concat(chunks)
+}
+
+describe("alumni export", () => {
+  it("keeps formula-like values as text in CSV files", async () => {
+    const csv = (await exportAlumni("csv")).toString("utf8")
+
+    assert.match(csv, /"'=HYPERLINK\(""http:\/\/evil.test""\)"/)
+    assert.match(csv, /'\+91 98765 43210/)
+    assert.match(csv, /'@home/)
+    assert.match(csv, /,REG-1,/)
+  })
+
+  it("writes XLSX values unchanged", async () => {
+    const workbook = new ExcelJS.Workbook()
+    await workbook.xlsx.load(await exportAlumni("xlsx"))
+    const row = workbook.worksheets[0].getRow(2)
+
+    assert.equal(row.getCell(1).text, alumni[0].name)
+    assert.equal(row.getCell(3).text, "+91 98765 43210")
+  })
+
+  it("re-imports an exported CSV with its original values", async () => {
+    const [{ record }] = await parseImportFile({ originalname: "alumni.csv", buffer: await exportAlumni("csv") })
+
+    assert.equal(record.Name, alumni[0].name)
+    assert.equal(record.Phone, "+91 98765 43210")
+    assert.equal(record.Address, "@home")
+  })
+
+  it("keeps a leading apostrophe in XLSX imports", async () => {
+    const workbook = new ExcelJS.Workbook()
+    const worksheet = workbook.addWorksheet("Alumni")
+    worksheet.addRow(["Name", "Address"])
+    worksheet.addRow(["A", "'+ corner house"])
+
+    const [{ record }] = await parseImportFile({ originalname: "alumni.xlsx", buffer: await workbook.xlsx.writeBuffer() })
+
+    assert.equal(record.Address, "'+ corner house")
+  })
+})
@@ -0,0 +1,119 @@
+import { after, before, beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import express from "express"
+
+process.env.JWT_SECRET = "test-secret"
+
+const { default: alumniRoutes } = await import("../routes/alumni.js")
+const { identifyApiKey } = await import("../middleware/auth.js")
+const { default: ApiKey } = await import("../models/apiKey.js")
+const { default: Alumni } = await import("../models/alumni.js")
+
+const VALID_KEY = `sst_${"a".repeat(12)}_${"b".repeat(43)}`
+const OTHER_KEY = `sst_${"c".repeat(12)}_${"d".repeat(43)}`
+
+// The key ApiKey.findByKey returns for VALID_KEY
+let storedKey
+
+let server
+let baseUrl
+
+before(async () => {
+  const app = express()
+  app.use("/api/alumni", identifyApiKey)
+  app.use("/api/alumni", alumniRoutes)
+  server = app.listen(0)
+  await new Promise((resolve) => server.once("listening", resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => server.close())
+
+// Chainable stand-in for Alumni.find(...).select().sort().skip().limit().lean()
+const query = (result) => {
+  const chain = {}
+  for (const method of ["select", "sort", "skip", "limit"]) {
+    chain[method] = () => chain
+  }
+  chain.lean = async () => result
+  return chain
+}
+
+beforeEach(() => {
+  mock.restoreAll()
+  mock.method(console, "log", () => {})
+
+  storedKey = new ApiKey({ name: "Reporting", prefix: "a".repeat(12), scopes: ["alumni:read"], academicUnits: ["SST"] })
+  mock.method(ApiKey, "findByKey", async (key) => (key === VALID_KEY ? storedKey : null))
+  mock.method(ApiKey, "updateOne", async () => {})
+
+  mock.method(Alumni, "distinct", async () => ["B.Tech"])
+  mock.method(Alumni, "countDocuments", async () => 0)
+  mock.method(Alumni, "find", () => query([]))
+})
+
+const get = (path, key) => fetch(`${baseUrl}${path}`, { headers: key ? { "X-API-Key": key } : {} })
+
+describe("API key authentication", () => {
+  it("ignores an invalid key on public routes", async () => {
+    const response = await get("/api/alumni/programs", OTHER_KEY)
+
+    assert.equal(response.status, 200)
+    assert.deepEqual((await response.json()).data, ["B.Tech"])
+  })
+
+  it("rejects an unknown key on routes that accept keys", async () => {
+    const response = await get("/api/alumni", OTHER_KEY)
+
+    assert.equal(response.status, 401)
+  })
+
+  it("rejects a revoked key", async () => {
+    storedKey.revokedAt = new Date()
+
+    const response = await get("/api/alumni", VALID_KEY)
+
+    assert.equal(response.status, 401)
+  })
+
+  it("rejects a key without the route's scope", async () => {
+    storedKey.scopes = ["alumni:stats"]
+
+    const response = await get("/api/alumni", VALID_KEY)
+
+    assert.equal(response.status, 403)
+    assert.deepEqual((await response.json()).missingPermissions, ["alumni:read"])
+  })
+
+  it("limits a key to its academic units", async () => {
+    const response = await get("/api/alumni", VALID_KEY)
+
+    assert.equal(response.status, 200)
+    assert.deepEqual(Alumni.countDocuments.mock.calls[0].arguments[0].academicUnit, { $in: ["SST"] })
+  })
+
+  it("does not let a key request another unit", async () => {
+    await get("/api/alumni?academicUnit=SOM", VALID_KEY)
+
+    assert.deepEqual(Alumni.countDocuments.mock.calls[0].arguments[0].academicUnit, { $in: [] })
+  })
+
+  it("never grants a key write access", async () => {
+    storedKey.scopes = ["alumni:read", "alumni:all-units"]
+
+    const response = await fetch(`${baseUrl}/api/alumni/bulk`, { method: "DELETE", headers: { "X-API-Key": VALID_KEY } })
+
+    assert.equal(response.status, 401)
+  })
+
+  it("applies the key's own rate limit", async () => {
+    storedKey.rateLimit = 2
+
+    const statuses = []
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await get("/api/alumni", VALID_KEY)).status)
+    }
+
+    assert.deepEqual(statuses, [200, 200, 429])
+  })
+})
@@ -0,0 +1,19 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { diffDocuments } from "../utils/diff.js"
+
+describe("audit diffs", () => {
+  it("never copies token hashes into a diff", () => {
+    const changes = diffDocuments(
+      { email: "old@example.com", tokenHash: "a1", magicLinkHash: "b1", magicLinkExpiresAt: new Date(1000) },
+      { email: "new@example.com", tokenHash: "a2", magicLinkHash: "b2", magicLinkExpiresAt: new Date(2000) },
+    )
+
+    assert.deepEqual(changes, [
+      { field: "email", before: "old@example.com", after: "new@example.com" },
+      { field: "tokenHash", before: "[REDACTED]", after: "[REDACTED]" },
+      { field: "magicLinkHash", before: "[REDACTED]", after: "[REDACTED]" },
+      { field: "magicLinkExpiresAt", before: "[REDACTED]", after: "[REDACTED]" },
+    ])
+  })
+})
@@ -0,0 +1,68 @@
+import { beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+
+process.env.MAIL_MAX_ATTEMPTS = "1"
+
+const { default: OutboxEmail } = await import("../models/outboxEmail.js")
+const { sendMail } = await import("../utils/mailer.js")
+
+describe("mail outbox", () => {
+  beforeEach(() => {
+    mock.restoreAll()
+
+    let stored
+    mock.method(OutboxEmail, "create", async (data) => {
+      stored = new OutboxEmail(data)
+      return stored
+    })
+    // Claim the stored message the way the atomic update does
+    mock.method(OutboxEmail, "findOneAndUpdate", async () => {
+      stored.status = "sending"
+      stored.attempts += 1
+      return stored
+    })
+    mock.method(OutboxEmail.prototype, "save", async function () {
+      return this
+    })
+  })
+
+  const resetEmail = {
+    to: "user@example.com",
+    subject: "Reset your password",
+    html: '<a href="https://frontend.test/reset-password/secret-token">Reset</a>',
+    text: "https://frontend.test/reset-password/secret-token",
+    template: "passwordReset",
+  }
+
+  it("removes the bodies once the message is sent", async () => {
+    process.env.MAIL_TRANSPORT = "log"
+    mock.method(console, "log", () => {})
+
+    const message = await sendMail(resetEmail)
+
+    assert.equal(message.status, "sent")
+    assert.equal(message.html, undefined)
+    assert.equal(message.text, undefined)
+  })
+
+  it("removes the bodies and dates the message when delivery fails for good", async () => {
+    process.env.MAIL_TRANSPORT = "smtp"
+    process.env.SMTP_HOST = "127.0.0.1"
+    process.env.SMTP_PORT = "1"
+    mock.method(console, "error", () => {})
+
+    const message = await sendMail(resetEmail)
+
+    assert.equal(message.status, "failed")
+    assert.ok(message.failedAt)
+    assert.equal(message.html, undefined)
+    assert.equal(message.text, undefined)
+  })
+
+  it("leaves the bodies out of the outbox summary", () => {
+    const summary = new OutboxEmail(resetEmail).toSummary()
+
+    assert.equal(summary.html, undefined)
+    assert.equal(summary.text, undefined)
+  })
+})
@@ -0,0 +1,266 @@
+import { after, before, beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import crypto from "crypto"
+import express from "express"
+import jwt from "jsonwebtoken"
+import mongoose from "mongoose"
+import axios from "axios"
+
+process.env.JWT_SECRET = "test-secret"
+process.env.FRONTEND_URL = "http://frontend.test"
+process.env.API_URL = "http://api.test"
+process.env.GOOGLE_CLIENT_ID = "google-client"
+process.env.GOOGLE_CLIENT_SECRET = "google-secret"
+
+const { default: authRoutes } = await import("../routes/auth.js")
+const { default: OAuthRequest } = await import("../models/oauthRequest.js")
+const { default: User } = await import("../models/user.js")
+const { default: Session } = await import("../models/session.js")
+const { default: AuditLog } = await import("../models/auditLog.js")
+const { confirmOAuthLink } = await import("../controllers/oauth.js")
+const { createLinkToken, getProvider } = await import("../utils/oauthProviders.js")
+
+const ISSUER = "https://accounts.google.com"
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 })
+const jwk = { ...publicKey.export({ format: "jwk" }), kid: "test-key", use: "sig" }
+
+const discovery = {
+  issuer: ISSUER,
+  authorization_endpoint: "https://provider.test/authorize",
+  token_endpoint: "https://provider.test/token",
+  jwks_uri: "https://provider.test/jwks",
+}
+
+// Sign-in requests stored by OAuthRequest.create, keyed by ID
+const requests = new Map()
+// Nonce the provider puts in the ID token, taken from the authorization URL
+let providerNonce
+
+let server
+let baseUrl
+
+before(async () => {
+  const app = express()
+  app.use(express.json())
+  app.use("/api/auth", authRoutes)
+  server = app.listen(0)
+  await new Promise((resolve) => server.once("listening", resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => server.close())
+
+beforeEach(() => {
+  requests.clear()
+  mock.restoreAll()
+
+  mock.method(OAuthRequest, "create", async (data) => {
+    const request = { ...data, _id: new mongoose.Types.ObjectId(), expiresAt: new Date(data.expiresAt) }
+    requests.set(String(request._id), request)
+    return request
+  })
+  mock.method(OAuthRequest, "findOneAndDelete", async (query) => {
+    const request = requests.get(String(query._id))
+    const matches =
+      request &&
+      request.provider === query.provider &&
+      request.bindingHash === query.bindingHash &&
+      request.expiresAt > query.expiresAt.$gt
+    if (!matches) return null
+    requests.delete(String(query._id))
+    return request
+  })
+
+  mock.method(axios, "get", async (url) => {
+    if (url === `${ISSUER}/.well-known/openid-configuration`) return { data: discovery }
+    if (url === discovery.jwks_uri) return { data: { keys: [jwk] } }
+    throw new Error(`Unexpected GET ${url}`)
+  })
+  mock.method(axios, "post", async (url) => {
+    assert.equal(url, discovery.token_endpoint)
+    const idToken = jwt.sign(
+      { sub: "google-123", email: "new.user@example.com", email_verified: true, name: "New User", nonce: providerNonce },
+      privateKey,
+      { algorithm: "RS256", keyid: jwk.kid, issuer: ISSUER, audience: process.env.GOOGLE_CLIENT_ID, expiresIn: 300 },
+    )
+    return { data: { id_token: idToken, access_token: "access" } }
+  })
+
+  mock.method(User, "findByLinkedAccount", async () => null)
+  mock.method(User, "findOne", async () => null)
+  mock.method(AuditLog, "create", async () => {})
+})
+
+const get = (path, headers = {}) => fetch(`${baseUrl}${path}`, { redirect: "manual", headers })
+
+const bindingCookie = (response) =>
+  response.headers
+    .getSetCookie()
+    .map((cookie) => cookie.split(";")[0])
+    .find((cookie) => cookie.startsWith("oauth_binding="))
+
+// Run the start of a sign-in like a browser does and return the state and the cookie it was given
+const startSignIn = async () => {
+  const { authUrl } = await (await get("/api/auth/google")).json()
+  const startUrl = new URL(authUrl)
+  assert.equal(startUrl.pathname, "/api/auth/oauth/google/start")
+
+  const response = await get(startUrl.pathname + startUrl.search)
+  assert.equal(response.status, 302)
+
+  const providerUrl = new URL(response.headers.get("location"))
+  assert.equal(providerUrl.origin + providerUrl.pathname, discovery.authorization_endpoint)
+  providerNonce = providerUrl.searchParams.get("nonce")
+
+  const cookie = bindingCookie(response)
+  assert.ok(cookie, "the start redirect sets the binding cookie")
+
+  return { state: providerUrl.searchParams.get("state"), cookie }
+}
+
+const callback = (state, headers) =>
+  get(`/api/auth/google/callback?${new URLSearchParams({ code: "code", state })}`, headers)
+
+describe("OAuth sign-in", () => {
+  it("sets an httpOnly SameSite=Lax binding cookie on the start navigation", async () => {
+    const { authUrl } = await (await get("/api/auth/oauth/google")).json()
+    const response = await get(new URL(authUrl).pathname)
+    const cookie = response.headers.getSetCookie().find((value) => value.startsWith("oauth_binding="))
+
+    assert.match(cookie, /HttpOnly/)
+    assert.match(cookie, /SameSite=Lax/)
+    assert.match(cookie, /Path=\/api\/auth/)
+  })
+
+  it("completes the callback in the browser that started the sign-in", async () => {
+    const { state, cookie } = await startSignIn()
+
+    const response = await callback(state, { Cookie: cookie })
+    const location = new URL(response.headers.get("location"))
+
+    assert.equal(response.status, 302)
+    assert.equal(location.pathname, "/verify-otp")
+    assert.equal(location.searchParams.get("email"), "new.user@example.com")
+    assert.ok(location.searchParams.get("signupToken"))
+    assert.ok(bindingCookie(response).endsWith("="), "the binding cookie is cleared")
+  })
+
+  it("rejects the callback in a browser without the binding cookie", async () => {
+    const { state } = await startSignIn()
+
+    const response = await callback(state)
+
+    assert.equal(response.headers.get("location"), "http://frontend.test/login?error=oauth_failed")
+    assert.equal(axios.post.mock.callCount(), 0, "the code is never exchanged")
+  })
+
+  it("rejects the callback when the cookie belongs to another sign-in", async () => {
+    const { state } = await startSignIn()
+    const { cookie: otherCookie } = await startSignIn()
+
+    const response = await callback(state, { Cookie: otherCookie })
+
+    assert.equal(response.headers.get("location"), "http://frontend.test/login?error=oauth_failed")
+  })
+
+  it("accepts each state only once", async () => {
+    const { state, cookie } = await startSignIn()
+
+    await callback(state, { Cookie: cookie })
+    const replay = await callback(state, { Cookie: cookie })
+
+    assert.equal(replay.headers.get("location"), "http://frontend.test/login?error=oauth_failed")
+  })
+})
+
+describe("OAuth account linking", () => {
+  const userId = new mongoose.Types.ObjectId()
+  const sessionId = new mongoose.Types.ObjectId()
+  const profile = { subject: "google-123", email: "linked@example.com" }
+
+  const fakeResponse = () => ({
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(body) {
+      this.body = body
+      return this
+    },
+  })
+
+  const linkToken = () => createLinkToken(getProvider("google"), { user: userId, session: sessionId }, profile)
+
+  it("redirects to the provider in link mode for a valid start ticket", async () => {
+    const token = jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)
+    mock.method(Session, "findById", () => ({
+      select: async () => ({ _id: sessionId, user: userId, isActive: true, lastUsedAt: Date.now() }),
+    }))
+    mock.method(User, "findById", () => ({
+      select: async () => ({ _id: userId, role: "staff", isActive: true, emailVerified: true }),
+    }))
+
+    const linkStart = await fetch(`${baseUrl}/api/auth/oauth/google/link`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+    })
+    const { authUrl } = await linkStart.json()
+    const startUrl = new URL(authUrl)
+    const response = await get(startUrl.pathname + startUrl.search)
+
+    assert.equal(response.status, 302)
+    const [request] = requests.values()
+    assert.equal(request.mode, "link")
+    assert.equal(String(request.user), String(userId))
+    assert.equal(String(request.session), String(sessionId))
+  })
+
+  it("refuses a link token started by another user", async () => {
+    const res = fakeResponse()
+
+    await confirmOAuthLink(
+      {
+        params: { provider: "google" },
+        body: { linkToken: linkToken() },
+        user: { id: String(new mongoose.Types.ObjectId()), sessionId: String(new mongoose.Types.ObjectId()) },
+      },
+      res,
+    )
+
+    assert.equal(res.statusCode, 403)
+  })
+
+  it("links the provider account for the user and session that started it", async () => {
+    const user = {
+      _id: userId,
+      isActive: true,
+      linkedAccounts: [],
+      avatar: "avatar.png",
+      linkAccount: mock.fn(),
+      save: mock.fn(async () => {}),
+      toObject: () => ({ _id: userId }),
+    }
+    mock.method(Session, "findOne", async () => ({ _id: sessionId }))
+    mock.method(User, "findById", async () => user)
+    const res = fakeResponse()
+
+    await confirmOAuthLink(
+      {
+        params: { provider: "google" },
+        body: { linkToken: linkToken() },
+        user: { id: String(userId), sessionId: String(sessionId) },
+        get: () => "test",
+      },
+      res,
+    )
+
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(user.linkAccount.mock.calls[0].arguments[0], {
+      provider: "google",
+      subject: "google-123",
+      email: "linked@example.com",
+    })
+  })
+})
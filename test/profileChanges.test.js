@@ -0,0 +1,152 @@
+import { beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+
+const { default: Alumni } = await import("../models/alumni.js")
+const { default: AlumniAccount } = await import("../models/alumniAccount.js")
+const { default: AuditLog } = await import("../models/auditLog.js")
+const { default: ProfileChangeRequest } = await import("../models/profileChangeRequest.js")
+const { approveChangeRequest } = await import("../controllers/profileChanges.js")
+
+const UNIT = "School of Science and Technology"
+
+// The alumni record and change request the mocked models return
+let alumni
+let changeRequest
+
+const reviewer = {
+  id: String(new mongoose.Types.ObjectId()),
+  email: "coordinator@example.com",
+  role: "unit-coordinator",
+  academicUnits: [UNIT],
+}
+
+const fakeResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code
+    return this
+  },
+  json(body) {
+    this.body = body
+    return this
+  },
+})
+
+const approve = async (user = reviewer) => {
+  const res = fakeResponse()
+  await approveChangeRequest(
+    { params: { id: String(changeRequest._id) }, body: { comment: "Checked" }, user, ip: "127.0.0.1", get: () => "test" },
+    res,
+  )
+  return res
+}
+
+beforeEach(() => {
+  mock.restoreAll()
+  mock.method(console, "log", () => {})
+  mock.method(console, "error", () => {})
+
+  alumni = new Alumni({
+    name: "Asha Rao",
+    academicUnit: UNIT,
+    program: "B.Tech",
+    passingYear: "2020",
+    registrationNumber: "REG-1",
+    contactDetails: { phone: "111" },
+  })
+  changeRequest = new ProfileChangeRequest({
+    alumni: alumni._id,
+    academicUnit: UNIT,
+    changes: [{ field: "contactDetails.phone", before: "111", after: "222" }],
+  })
+
+  // Only match the stored request within the reviewer's units, like the real scoped query
+  mock.method(ProfileChangeRequest, "findOne", async (query) => {
+    const inScope = !query.academicUnit || query.academicUnit.$in.includes(changeRequest.academicUnit)
+    return String(query._id) === String(changeRequest._id) && inScope
+      ? new ProfileChangeRequest(changeRequest.toObject())
+      : null
+  })
+  mock.method(ProfileChangeRequest, "findOneAndUpdate", async (query, update) => {
+    if (changeRequest.status !== query.status) return null
+    changeRequest.set(update)
+    return changeRequest
+  })
+  mock.method(ProfileChangeRequest, "updateOne", async (query, { $unset, ...update }) => {
+    if (changeRequest.status !== query.status) return
+    changeRequest.set(update)
+    Object.keys($unset).forEach((field) => changeRequest.set(field, undefined))
+  })
+
+  mock.method(Alumni, "findOne", async () => alumni)
+  mock.method(Alumni.prototype, "save", async function () {
+    return this
+  })
+  mock.method(AlumniAccount, "findById", async () => null)
+  mock.method(AuditLog, "create", async () => {})
+})
+
+describe("change request approval", () => {
+  it("merges the proposed values and marks the request approved", async () => {
+    const res = await approve()
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(alumni.contactDetails.phone, "222")
+    assert.equal(changeRequest.status, "approved")
+    assert.equal(String(changeRequest.reviewedBy), reviewer.id)
+    assert.equal(Alumni.prototype.save.mock.callCount(), 1)
+  })
+
+  it("hides requests outside the reviewer's academic units", async () => {
+    const res = await approve({ ...reviewer, academicUnits: ["School of Management"] })
+
+    assert.equal(res.statusCode, 404)
+    assert.equal(changeRequest.status, "pending")
+    assert.equal(alumni.contactDetails.phone, "111")
+  })
+
+  it("refuses a request that was already reviewed", async () => {
+    changeRequest.status = "rejected"
+
+    const res = await approve()
+
+    assert.equal(res.statusCode, 400)
+    assert.equal(Alumni.prototype.save.mock.callCount(), 0)
+  })
+
+  it("does not merge when another reviewer claims the request first", async () => {
+    // The request is still pending when it is loaded but reviewed before it is claimed
+    mock.method(ProfileChangeRequest, "findOneAndUpdate", async () => null)
+
+    const res = await approve()
+
+    assert.equal(res.statusCode, 409)
+    assert.equal(Alumni.prototype.save.mock.callCount(), 0)
+    assert.equal(AuditLog.create.mock.callCount(), 0)
+  })
+
+  it("puts the request back in the queue when saving the record fails", async () => {
+    mock.method(Alumni.prototype, "save", async () => {
+      throw new Error("write failed")
+    })
+
+    const res = await approve()
+
+    assert.equal(res.statusCode, 500)
+    assert.equal(changeRequest.status, "pending")
+    assert.equal(changeRequest.reviewedBy, undefined)
+    assert.equal(changeRequest.reviewComment, undefined)
+  })
+
+  it("does not claim the request when the merged record is invalid", async () => {
+    alumni.name = undefined
+
+    const res = await approve()
+
+    assert.equal(res.statusCode, 400)
+    assert.equal(changeRequest.status, "pending")
+    assert.equal(ProfileChangeRequest.findOneAndUpdate.mock.callCount(), 0)
+  })
+})
@@ -0,0 +1,104 @@
+import { beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+
+process.env.JWT_SECRET = "test-secret"
+
+const { default: Session } = await import("../models/session.js")
+const { issueTokens, rotateRefreshToken, findSessionByRefreshToken } = await import("../utils/tokens.js")
+
+// Sessions stored by Session.create, keyed by ID
+const sessions = new Map()
+
+const req = { ip: "127.0.0.1", get: () => "test-agent" }
+const user = { _id: new mongoose.Types.ObjectId(), email: "staff@example.com", role: "staff" }
+
+// Match a stored session against the plain equality filters rotateRefreshToken and its helpers use
+const matches = (session, query) =>
+  session &&
+  (!query.refreshTokenHash || session.refreshTokenHash === query.refreshTokenHash) &&
+  (!query.previousTokenHash || session.previousTokenHash === query.previousTokenHash) &&
+  (!("revokedAt" in query) || !session.revokedAt) &&
+  (!query.expiresAt || session.expiresAt > query.expiresAt.$gt)
+
+beforeEach(() => {
+  sessions.clear()
+  mock.restoreAll()
+  mock.method(console, "log", () => {})
+
+  mock.method(Session, "create", async (data) => {
+    const session = new Session(data)
+    sessions.set(String(session._id), session)
+    return session
+  })
+  mock.method(Session, "findOneAndUpdate", async (query, update) => {
+    const session = sessions.get(String(query._id))
+    if (!matches(session, query)) return null
+    session.set(update)
+    return session
+  })
+  mock.method(Session, "findOne", async (query) => {
+    const session = sessions.get(String(query._id))
+    return matches(session, query) ? session : null
+  })
+  mock.method(Session.prototype, "save", async function () {
+    return this
+  })
+})
+
+describe("refresh token rotation", () => {
+  it("issues a new refresh token and retires the old one", async () => {
+    const { refreshToken } = await issueTokens(user, req)
+
+    const rotated = await rotateRefreshToken(refreshToken, req)
+
+    assert.ok(rotated)
+    assert.notEqual(rotated.refreshToken, refreshToken)
+    assert.ok(await findSessionByRefreshToken(rotated.refreshToken))
+    assert.equal(await findSessionByRefreshToken(refreshToken), null)
+  })
+
+  it("revokes the session when a rotated-out token is presented again", async () => {
+    const { refreshToken } = await issueTokens(user, req)
+    const rotated = await rotateRefreshToken(refreshToken, req)
+
+    const replay = await rotateRefreshToken(refreshToken, req)
+
+    assert.equal(replay, null)
+    const session = sessions.get(String(rotated.session._id))
+    assert.ok(session.revokedAt)
+    assert.equal(session.revokedReason, "token-reuse")
+  })
+
+  it("locks out the current token too once reuse is detected", async () => {
+    const { refreshToken } = await issueTokens(user, req)
+    const rotated = await rotateRefreshToken(refreshToken, req)
+    await rotateRefreshToken(refreshToken, req)
+
+    assert.equal(await rotateRefreshToken(rotated.refreshToken, req), null)
+  })
+
+  it("rejects a token with an unknown secret without revoking the session", async () => {
+    const { refreshToken } = await issueTokens(user, req)
+    const [sessionId] = refreshToken.split(".")
+
+    assert.equal(await rotateRefreshToken(`${sessionId}.guessed`, req), null)
+    assert.equal(sessions.get(sessionId).revokedAt, undefined)
+    assert.ok(await rotateRefreshToken(refreshToken, req))
+  })
+
+  it("rejects malformed tokens", async () => {
+    for (const token of [undefined, "", "not-a-token", "abc.def", `${new mongoose.Types.ObjectId()}.a.b`]) {
+      assert.equal(await rotateRefreshToken(token, req), null)
+    }
+    assert.equal(Session.findOneAndUpdate.mock.callCount(), 0)
+  })
+
+  it("rejects the token of an expired session", async () => {
+    const { refreshToken } = await issueTokens(user, req)
+    const [sessionId] = refreshToken.split(".")
+    sessions.get(sessionId).expiresAt = new Date(Date.now() - 1000)
+
+    assert.equal(await rotateRefreshToken(refreshToken, req), null)
+  })
+})
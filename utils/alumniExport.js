@@ -0,0 +1,244 @@
+import { Readable } from "stream"
+import { pipeline } from "stream/promises"
+import { stringify } from "csv-stringify"
+import ExcelJS from "exceljs"
+import PDFDocument from "pdfkit"
+import { ALUMNI_FIELDS, getFieldValue } from "./alumniFields.js"
+import { HISTORY_LISTS, HISTORY_LIST_NAMES, formatHistory } from "./alumniHistory.js"
+
+/**
+ * Streaming CSV/XLSX/PDF writers for alumni exports
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+}
+
+// Every exportable column; headers match the import labels so exported files can be re-imported.
+// The history columns list every entry in one cell and are ignored when the file is imported again.
+export const EXPORT_COLUMNS = [
+  ...ALUMNI_FIELDS.map(({ path, label }) => ({ path, label })),
+  ...HISTORY_LIST_NAMES.map((listName) => ({
+    path: listName,
+    label: `${HISTORY_LISTS[listName].label} History`,
+    value: (alumni) => formatHistory(listName, alumni[listName]),
+  })),
+  { path: "createdAt", label: "Created At" },
+]
+
+const DEFAULT_EXPORT_COLUMNS = [
+  "name",
+  "registrationNumber",
+  "program",
+  "passingYear",
+  "academicUnit",
+  "contactDetails.email",
+  "contactDetails.phone",
+  "employment.type",
+  "employment.employerName",
+  "higherEducation.institutionName",
+]
+
+const COLUMNS_BY_PATH = new Map(EXPORT_COLUMNS.map((column) => [column.path, column]))
+
+/**
+ * Resolve the comma separated ?columns= parameter into column definitions.
+ * Falls back to the default column set when no columns are requested.
+ */
+export const resolveExportColumns = (columnsParam) => {
+  const requested = columnsParam
+    ? String(columnsParam)
+        .split(",")
+        .map((column) => column.trim())
+        .filter(Boolean)
+    : DEFAULT_EXPORT_COLUMNS
+
+  return {
+    columns: requested.filter((path) => COLUMNS_BY_PATH.has(path)).map((path) => COLUMNS_BY_PATH.get(path)),
+    unknownColumns: requested.filter((path) => !COLUMNS_BY_PATH.has(path)),
+  }
+}
+
+/**
+ * Projection for the selected columns. Columns of a history list also need the entries' current flag and
+ * start date to find the current entry; a whole-list column replaces the list's sub-paths.
+ */
+export const exportProjection = (columns) => {
+  const paths = new Set(columns.map(({ path }) => path))
+
+  columns.forEach(({ path }) => {
+    const [listName] = path.split(".")
+    if (HISTORY_LIST_NAMES.includes(listName) && path !== listName) {
+      paths.add(`${listName}.current`)
+      paths.add(`${listName}.startDate`)
+    }
+  })
+
+  return [...paths].filter((path) => !path.includes(".") || !paths.has(path.split(".")[0])).join(" ")
+}
+
+// Characters that make Excel and other spreadsheet apps treat a cell as a formula
+export const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"]
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return ""
+  if (value instanceof Date) return value.toISOString().split("T")[0]
+  return String(value)
+}
+
+// Alumni fill in some of these fields themselves, so a value like "=HYPERLINK(...)" must stay text when the
+// CSV is opened in a spreadsheet app. XLSX string cells are never evaluated, so they are written as they are.
+const escapeFormula = (value) => (FORMULA_PREFIXES.includes(value.charAt(0)) ? `'${value}` : value)
+
+async function* toRows(cursor, columns, { escapeFormulas = false } = {}) {
+  for await (const alumni of cursor) {
+    yield columns.map((column) => {
+      const value = formatValue(column.value ? column.value(alumni) : getFieldValue(alumni, column.path))
+      return escapeFormulas ? escapeFormula(value) : value
+    })
+  }
+}
+
+const writeCsv = async (cursor, columns, stream) => {
+  const stringifier = stringify({
+    header: true,
+    bom: true, // Lets Excel detect UTF-8
+    columns: columns.map(({ label }) => label),
+  })
+
+  await pipeline(Readable.from(toRows(cursor, columns, { escapeFormulas: true })), stringifier, stream)
+}
+
+const writeXlsx = async (cursor, columns, stream) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true })
+  const worksheet = workbook.addWorksheet("Alumni")
+
+  worksheet.columns = columns.map(({ path, label }) => ({
+    header: label,
+    key: path,
+    width: Math.max(label.length + 2, 18),
+  }))
+  worksheet.getRow(1).font = { bold: true }
+
+  for await (const row of toRows(cursor, columns)) {
+    worksheet.addRow(row).commit()
+  }
+
+  worksheet.commit()
+  await workbook.commit()
+}
+
+const writePdf = async (cursor, columns, stream, { title, subtitle }) => {
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 36 })
+  const finished = new Promise((resolve, reject) => {
+    stream.on("finish", resolve)
+    stream.on("error", reject)
+  })
+  doc.pipe(stream)
+
+  const { top, left, right, bottom } = doc.page.margins
+  const tableWidth = doc.page.width - left - right
+  const tableBottom = doc.page.height - bottom
+  const columnWidth = tableWidth / columns.length
+  const padding = 4
+  const fontSize = columns.length > 8 ? 7 : 9
+  const maxRowHeight = 120 // Long values are truncated rather than spilling over the page
+
+  const headerValues = columns.map(({ label }) => label)
+  const generatedAt = new Date().toISOString().replace("T", " ").split(".")[0]
+  let pageNumber = 1
+  let rowCount = 0
+  let y = top
+
+  const measureRow = (values) => {
+    const heights = values.map((value) => doc.heightOfString(value || " ", { width: columnWidth - padding * 2 }))
+    return Math.min(Math.max(...heights), maxRowHeight) + padding * 2
+  }
+
+  const drawRow = (values, { header = false } = {}) => {
+    doc.font(header ? "Helvetica-Bold" : "Helvetica").fontSize(fontSize)
+    const rowHeight = measureRow(values)
+
+    if (header) {
+      doc.rect(left, y, tableWidth, rowHeight).fill("#eeeeee")
+    }
+
+    doc.fillColor("#000000")
+    values.forEach((value, index) => {
+      doc.text(value, left + index * columnWidth + padding, y + padding, {
+        width: columnWidth - padding * 2,
+        height: rowHeight - padding * 2,
+        ellipsis: true,
+      })
+    })
+
+    doc
+      .moveTo(left, y + rowHeight)
+      .lineTo(left + tableWidth, y + rowHeight)
+      .strokeColor("#cccccc")
+      .lineWidth(0.5)
+      .stroke()
+
+    y += rowHeight
+  }
+
+  const drawFooter = () => {
+    // Writing inside the bottom margin would otherwise make pdfkit start a new page
+    const { bottom: savedBottom } = doc.page.margins
+    doc.page.margins.bottom = 0
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor("#666666")
+      .text(`Generated ${generatedAt} UTC`, left, doc.page.height - bottom + 12, { lineBreak: false })
+      .text(`Page ${pageNumber}`, left, doc.page.height - bottom + 12, { width: tableWidth, align: "right" })
+    doc.page.margins.bottom = savedBottom
+  }
+
+  doc.font("Helvetica-Bold").fontSize(16).text(title, left, y)
+  if (subtitle) {
+    doc.font("Helvetica").fontSize(9).fillColor("#444444").text(subtitle, { width: tableWidth })
+  }
+  y = doc.y + 10
+  drawRow(headerValues, { header: true })
+
+  for await (const row of toRows(cursor, columns)) {
+    doc.font("Helvetica").fontSize(fontSize)
+    if (y + measureRow(row) > tableBottom) {
+      drawFooter()
+      doc.addPage()
+      pageNumber += 1
+      y = top
+      drawRow(headerValues, { header: true })
+    }
+
+    drawRow(row)
+    rowCount += 1
+  }
+
+  if (rowCount === 0) {
+    doc.font("Helvetica").fontSize(10).fillColor("#000000").text("No alumni match the selected filters.", left, y + 10)
+  }
+
+  drawFooter()
+  doc.end()
+  await finished
+}
+
+/**
+ * Stream every alumni record from a Mongoose cursor into the given writable stream.
+ * Options: title and subtitle are only used by the PDF format.
+ */
+export const writeAlumniExport = async (format, cursor, columns, stream, options = {}) => {
+  if (format === "xlsx") {
+    return writeXlsx(cursor, columns, stream)
+  }
+
+  if (format === "pdf") {
+    return writePdf(cursor, columns, stream, options)
+  }
+
+  return writeCsv(cursor, columns, stream)
+}
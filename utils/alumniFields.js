@@ -0,0 +1,91 @@
+import { HISTORY_LIST_NAMES, currentEntry } from "./alumniHistory.js"
+
+/**
+ * Alumni field definitions and nested path helpers
+ */
+
+// Spreadsheet columns that map onto the Alumni schema, shared by imports and exports.
+// Exports use the label as the column header, so an exported file can be imported again.
+// Employment and higher education columns describe the current entry of that history list.
+// On import a column matches a field by its schema path, its label or any alias (case and punctuation are ignored).
+export const ALUMNI_FIELDS = [
+  { path: "name", label: "Name", aliases: ["full name", "student name"] },
+  { path: "registrationNumber", label: "Registration Number", aliases: ["registration no", "reg no", "enrollment number"] },
+  { path: "program", label: "Program", aliases: ["programme", "course"] },
+  { path: "passingYear", label: "Passing Year", aliases: ["year of passing", "batch"] },
+  { path: "academicUnit", label: "Academic Unit", aliases: ["school"] },
+  { path: "contactDetails.email", label: "Email", aliases: ["email address"] },
+  { path: "contactDetails.phone", label: "Phone", aliases: ["phone number", "mobile", "contact number"] },
+  { path: "contactDetails.address", label: "Address" },
+  { path: "qualifiedExams.examName", label: "Qualified Exam", aliases: ["exam name"] },
+  { path: "qualifiedExams.rollNumber", label: "Exam Roll Number" },
+  { path: "qualifiedExams.certificateUrl", label: "Exam Certificate URL" },
+  { path: "employment.type", label: "Employment Type", aliases: ["employment status"] },
+  { path: "employment.employerName", label: "Employer Name", aliases: ["employer", "company"] },
+  { path: "employment.role", label: "Job Title", aliases: ["role", "designation", "position"] },
+  { path: "employment.location", label: "Work Location", aliases: ["job location"] },
+  { path: "employment.salaryBand", label: "Salary Band", aliases: ["salary", "salary range"] },
+  { path: "employment.startDate", label: "Employment Start Date", aliases: ["joining date"] },
+  { path: "employment.employerContact", label: "Employer Contact" },
+  { path: "employment.employerEmail", label: "Employer Email" },
+  { path: "employment.documentUrl", label: "Employment Document URL" },
+  { path: "employment.selfEmploymentDetails", label: "Self-employment Details" },
+  { path: "higherEducation.institutionName", label: "Higher Education Institution", aliases: ["institution"] },
+  { path: "higherEducation.programName", label: "Higher Education Program" },
+  { path: "higherEducation.startDate", label: "Higher Education Start Date" },
+  { path: "higherEducation.documentUrl", label: "Higher Education Document URL" },
+  { path: "basicInfoImageUrl", label: "Photo URL" },
+]
+
+// Read a nested value by its dotted schema path, e.g. "contactDetails.email"
+export const getPath = (source, fieldPath) => fieldPath.split(".").reduce((value, key) => value?.[key], source)
+
+// Set a nested value by its dotted schema path, creating intermediate objects as needed
+export const setPath = (target, fieldPath, value) => {
+  const keys = fieldPath.split(".")
+  let current = target
+  keys.slice(0, -1).forEach((key) => {
+    current[key] = current[key] || {}
+    current = current[key]
+  })
+  current[keys[keys.length - 1]] = value
+}
+
+// For "employment.role" style paths into a history list, the list name and the entry field
+const historyPath = (fieldPath) => {
+  const [listName, ...rest] = fieldPath.split(".")
+  return HISTORY_LIST_NAMES.includes(listName) && rest.length > 0 ? { listName, key: rest.join(".") } : null
+}
+
+// Like getPath, but paths into a history list read the list's current entry
+export const getFieldValue = (source, fieldPath) => {
+  const history = historyPath(fieldPath)
+  if (!history) return getPath(source, fieldPath)
+
+  return getPath(currentEntry(source?.[history.listName]), history.key)
+}
+
+/**
+ * Like setPath, but paths into a history list write to the list's current entry, adding one when the
+ * list has none. target is a plain object or a Mongoose document.
+ */
+export const setFieldValue = (target, fieldPath, value) => {
+  const isDocument = typeof target.set === "function" && typeof target.get === "function"
+  const history = historyPath(fieldPath)
+
+  if (!history) {
+    return isDocument ? target.set(fieldPath, value) : setPath(target, fieldPath, value)
+  }
+
+  if (!Array.isArray(target[history.listName])) {
+    target[history.listName] = []
+  }
+
+  const list = target[history.listName]
+  if (!currentEntry(list)) {
+    list.push({ current: true })
+  }
+
+  const entry = currentEntry(list)
+  return isDocument ? entry.set(history.key, value) : setPath(entry, history.key, value)
+}
@@ -0,0 +1,246 @@
+/**
+ * Employment and higher education history. Both are lists of dated entries on the Alumni record;
+ * entries flagged "current" describe what the alumnus is doing now.
+ */
+
+export const EMPLOYMENT_TYPES = ["Employed", "Self-employed", "Unemployed", "Studying", ""]
+
+// Text fields of an entry that can be written through the API, per list. Changing one of the identity fields
+// (a new employer or job title, a new institution or program) means a new entry rather than an edit.
+export const HISTORY_LISTS = {
+  employment: {
+    label: "Employment",
+    identityFields: ["employerName", "role"],
+    fields: [
+      "type",
+      "employerName",
+      "role",
+      "location",
+      "salaryBand",
+      "employerContact",
+      "employerEmail",
+      "selfEmploymentDetails",
+    ],
+  },
+  higherEducation: {
+    label: "Higher education",
+    identityFields: ["institutionName", "programName"],
+    fields: ["institutionName", "programName"],
+  },
+}
+
+export const HISTORY_LIST_NAMES = Object.keys(HISTORY_LISTS)
+
+const MAX_ENTRIES = 50
+const MAX_FIELD_LENGTH = 500
+const emailRegex = /^\S+@\S+\.\S+$/
+
+const toPlain = (entry) => (entry && typeof entry.toObject === "function" ? entry.toObject() : entry)
+
+// Records not migrated yet still hold a single object, which is treated as having no history
+const asList = (entries) => (Array.isArray(entries) ? entries : [])
+
+const time = (value) => (value ? new Date(value).getTime() : 0)
+
+/**
+ * The entry describing the alumnus' present situation: the current entry that started last, or null.
+ */
+export const currentEntry = (entries) => {
+  const current = asList(entries).filter((entry) => entry?.current)
+  if (current.length === 0) return null
+  return current.reduce((latest, entry) => (time(entry.startDate) > time(latest.startDate) ? entry : latest))
+}
+
+/**
+ * Whether replacing the details of a current entry with submitted ones describes a different job or course:
+ * an identity field that is already filled in on the entry gets another value. Filling in an empty field is an edit.
+ */
+export const isNewHistoryEntry = (listName, current, submitted) =>
+  Boolean(current && submitted) &&
+  HISTORY_LISTS[listName].identityFields.some((field) => {
+    const before = String(current[field] ?? "").trim()
+    const after = String(submitted[field] ?? "").trim()
+    return before !== "" && after !== "" && before.toLowerCase() !== after.toLowerCase()
+  })
+
+// Entries newest first: current entries, then by end date and start date
+export const sortHistory = (entries) =>
+  [...asList(entries)].sort(
+    (a, b) =>
+      Number(Boolean(b.current)) - Number(Boolean(a.current)) ||
+      time(b.endDate) - time(a.endDate) ||
+      time(b.startDate) - time(a.startDate),
+  )
+
+const hasValues = (entry) =>
+  Object.entries(entry || {}).some(([key, value]) => key !== "_id" && value !== undefined && value !== null && value !== "")
+
+/**
+ * A list as stored before history existed - a single object - turned into a history list: the object
+ * becomes the one current entry, or the list is empty when the object has no details. Lists are returned as is.
+ */
+export const toHistoryList = (value) => {
+  if (Array.isArray(value)) return value
+  return value && typeof value === "object" && hasValues(value) ? [{ ...value, current: true }] : []
+}
+
+const parseDate = (value, fieldPath) => {
+  if (value === undefined || value === null || value === "") return { value: undefined }
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? { error: `${fieldPath} must be a valid date` } : { value: date }
+}
+
+/**
+ * Validate a list from a request body. Accepts an array of entries, a JSON string of one, or a single
+ * entry object as sent before history existed (it becomes the one current entry).
+ * Only the list's text fields, startDate, endDate, current and _id (to update an existing entry) are read;
+ * documentUrl is also read when allowDocuments is set. Returns { entries } or { error }.
+ */
+export const parseHistoryInput = (listName, value, { allowDocuments = false } = {}) => {
+  const { fields } = HISTORY_LISTS[listName]
+  let input = value
+
+  if (typeof input === "string") {
+    try {
+      input = JSON.parse(input)
+    } catch (error) {
+      return { error: `${listName} must be a list of entries` }
+    }
+  }
+
+  if (input === null || input === undefined || input === "") {
+    return { entries: [] }
+  }
+
+  if (!Array.isArray(input)) {
+    if (typeof input !== "object") {
+      return { error: `${listName} must be a list of entries` }
+    }
+    input = toHistoryList(input)
+  }
+
+  if (input.length > MAX_ENTRIES) {
+    return { error: `${listName} can have at most ${MAX_ENTRIES} entries` }
+  }
+
+  const entries = []
+
+  for (const [index, raw] of input.entries()) {
+    const prefix = `${listName}[${index}]`
+
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      return { error: `${prefix} must be an object` }
+    }
+
+    const entry = {}
+
+    if (raw._id) {
+      entry._id = String(raw._id)
+    }
+
+    for (const field of allowDocuments ? [...fields, "documentUrl"] : fields) {
+      const fieldValue = raw[field]
+      if (fieldValue === undefined || fieldValue === null) continue
+
+      if (typeof fieldValue !== "string") {
+        return { error: `${prefix}.${field} must be text` }
+      }
+      if (fieldValue.length > MAX_FIELD_LENGTH) {
+        return { error: `${prefix}.${field} must be at most ${MAX_FIELD_LENGTH} characters` }
+      }
+      entry[field] = fieldValue.trim()
+    }
+
+    for (const field of ["startDate", "endDate"]) {
+      const { value: date, error } = parseDate(raw[field], `${prefix}.${field}`)
+      if (error) return { error }
+      if (date) entry[field] = date
+    }
+
+    entry.current = raw.current === true || raw.current === "true"
+
+    if (entry.type !== undefined && !EMPLOYMENT_TYPES.includes(entry.type)) {
+      return { error: `${prefix}.type must be one of: ${EMPLOYMENT_TYPES.filter(Boolean).join(", ")}` }
+    }
+    if (entry.employerEmail && !emailRegex.test(entry.employerEmail)) {
+      return { error: `${prefix}.employerEmail must be a valid email` }
+    }
+    if (entry.current && entry.endDate) {
+      return { error: `${prefix} is marked as current, so it cannot have an end date` }
+    }
+    if (entry.startDate && entry.endDate && entry.endDate < entry.startDate) {
+      return { error: `${prefix}.endDate must not be before its startDate` }
+    }
+
+    entries.push(entry)
+  }
+
+  return { entries }
+}
+
+/**
+ * Combine submitted entries with the record's existing ones. Entries are matched by _id; a matched entry
+ * keeps its documentUrl unless a new one was submitted (or always, with keepDocuments), and submitted IDs
+ * that do not exist on the record are dropped so they are stored as new entries.
+ */
+export const mergeHistoryEntries = (existingEntries, submittedEntries, { keepDocuments = false } = {}) => {
+  const existingById = new Map(asList(existingEntries).map((entry) => [String(entry._id), toPlain(entry)]))
+
+  return submittedEntries.map(({ _id, ...entry }) => {
+    const existing = _id ? existingById.get(String(_id)) : null
+    if (!existing) return entry
+
+    const documentUrl = keepDocuments || entry.documentUrl === undefined ? existing.documentUrl : entry.documentUrl
+    return { ...entry, _id: existing._id, documentUrl }
+  })
+}
+
+/**
+ * Attach an uploaded document to the current entry of a list of plain entries, adding a current entry
+ * when the list has none. Returns the updated list.
+ */
+export const attachDocumentToCurrent = (entries, documentUrl) => {
+  const list = [...entries]
+  const current = currentEntry(list)
+
+  if (current) {
+    list[list.indexOf(current)] = { ...current, documentUrl }
+  } else {
+    list.push({ current: true, documentUrl })
+  }
+
+  return list
+}
+
+// Comparable form of a list's details, ignoring documents, empty fields, field order and subdocument wrappers
+export const historyKey = (entries) =>
+  JSON.stringify(
+    asList(entries).map((entry) => {
+      const plain = toPlain(entry)
+      return Object.keys(plain)
+        .filter((key) => ![undefined, null, ""].includes(plain[key]) && !["documentUrl", "documentVerification"].includes(key))
+        .sort()
+        .map((key) => [key, plain[key] instanceof Date ? plain[key].toISOString() : String(plain[key])])
+    }),
+  )
+
+const formatYear = (date) => (date ? new Date(date).getFullYear() : "")
+
+// One line per entry for exports, e.g. "Engineer at Acme, Pune (2019 - present)"
+export const formatHistory = (listName, entries) =>
+  sortHistory(entries)
+    .map((entry) => {
+      const description =
+        listName === "employment"
+          ? [entry.role, entry.employerName || entry.selfEmploymentDetails || entry.type].filter(Boolean).join(" at ") +
+            (entry.location ? `, ${entry.location}` : "")
+          : [entry.programName, entry.institutionName].filter(Boolean).join(", ")
+
+      const start = formatYear(entry.startDate)
+      const end = entry.current ? "present" : formatYear(entry.endDate)
+      const period = start || end ? ` (${[start, end].filter(Boolean).join(" - ")})` : ""
+
+      return `${description}${period}`
+    })
+    .filter((line) => line.trim())
+    .join("; ")
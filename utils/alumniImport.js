@@ -0,0 +1,354 @@
+import path from "path"
+import ExcelJS from "exceljs"
+import { parse } from "csv-parse/sync"
+import Alumni from "../models/alumni.js"
+import { ALUMNI_FIELDS, getFieldValue, getPath, setFieldValue } from "./alumniFields.js"
+import { HISTORY_LIST_NAMES, currentEntry, isNewHistoryEntry } from "./alumniHistory.js"
+import { recordAudit, snapshot } from "./audit.js"
+import { canAccessUnit, getDefaultUnit } from "./alumniQuery.js"
+import { syncDocumentVerification } from "./documentVerification.js"
+import { FORMULA_PREFIXES } from "./alumniExport.js"
+
+/**
+ * Helpers for bulk importing alumni records from CSV/XLSX spreadsheets
+ */
+
+export const MAX_IMPORT_ROWS = 5000
+
+// Same required fields as POST /api/alumni
+const REQUIRED_FIELDS = [
+  { path: "name", message: "Name is required" },
+  { path: "program", message: "Program is required" },
+  { path: "passingYear", message: "Passing year is required" },
+  { path: "registrationNumber", message: "Registration number is required" },
+]
+
+const SUPPORTED_EXTENSIONS = [".csv", ".xlsx"]
+
+const normalizeHeader = (header) =>
+  String(header || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "")
+
+// Lookup table from normalized header to schema path
+const HEADER_LOOKUP = {}
+ALUMNI_FIELDS.forEach((field) => {
+  const names = [field.path, field.label, ...(field.aliases || [])]
+  names.forEach((name) => {
+    HEADER_LOOKUP[normalizeHeader(name)] = field.path
+  })
+})
+
+export const isSupportedImportFile = (file) =>
+  SUPPORTED_EXTENSIONS.includes(path.extname(file.originalname || "").toLowerCase())
+
+// Read the first worksheet of an XLSX file into an array of { header: value } objects
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(buffer)
+
+  const worksheet = workbook.worksheets[0]
+  if (!worksheet) {
+    return []
+  }
+
+  const headers = []
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    headers[colNumber] = cell.text.trim()
+  })
+
+  const rows = []
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return
+
+    const record = {}
+    headers.forEach((header, colNumber) => {
+      if (header) {
+        record[header] = row.getCell(colNumber).text
+      }
+    })
+    rows.push({ rowNumber, record })
+  })
+
+  return rows
+}
+
+// CSV exports put a quote in front of values that look like formulas, e.g. '+91 98765 43210; drop it again
+const unescapeFormula = (value) =>
+  typeof value === "string" && value.startsWith("'") && FORMULA_PREFIXES.includes(value.charAt(1)) ? value.slice(1) : value
+
+const parseCsv = (buffer) => {
+  const records = parse(buffer, {
+    columns: true,
+    bom: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true,
+    info: true,
+  })
+
+  // info.lines is the line the record ends on, so row numbers stay accurate around skipped blank lines
+  return records.map(({ record, info }) => ({
+    rowNumber: info.lines,
+    record: Object.fromEntries(Object.entries(record).map(([header, value]) => [header, unescapeFormula(value)])),
+  }))
+}
+
+/**
+ * Parse an uploaded CSV or XLSX file (multer memory storage) into raw rows.
+ * Each row is returned as { rowNumber, record } where record is keyed by the column header.
+ */
+export const parseImportFile = async (file) => {
+  const extension = path.extname(file.originalname || "").toLowerCase()
+
+  const rows = extension === ".xlsx" ? await parseXlsx(file.buffer) : parseCsv(file.buffer)
+
+  // Ignore rows where every cell is blank
+  return rows.filter(({ record }) => Object.values(record).some((value) => String(value ?? "").trim() !== ""))
+}
+
+/**
+ * Map a raw spreadsheet record onto the Alumni schema shape.
+ * Returns the mapped data along with any columns that could not be matched to a field.
+ */
+export const mapImportRecord = (record) => {
+  const data = {}
+  const unmappedColumns = []
+
+  Object.entries(record).forEach(([header, rawValue]) => {
+    const fieldPath = HEADER_LOOKUP[normalizeHeader(header)]
+
+    if (!fieldPath) {
+      unmappedColumns.push(header)
+      return
+    }
+
+    const value = String(rawValue ?? "").trim()
+    if (value !== "") {
+      setFieldValue(data, fieldPath, value)
+    }
+  })
+
+  return { data, unmappedColumns }
+}
+
+// Run the required-field checks and the Alumni schema validators against a mapped row
+export const validateImportData = (data) => {
+  const errors = REQUIRED_FIELDS.filter(({ path: fieldPath }) => !getPath(data, fieldPath)).map(
+    ({ path: fieldPath, message }) => ({ field: fieldPath, message }),
+  )
+
+  const validationError = new Alumni(data).validateSync()
+  if (validationError) {
+    Object.entries(validationError.errors).forEach(([fieldPath, error]) => {
+      // Required fields are already reported above with friendlier messages
+      if (error.kind === "required") return
+      // Errors in the current history entry are reported by column, e.g. employment.0.type as employment.type
+      errors.push({ field: fieldPath.replace(/\.\d+\./, "."), message: error.message })
+    })
+  }
+
+  return errors
+}
+
+// Flatten nested data into [path, value] pairs, e.g. contactDetails.email.
+// Import rows only describe the current entry of a history list, which is flattened as employment.employerName etc.
+const flattenData = (data, prefix = "") =>
+  Object.entries(data).flatMap(([key, value]) => {
+    const fieldPath = prefix ? `${prefix}.${key}` : key
+
+    if (!prefix && HISTORY_LIST_NAMES.includes(key)) {
+      const { current, ...entry } = currentEntry(value) || {}
+      return flattenData(entry, fieldPath)
+    }
+
+    return value && typeof value === "object" ? flattenData(value, fieldPath) : [[fieldPath, value]]
+  })
+
+// Dates are compared by day, the precision spreadsheets use
+const comparable = (value) => (value instanceof Date ? value.toISOString().split("T")[0] : String(value ?? ""))
+
+// Field-level changes an import row would make to an existing record
+const diffImportData = (existing, data) =>
+  flattenData(data)
+    .map(([fieldPath, value]) => ({ field: fieldPath, from: getFieldValue(existing, fieldPath) ?? null, to: value }))
+    .filter(({ from, to }) => comparable(from) !== comparable(to))
+
+// History lists whose current entry a row replaces rather than edits, e.g. when the employer changed
+const replacedHistoryLists = (existing, data) =>
+  HISTORY_LIST_NAMES.filter((listName) =>
+    isNewHistoryEntry(listName, currentEntry(existing[listName]), currentEntry(data[listName])),
+  )
+
+/**
+ * End the record's current entry of a history list and add the row's details as the new current entry.
+ * The previous entry ends when the new one starts, or today when the row has no start date.
+ */
+const startNewHistoryEntry = (alumni, listName, rowEntry) => {
+  const { current, ...details } = rowEntry
+  const previous = currentEntry(alumni[listName])
+  const endDate = new Date(details.startDate || Date.now())
+
+  previous.current = false
+  // An entry cannot end before it started
+  previous.endDate = previous.startDate && previous.startDate > endDate ? previous.startDate : endDate
+  alumni[listName].push({ ...details, current: true })
+}
+
+/**
+ * Work out what importing a batch of parsed rows would do, without writing anything.
+ * Every row gets an action: "create", "update", "unchanged" or "reject" (with the reasons).
+ * Rows whose registration number already exists are rejected unless onDuplicate is "update".
+ * Rows (and existing records) outside the importing user's academic units are rejected.
+ * Updates list in newHistoryEntries the history lists that get a new current entry (see replacedHistoryLists).
+ */
+export const planImport = async (rows, { onDuplicate = "reject", user } = {}) => {
+  const mappedRows = rows.map(({ rowNumber, record }) => ({ rowNumber, ...mapImportRecord(record) }))
+
+  // Look up all registration numbers in one query instead of once per row
+  const registrationNumbers = mappedRows.map(({ data }) => data.registrationNumber).filter(Boolean)
+  const existing = await Alumni.find({ registrationNumber: { $in: registrationNumbers } }).lean()
+  const existingByNumber = new Map(existing.map((alumni) => [alumni.registrationNumber, alumni]))
+
+  const unmappedColumns = new Set(mappedRows.flatMap((row) => row.unmappedColumns))
+  const seenNumbers = new Map()
+
+  const entries = mappedRows.map(({ rowNumber, data }) => {
+    const errors = validateImportData(data)
+    const current = existingByNumber.get(data.registrationNumber)
+
+    if (data.registrationNumber) {
+      if (seenNumbers.has(data.registrationNumber)) {
+        errors.push({
+          field: "registrationNumber",
+          message: `Duplicate registration number in file (first seen on row ${seenNumbers.get(data.registrationNumber)})`,
+        })
+      } else {
+        seenNumbers.set(data.registrationNumber, rowNumber)
+
+        if (current?.deletedAt) {
+          errors.push({
+            field: "registrationNumber",
+            message: "Alumni with this registration number is in the trash. Restore it before importing",
+          })
+        } else if (current && onDuplicate !== "update") {
+          errors.push({
+            field: "registrationNumber",
+            message: "Alumni with this registration number already exists",
+          })
+        }
+      }
+    }
+
+    // Rows without an academic unit keep the existing record's unit, or get the user's default for new records
+    const academicUnit = data.academicUnit || current?.academicUnit || getDefaultUnit(user)
+
+    if (!canAccessUnit(user, academicUnit)) {
+      errors.push({ field: "academicUnit", message: `You cannot import alumni into ${academicUnit}` })
+    } else if (current && !canAccessUnit(user, current.academicUnit)) {
+      errors.push({
+        field: "registrationNumber",
+        message: "Alumni with this registration number belongs to an academic unit you cannot access",
+      })
+    }
+
+    const entry = { row: rowNumber, registrationNumber: data.registrationNumber || null, data }
+
+    if (errors.length > 0) {
+      return { ...entry, action: "reject", errors }
+    }
+
+    if (current) {
+      const changes = diffImportData(current, data)
+      if (changes.length === 0) {
+        return { ...entry, id: current._id, action: "unchanged", changes }
+      }
+
+      return { ...entry, id: current._id, action: "update", changes, newHistoryEntries: replacedHistoryLists(current, data) }
+    }
+
+    const created = { ...data, academicUnit }
+    const changes = flattenData(created).map(([fieldPath, value]) => ({ field: fieldPath, from: null, to: value }))
+    return { ...entry, data: created, action: "create", changes }
+  })
+
+  return { entries, unmappedColumns: [...unmappedColumns] }
+}
+
+/**
+ * Write a plan produced by planImport to the database.
+ * Rows are processed independently so that one bad row never aborts the batch;
+ * a row that fails at write time is turned into a "reject" entry.
+ * Every written row is recorded in the audit trail against the importing user.
+ */
+export const applyImportPlan = async (entries, req) => {
+  const results = []
+
+  for (const entry of entries) {
+    try {
+      if (entry.action === "create") {
+        const alumni = new Alumni({ ...entry.data, createdBy: req.user.id })
+        syncDocumentVerification(null, alumni)
+        await alumni.save()
+        await recordAudit(req, { action: "alumni.create", entity: "Alumni", after: alumni, metadata: { source: "import" } })
+        results.push({ ...entry, id: alumni._id })
+      } else if (entry.action === "update") {
+        const alumni = await Alumni.findById(entry.id)
+        if (!alumni) {
+          throw new Error("Alumni record no longer exists")
+        }
+        const before = snapshot(alumni)
+        const newHistoryEntries = entry.newHistoryEntries || []
+
+        // A new employer or course keeps the previous one in the history; other changes edit the current entry
+        newHistoryEntries.forEach((listName) => startNewHistoryEntry(alumni, listName, currentEntry(entry.data[listName])))
+        entry.changes
+          .filter(({ field }) => !newHistoryEntries.includes(field.split(".")[0]))
+          .forEach(({ field, to }) => setFieldValue(alumni, field, to))
+        syncDocumentVerification(before, alumni)
+        alumni.updatedAt = Date.now()
+        alumni.updatedBy = req.user.id
+        await alumni.save()
+        await recordAudit(req, {
+          action: "alumni.update",
+          entity: "Alumni",
+          before,
+          after: alumni,
+          metadata: { source: "import" },
+        })
+        results.push(entry)
+      } else {
+        results.push(entry)
+      }
+    } catch (error) {
+      // Another request may have inserted the same registration number since the plan was made
+      const duplicate = error.code === 11000
+      results.push({
+        ...entry,
+        action: "reject",
+        changes: undefined,
+        errors: [
+          {
+            field: duplicate ? "registrationNumber" : null,
+            message: duplicate ? "Alumni with this registration number already exists" : error.message,
+          },
+        ],
+      })
+    }
+  }
+
+  return results
+}
+
+// Build the response body shared by dry runs and real imports
+export const summarizeImport = (entries) => {
+  const summary = { totalRows: entries.length, create: 0, update: 0, unchanged: 0, reject: 0 }
+  entries.forEach(({ action }) => {
+    summary[action] += 1
+  })
+
+  // The mapped row data is only needed internally; the changes list already describes it
+  const rows = entries.map(({ data, ...entry }) => entry)
+
+  return { summary, rows }
+}
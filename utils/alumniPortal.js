@@ -0,0 +1,91 @@
+import jwt from "jsonwebtoken"
+import { HISTORY_LIST_NAMES, parseHistoryInput } from "./alumniHistory.js"
+
+/**
+ * Alumni self-service portal: tokens and the fields alumni may edit themselves.
+ * Portal tokens are JWTs of type "alumni" carrying the AlumniAccount ID ("aid") and its token version;
+ * staff routes reject them, and the portal rejects staff tokens.
+ *   ALUMNI_TOKEN_EXPIRY           portal session length (default 7d)
+ *   ALUMNI_MAGIC_LINK_MINUTES     how long a sign-in link stays valid (default 15)
+ */
+
+export const ALUMNI_TOKEN_TYPE = "alumni"
+const ALUMNI_TOKEN_EXPIRY = process.env.ALUMNI_TOKEN_EXPIRY || "7d"
+export const MAGIC_LINK_MINUTES = Number.parseInt(process.env.ALUMNI_MAGIC_LINK_MINUTES) || 15
+
+// Fields alumni can change from the portal. Identity, academic and document fields stay staff-only;
+// the contact email is the portal login, so staff change it too.
+// employment and higherEducation are whole history lists (see parseHistoryInput for the entry format).
+export const ALUMNI_EDITABLE_FIELDS = ["contactDetails.phone", "contactDetails.address", ...HISTORY_LIST_NAMES]
+
+// Editable fields that go to the moderation queue instead of being saved straight away,
+// since staff need to verify employment and higher education details
+export const MODERATED_FIELDS = HISTORY_LIST_NAMES
+
+const MAX_FIELD_LENGTH = 500
+
+export const generateAlumniToken = (account) =>
+  jwt.sign(
+    { type: ALUMNI_TOKEN_TYPE, aid: account._id, alumni: account.alumni, ver: account.tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: ALUMNI_TOKEN_EXPIRY },
+  )
+
+// Dotted paths of every value in a request body, e.g. { contactDetails: { phone } } -> ["contactDetails.phone"].
+// Arrays are values, so a history list is a single path.
+const bodyPaths = (body, prefix = "") =>
+  Object.entries(body || {}).flatMap(([key, value]) => {
+    const fieldPath = prefix ? `${prefix}.${key}` : key
+    return value !== null && typeof value === "object" && !Array.isArray(value) ? bodyPaths(value, fieldPath) : [fieldPath]
+  })
+
+/**
+ * Validate a portal update. Accepts nested ({ contactDetails: { phone } }) or dotted ("contactDetails.phone") keys;
+ * employment and higherEducation are sent as the complete list of entries.
+ * Returns { changes } as { path: value } for the editable fields that were sent,
+ * or { error, lockedFields } when the body touches staff-only fields or has invalid values.
+ */
+export const pickAlumniChanges = (body) => {
+  const changes = {}
+  const lockedFields = []
+
+  for (const fieldPath of bodyPaths(body)) {
+    const value = fieldPath.split(".").reduce((current, key) => current?.[key], body) ?? body[fieldPath]
+
+    if (!ALUMNI_EDITABLE_FIELDS.includes(fieldPath)) {
+      lockedFields.push(fieldPath)
+      continue
+    }
+
+    if (HISTORY_LIST_NAMES.includes(fieldPath)) {
+      if (value !== null && !Array.isArray(value)) {
+        return { error: `${fieldPath} must be a list of entries` }
+      }
+
+      // Alumni cannot attach documents; staff upload and verify those
+      const { entries, error } = parseHistoryInput(fieldPath, value)
+      if (error) return { error }
+      changes[fieldPath] = entries
+      continue
+    }
+
+    if (value !== null && typeof value !== "string") {
+      return { error: `${fieldPath} must be text` }
+    }
+
+    changes[fieldPath] = (value || "").trim()
+
+    if (changes[fieldPath].length > MAX_FIELD_LENGTH) {
+      return { error: `${fieldPath} must be at most ${MAX_FIELD_LENGTH} characters` }
+    }
+  }
+
+  if (lockedFields.length > 0) {
+    return {
+      error: "These fields can only be changed by the alumni office",
+      lockedFields,
+    }
+  }
+
+  return { changes }
+}
@@ -0,0 +1,113 @@
+import Alumni from "../models/alumni.js"
+import AcademicUnit from "../models/academicUnit.js"
+import { userHasPermission } from "./permissions.js"
+import { documentStatusFilter } from "./documentVerification.js"
+import { EMPLOYMENT_TYPES } from "./alumniHistory.js"
+
+/**
+ * Query helpers shared by the alumni list, search and export routes
+ */
+
+// Unit used when a record is created without one
+export const DEFAULT_ACADEMIC_UNIT = "School of Science and Technology"
+
+// Matches records that have not been moved to the trash
+export const NOT_DELETED = { deletedAt: null }
+
+// Build the MongoDB filter for the list/search query parameters:
+// academicUnit, passingYear, program, employer (anywhere in the employment history), employmentType
+// (of the current employment), the free-text search query and the document verification
+// filters documentStatus/documentType (checked with validateDocumentFilters first).
+// Deleted records are always excluded.
+export const buildAlumniFilter = (params = {}) => {
+  const filter = { ...NOT_DELETED }
+
+  // If "all" is selected or no filter, don't add academicUnit filter - show all units
+  if (params.academicUnit && params.academicUnit !== "all") {
+    filter.academicUnit = params.academicUnit
+  }
+
+  if (params.passingYear && params.passingYear !== "all") {
+    filter.passingYear = params.passingYear
+  }
+
+  if (params.program && params.program.trim() !== "") {
+    // Use case-insensitive regex for program search
+    filter.program = { $regex: params.program.trim(), $options: "i" }
+  }
+
+  if (params.employer && params.employer.trim() !== "") {
+    // Past employers match too, so this finds everyone who has worked there
+    filter["employment.employerName"] = { $regex: params.employer.trim(), $options: "i" }
+  }
+
+  if (params.employmentType && params.employmentType !== "all") {
+    filter.employment = { $elemMatch: { current: true, type: params.employmentType } }
+  }
+
+  if (params.query) {
+    filter.$or = [
+      { name: { $regex: params.query, $options: "i" } },
+      { registrationNumber: { $regex: params.query, $options: "i" } },
+      { program: { $regex: params.query, $options: "i" } },
+      { "employment.employerName": { $regex: params.query, $options: "i" } },
+      { "higherEducation.institutionName": { $regex: params.query, $options: "i" } },
+    ]
+  }
+
+  if (params.documentStatus) {
+    // Combined with $and since the search query already uses $or
+    filter.$and = [documentStatusFilter(params.documentStatus, params.documentType)]
+  }
+
+  return filter
+}
+
+// Error message for an invalid employmentType query parameter, or null
+export const validateEmploymentFilter = ({ employmentType }) => {
+  if (employmentType && employmentType !== "all" && !EMPLOYMENT_TYPES.includes(employmentType)) {
+    return `Invalid employmentType. Use one of: ${EMPLOYMENT_TYPES.filter(Boolean).join(", ")}`
+  }
+  return null
+}
+
+// Units that can be assigned to staff must either be configured academic units or already used by alumni records
+export const findUnknownUnits = async (units) => {
+  const knownUnits = new Set([...(await AcademicUnit.distinct("name")), ...(await Alumni.distinct("academicUnit"))])
+  return units.filter((unit) => !knownUnits.has(unit))
+}
+
+// Academic units the user may access, or null when the user can access every unit
+export const getAllowedUnits = (user) =>
+  userHasPermission(user, "alumni:all-units") ? null : user?.academicUnits || []
+
+export const canAccessUnit = (user, academicUnit) => {
+  const allowedUnits = getAllowedUnits(user)
+  return allowedUnits === null || allowedUnits.includes(academicUnit)
+}
+
+// Filter that only matches records in the user's academic units
+export const unitScopeFilter = (user) => {
+  const allowedUnits = getAllowedUnits(user)
+  return allowedUnits === null ? {} : { academicUnit: { $in: allowedUnits } }
+}
+
+// Restrict a list/search filter to the user's units; a requested unit outside them matches nothing
+export const scopeAlumniFilter = (filter, user) => {
+  const allowedUnits = getAllowedUnits(user)
+  if (allowedUnits === null) return filter
+
+  const scoped = { ...filter }
+  if (typeof filter.academicUnit === "string") {
+    scoped.academicUnit = allowedUnits.includes(filter.academicUnit) ? filter.academicUnit : { $in: [] }
+  } else {
+    scoped.academicUnit = { $in: allowedUnits }
+  }
+  return scoped
+}
+
+// Unit for a new record when none is given - the user's only unit, otherwise the default
+export const getDefaultUnit = (user) => {
+  const allowedUnits = getAllowedUnits(user)
+  return allowedUnits?.length === 1 ? allowedUnits[0] : DEFAULT_ACADEMIC_UNIT
+}
@@ -0,0 +1,35 @@
+import AuditLog from "../models/auditLog.js"
+import { diffDocuments } from "./diff.js"
+
+/**
+ * Audit trail helpers - every mutating route records who changed what
+ */
+
+/**
+ * Record an audit log entry for a change made during a request.
+ * before/after are the document states around the change (null for creations and deletions).
+ * The actor defaults to the authenticated user; pass actor for routes without req.user (e.g. registration).
+ * Failures are logged and swallowed so auditing never breaks the request itself.
+ */
+export const recordAudit = async (req, { action, entity, entityId, before = null, after = null, actor, metadata }) => {
+  try {
+    const auditActor = actor || req.user
+
+    await AuditLog.create({
+      actor: auditActor?._id || auditActor?.id,
+      actorEmail: auditActor?.email,
+      action,
+      entity,
+      entityId: entityId || after?._id || before?._id,
+      changes: diffDocuments(before, after),
+      metadata,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    })
+  } catch (error) {
+    console.error(`Failed to record audit log for ${action}:`, error)
+  }
+}
+
+// Snapshot a Mongoose document before it is modified in place
+export const snapshot = (doc) => (doc ? doc.toObject({ depopulate: true }) : null)
@@ -0,0 +1,343 @@
+/**
+ * Passwords that appear at the top of public breach corpora, plus a few that are obvious for this site.
+ * Checked case-insensitively by utils/passwordPolicy.js, also after stripping trailing digits and symbols.
+ */
+
+export const COMMON_PASSWORDS = [
+  "123456",
+  "123456789",
+  "12345678",
+  "password",
+  "qwerty",
+  "12345",
+  "1234567",
+  "111111",
+  "1234567890",
+  "123123",
+  "abc123",
+  "1234",
+  "password1",
+  "iloveyou",
+  "1q2w3e4r",
+  "000000",
+  "qwerty123",
+  "zaq12wsx",
+  "dragon",
+  "sunshine",
+  "princess",
+  "letmein",
+  "654321",
+  "monkey",
+  "27653",
+  "1qaz2wsx",
+  "123321",
+  "qwertyuiop",
+  "superman",
+  "asdfghjkl",
+  "football",
+  "baseball",
+  "welcome",
+  "admin",
+  "admin123",
+  "administrator",
+  "root",
+  "toor",
+  "login",
+  "passw0rd",
+  "master",
+  "hello",
+  "freedom",
+  "whatever",
+  "qazwsx",
+  "trustno1",
+  "starwars",
+  "shadow",
+  "michael",
+  "jennifer",
+  "jordan",
+  "jordan23",
+  "harley",
+  "hunter",
+  "hunter2",
+  "ranger",
+  "buster",
+  "soccer",
+  "hockey",
+  "killer",
+  "george",
+  "charlie",
+  "andrew",
+  "michelle",
+  "love",
+  "jessica",
+  "pepper",
+  "daniel",
+  "access",
+  "joshua",
+  "maggie",
+  "thomas",
+  "robert",
+  "matthew",
+  "ashley",
+  "bailey",
+  "nicole",
+  "summer",
+  "taylor",
+  "batman",
+  "cheese",
+  "computer",
+  "corvette",
+  "mercedes",
+  "ferrari",
+  "internet",
+  "samsung",
+  "google",
+  "facebook",
+  "secret",
+  "secret123",
+  "changeme",
+  "default",
+  "guest",
+  "test",
+  "test123",
+  "testing",
+  "temp",
+  "temp123",
+  "demo",
+  "user",
+  "user123",
+  "pass",
+  "pass123",
+  "pass1234",
+  "password12",
+  "password123",
+  "password1234",
+  "passwordpassword",
+  "p@ssw0rd",
+  "p@ssword",
+  "pa55word",
+  "qwerty1",
+  "qwerty12",
+  "qwerty1234",
+  "qwertyu",
+  "qwer1234",
+  "asdf",
+  "asdf1234",
+  "asdfgh",
+  "asdfasdf",
+  "zxcvbnm",
+  "zxcvbn",
+  "zxcv1234",
+  "1qazxsw2",
+  "q1w2e3r4",
+  "q1w2e3r4t5",
+  "1q2w3e",
+  "1q2w3e4r5t",
+  "a1b2c3",
+  "a1b2c3d4",
+  "abcd1234",
+  "abcdef",
+  "abcdefg",
+  "abcdefgh",
+  "aaaaaa",
+  "aaaaaaaa",
+  "abc12345",
+  "112233",
+  "121212",
+  "123abc",
+  "123qwe",
+  "123654",
+  "123789",
+  "131313",
+  "159753",
+  "159357",
+  "147258",
+  "147258369",
+  "147852",
+  "147852369",
+  "159951",
+  "1111",
+  "11111",
+  "1111111",
+  "11111111",
+  "111111111",
+  "1111111111",
+  "222222",
+  "333333",
+  "444444",
+  "555555",
+  "666666",
+  "777777",
+  "888888",
+  "999999",
+  "0000",
+  "00000000",
+  "1212",
+  "123",
+  "1234qwer",
+  "12341234",
+  "123456a",
+  "123456q",
+  "123456abc",
+  "1234567a",
+  "12345678a",
+  "12345qwert",
+  "12345a",
+  "123654789",
+  "0987654321",
+  "987654321",
+  "9876543210",
+  "666",
+  "696969",
+  "7777777",
+  "88888888",
+  "lovely",
+  "loveme",
+  "iloveu",
+  "iloveyou1",
+  "iloveyou2",
+  "princess1",
+  "sunshine1",
+  "monkey1",
+  "dragon1",
+  "shadow1",
+  "master1",
+  "football1",
+  "baseball1",
+  "welcome1",
+  "welcome123",
+  "letmein1",
+  "letmein123",
+  "hello123",
+  "helloworld",
+  "freedom1",
+  "flower",
+  "flowers",
+  "forever",
+  "friends",
+  "family",
+  "angel",
+  "angels",
+  "anthony",
+  "benjamin",
+  "blink182",
+  "blessed",
+  "butterfly",
+  "chelsea",
+  "chocolate",
+  "cookie",
+  "cooper",
+  "dallas",
+  "diamond",
+  "dolphin",
+  "eagles",
+  "enter",
+  "ginger",
+  "golden",
+  "hannah",
+  "hello1",
+  "jasmine",
+  "jesus",
+  "jesus1",
+  "john316",
+  "junior",
+  "justin",
+  "liverpool",
+  "london",
+  "lucky",
+  "madison",
+  "mickey",
+  "midnight",
+  "money",
+  "mustang",
+  "naruto",
+  "nothing",
+  "orange",
+  "panther",
+  "passport",
+  "peanut",
+  "pokemon",
+  "purple",
+  "qwerty12345",
+  "rainbow",
+  "samantha",
+  "scooter",
+  "silver",
+  "simple",
+  "snoopy",
+  "sophie",
+  "spiderman",
+  "starwars1",
+  "sparky",
+  "steelers",
+  "sunflower",
+  "tigger",
+  "tinkerbell",
+  "tomcat",
+  "trustme",
+  "victoria",
+  "william",
+  "yankees",
+  "zxcvbnm1",
+  "alumni",
+  "alumni123",
+  "alumni2024",
+  "alumni2025",
+  "alumni2026",
+  "university",
+  "university1",
+  "college",
+  "college123",
+  "school",
+  "school123",
+  "student",
+  "student123",
+  "teacher",
+  "teacher123",
+  "science",
+  "technology",
+  "sst",
+  "sstalumni",
+  "sst123",
+  "sst12345",
+  "changeit",
+  "changeme123",
+  "letmein!",
+  "welcome!",
+  "password!",
+  "password1!",
+  "qwerty!",
+  "admin1",
+  "admin1234",
+  "admin12345",
+  "administrator1",
+  "root123",
+  "rootroot",
+  "superuser",
+  "sysadmin",
+  "manager",
+  "manager123",
+  "office",
+  "office123",
+  "company",
+  "company123",
+  "india",
+  "india123",
+  "india@123",
+  "pakistan",
+  "bangladesh",
+  "nepal",
+  "delhi",
+  "mumbai",
+  "bangalore",
+  "kolkata",
+  "chennai",
+  "hyderabad",
+  "krishna",
+  "ganesh",
+  "shiva",
+  "sairam",
+  "omsairam",
+  "jaishriram",
+  "iloveindia",
+]
@@ -0,0 +1,85 @@
+/**
+ * Field-level diffing of documents for audit trails and revision comparisons
+ */
+
+// Bookkeeping fields that change on every save and carry no information
+const DEFAULT_IGNORED_FIELDS = ["_id", "__v", "updatedAt"]
+
+// Fields whose values must never be copied into a diff
+const REDACTED_FIELDS = [
+  "password",
+  "passwordHistory",
+  "resetToken",
+  "resetTokenExpiry",
+  "twoFactor.secret",
+  "twoFactor.pendingSecret",
+  "twoFactor.recoveryCodes",
+  "keyHash",
+  "tokenHash",
+  "magicLinkHash",
+  "magicLinkExpiresAt",
+]
+
+const toPlainObject = (value) => {
+  if (!value) return {}
+  return typeof value.toObject === "function" ? value.toObject({ depopulate: true }) : value
+}
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  value._bsontype === undefined // ObjectIds are compared as values, not walked
+
+// Flatten a nested object into { "a.b": value } pairs; arrays are kept whole
+const flatten = (source, prefix = "", result = {}) => {
+  Object.entries(source).forEach(([key, value]) => {
+    const fieldPath = prefix ? `${prefix}.${key}` : key
+
+    if (isPlainObject(value)) {
+      flatten(value, fieldPath, result)
+    } else {
+      result[fieldPath] = value
+    }
+  })
+  return result
+}
+
+const serialize = (value) => {
+  if (value === undefined || value === null || value === "") return null
+  return JSON.parse(JSON.stringify(value))
+}
+
+const isIgnored = (fieldPath, ignored) =>
+  ignored.some((field) => fieldPath === field || fieldPath.startsWith(`${field}.`))
+
+/**
+ * Compare two documents (Mongoose documents or plain objects) field by field.
+ * Returns [{ field, before, after }] for every changed leaf field.
+ * Pass null as before or after to describe a creation or deletion.
+ */
+export const diffDocuments = (before, after, { ignore = [] } = {}) => {
+  const ignored = [...DEFAULT_IGNORED_FIELDS, ...ignore]
+  const beforeFields = flatten(toPlainObject(before))
+  const afterFields = flatten(toPlainObject(after))
+  const fieldPaths = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])
+
+  const changes = []
+  fieldPaths.forEach((fieldPath) => {
+    if (isIgnored(fieldPath, ignored)) return
+
+    const beforeValue = serialize(beforeFields[fieldPath])
+    const afterValue = serialize(afterFields[fieldPath])
+
+    if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) return
+
+    if (REDACTED_FIELDS.includes(fieldPath)) {
+      changes.push({ field: fieldPath, before: "[REDACTED]", after: "[REDACTED]" })
+    } else {
+      changes.push({ field: fieldPath, before: beforeValue, after: afterValue })
+    }
+  })
+
+  return changes
+}
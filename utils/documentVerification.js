@@ -0,0 +1,199 @@
+import { getPath, setPath } from "./alumniFields.js"
+
+/**
+ * Verification of the documents uploaded with an alumni record.
+ * Each document has a verification subdocument next to its URL: { status, verifiedBy, verifiedAt, reason }.
+ * Employment and higher education documents belong to an entry of the record's history, so a record
+ * can have several of them.
+ * A document without a verification subdocument (e.g. uploaded before verification existed) counts as pending.
+ */
+
+export const VERIFICATION_STATUSES = ["pending", "verified", "rejected"]
+
+// Documents stored in a history list (listPath) have one URL and verification per entry;
+// their urlPath and verificationPath are relative to the entry
+export const DOCUMENTS = [
+  {
+    key: "certificate",
+    label: "Qualified exam certificate",
+    urlPath: "qualifiedExams.certificateUrl",
+    verificationPath: "qualifiedExams.certificateVerification",
+  },
+  {
+    key: "employment",
+    label: "Employment document",
+    listPath: "employment",
+    urlPath: "documentUrl",
+    verificationPath: "documentVerification",
+  },
+  {
+    key: "higherEducation",
+    label: "Higher education document",
+    listPath: "higherEducation",
+    urlPath: "documentUrl",
+    verificationPath: "documentVerification",
+  },
+]
+
+export const DOCUMENT_KEYS = DOCUMENTS.map(({ key }) => key)
+
+// Values accepted by the documentStatus list filter; "unverified" matches pending and rejected documents
+export const DOCUMENT_STATUS_FILTERS = ["unverified", ...VERIFICATION_STATUSES]
+
+// Error message for invalid documentStatus/documentType query parameters, or null
+export const validateDocumentFilters = ({ documentStatus, documentType }) => {
+  if (documentStatus && !DOCUMENT_STATUS_FILTERS.includes(documentStatus)) {
+    return `Invalid documentStatus. Use one of: ${DOCUMENT_STATUS_FILTERS.join(", ")}`
+  }
+  if (documentType && !DOCUMENT_KEYS.includes(documentType)) {
+    return `Invalid documentType. Use one of: ${DOCUMENT_KEYS.join(", ")}`
+  }
+  if (documentType && !documentStatus) {
+    return "documentType can only be used together with documentStatus"
+  }
+  return null
+}
+
+export const getDocument = (key) => DOCUMENTS.find((document) => document.key === key) || null
+
+const plain = (value) => (value && typeof value.toObject === "function" ? value.toObject() : value)
+
+const isMongooseDocument = (value) => typeof value?.set === "function" && typeof value?.get === "function"
+
+const readPath = (source, fieldPath) => (isMongooseDocument(source) ? source.get(fieldPath) : getPath(source, fieldPath))
+
+const writePath = (target, fieldPath, value) =>
+  isMongooseDocument(target) ? target.set(fieldPath, value) : setPath(target, fieldPath, value)
+
+const asList = (value) => (Array.isArray(value) ? value : [])
+
+// Work out one document's verification from its previous URL and verification
+const nextVerification = (url, previousUrl, previousVerification) => {
+  if (!url) return undefined
+  if (url === previousUrl && previousVerification) return plain(previousVerification)
+  return { status: "pending" }
+}
+
+/**
+ * Set the verification of every document in target, a Mongoose document or an update object, based on
+ * the record's previous state (null for new records). An unchanged URL keeps its verification, a new or
+ * changed URL starts over as pending and a removed URL loses it. History entries are matched to their
+ * previous state by _id, so a new entry always starts over. Verification values sent by the client
+ * are always overwritten - they can only be changed through the verification endpoint.
+ */
+export const syncDocumentVerification = (previous, target) => {
+  DOCUMENTS.forEach(({ listPath, urlPath, verificationPath }) => {
+    if (!listPath) {
+      const previousUrl = previous ? getPath(previous, urlPath) : undefined
+      const previousVerification = previous ? getPath(previous, verificationPath) : undefined
+      writePath(target, verificationPath, nextVerification(readPath(target, urlPath), previousUrl, previousVerification))
+      return
+    }
+
+    const previousEntries = asList(previous ? getPath(previous, listPath) : undefined)
+
+    asList(readPath(target, listPath)).forEach((entry) => {
+      const previousEntry = entry._id ? previousEntries.find(({ _id }) => String(_id) === String(entry._id)) : null
+      writePath(
+        entry,
+        verificationPath,
+        nextVerification(
+          readPath(entry, urlPath),
+          previousEntry ? getPath(previousEntry, urlPath) : undefined,
+          previousEntry ? getPath(previousEntry, verificationPath) : undefined,
+        ),
+      )
+    })
+  })
+}
+
+/**
+ * The part of an alumni document holding a document's URL and verification: the record itself, or for
+ * history documents the entry with the given ID (null when the record has no such entry).
+ */
+export const findDocumentHolder = (alumni, document, entryId) => {
+  if (!document.listPath) return alumni
+  return asList(alumni.get(document.listPath)).find((entry) => String(entry._id) === String(entryId)) || null
+}
+
+/**
+ * MongoDB filter for records with a document in the given verification state.
+ * status is one of VERIFICATION_STATUSES or "unverified" (pending or rejected); documentKey limits the
+ * filter to one document type, otherwise any document in that state matches.
+ */
+export const documentStatusFilter = (status, documentKey) => {
+  const documents = documentKey ? [getDocument(documentKey)] : DOCUMENTS
+
+  const conditions = documents.map(({ listPath, urlPath, verificationPath }) => {
+    const statusPath = `${verificationPath}.status`
+    let condition = { [urlPath]: { $nin: [null, ""] } }
+
+    if (status === "verified" || status === "rejected") {
+      condition = { ...condition, [statusPath]: status }
+    } else if (status === "pending") {
+      condition = { ...condition, [statusPath]: { $nin: ["verified", "rejected"] } }
+    } else {
+      condition = { ...condition, [statusPath]: { $ne: "verified" } }
+    }
+
+    return listPath ? { [listPath]: { $elemMatch: condition } } : condition
+  })
+
+  return conditions.length === 1 ? conditions[0] : { $or: conditions }
+}
+
+// Aggregation expression counting a record's documents of one type, optionally only those in a given state
+const documentCount = ({ listPath, urlPath, verificationPath }, status) => {
+  const matches = (prefix) => {
+    const conditions = [{ $gt: [{ $strLenCP: { $ifNull: [`${prefix}${urlPath}`, ""] } }, 0] }]
+    if (status) {
+      conditions.push({ $eq: [`${prefix}${verificationPath}.status`, status] })
+    }
+    return { $and: conditions }
+  }
+
+  if (!listPath) {
+    return { $cond: [matches("$"), 1, 0] }
+  }
+
+  // Records not migrated to history lists yet count as having no entries
+  const entries = { $cond: [{ $isArray: `$${listPath}` }, `$${listPath}`, []] }
+  return { $size: { $filter: { input: entries, as: "entry", cond: matches("$$entry.") } } }
+}
+
+/**
+ * Aggregation $group stage counting documents per verification state, e.g.
+ * { certificateTotal, certificateVerified, certificateRejected, ... }
+ */
+export const verificationCountsGroup = () => {
+  const group = { _id: null }
+
+  DOCUMENTS.forEach((document) => {
+    group[`${document.key}Total`] = { $sum: documentCount(document) }
+    group[`${document.key}Verified`] = { $sum: documentCount(document, "verified") }
+    group[`${document.key}Rejected`] = { $sum: documentCount(document, "rejected") }
+  })
+
+  return group
+}
+
+// Turn the result of verificationCountsGroup into { certificate: { total, verified, rejected, pending, coverage } }
+export const formatVerificationCounts = (counts = {}) =>
+  Object.fromEntries(
+    DOCUMENTS.map(({ key }) => {
+      const total = counts[`${key}Total`] || 0
+      const verified = counts[`${key}Verified`] || 0
+      const rejected = counts[`${key}Rejected`] || 0
+
+      return [
+        key,
+        {
+          total,
+          verified,
+          rejected,
+          pending: total - verified - rejected,
+          coverage: total > 0 ? Math.round((verified / total) * 100) : 0,
+        },
+      ]
+    }),
+  )
@@ -0,0 +1,42 @@
+import jwt from "jsonwebtoken"
+import { sendVerificationEmail } from "./mailer.js"
+
+/**
+ * Email ownership checks for new accounts and email address changes.
+ * Verification links carry a signed JWT bound to both the user and the address being verified,
+ * so a link sent to an old address cannot verify a newer one.
+ * Set EMAIL_VERIFICATION_REQUIRED=false to let unverified accounts sign in.
+ */
+
+const VERIFICATION_PURPOSE = "verify-email"
+const VERIFICATION_EXPIRY = "24h"
+export const RESEND_INTERVAL_MS = 60 * 1000 // 1 minute between verification emails
+
+export const isEmailVerificationRequired = () => process.env.EMAIL_VERIFICATION_REQUIRED !== "false"
+
+// Accounts created before verification existed have no emailVerified value and count as verified
+export const needsEmailVerification = (user) => isEmailVerificationRequired() && user.emailVerified === false
+
+export const createEmailVerificationToken = (user, email = user.email) =>
+  jwt.sign({ id: user._id, email, purpose: VERIFICATION_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: VERIFICATION_EXPIRY,
+  })
+
+// Decoded { id, email } or null if the token is invalid, expired or not a verification token
+export const verifyEmailVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ""), process.env.JWT_SECRET)
+    return decoded.purpose === VERIFICATION_PURPOSE ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Email a verification link for the given address (the pending address when the user is changing it).
+// Returns the outbox message.
+export const sendEmailVerification = async (user, email = user.email) => {
+  const message = await sendVerificationEmail(email, createEmailVerificationToken(user, email), { expiresIn: "24 hours" })
+  user.emailVerificationSentAt = Date.now()
+  await user.save()
+  return message
+}
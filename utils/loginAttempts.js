@@ -0,0 +1,64 @@
+import User from "../models/user.js"
+import { recordAudit } from "./audit.js"
+import { sendAccountLockedEmail } from "./mailer.js"
+
+/**
+ * Per-account failed-login tracking shared by the password and 2FA login steps
+ */
+
+/**
+ * Reject the attempt when the account is locked or still inside its progressive delay.
+ * Sends the response and returns true if the attempt was rejected.
+ */
+export const rejectThrottledLogin = (user, res) => {
+  const retryAfter = user.loginRetryAfter()
+  if (!retryAfter) return false
+
+  res.set("Retry-After", String(retryAfter))
+
+  if (user.isLocked()) {
+    console.log("Login rejected: Account locked for user:", user.email)
+    res.status(423).json({
+      message: `Account is temporarily locked after too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s) or reset your password.`,
+      locked: true,
+      retryAfter,
+    })
+  } else {
+    res.status(429).json({
+      message: `Too many failed attempts. Please wait ${retryAfter} second(s) before trying again.`,
+      retryAfter,
+    })
+  }
+
+  return true
+}
+
+/**
+ * Count a failed attempt. When it locks the account the owner is emailed and the lockout is audited.
+ * Returns true if the account is now locked.
+ */
+export const handleFailedLogin = async (user, req) => {
+  const updated = await User.registerFailedLogin(user._id)
+
+  if (!updated?.isLocked()) {
+    return false
+  }
+
+  console.log("Account locked after repeated failed logins:", updated.email)
+
+  await recordAudit(req, {
+    action: "user.lock",
+    entity: "User",
+    entityId: updated._id,
+    actor: updated,
+    metadata: { lockUntil: updated.lockUntil },
+  })
+
+  try {
+    await sendAccountLockedEmail(updated.email, { lockUntil: updated.lockUntil, ip: req.ip })
+  } catch (emailError) {
+    console.error("Error sending account locked email:", emailError)
+  }
+
+  return true
+}
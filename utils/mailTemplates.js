@@ -0,0 +1,151 @@
+/**
+ * Email templates. Each template turns its data into a subject and a list of content blocks,
+ * which are rendered into both an HTML and a plain text body:
+ *   "text"                       a paragraph
+ *   { button: { url, label } }   a call to action link
+ * Block text is escaped when rendered as HTML, so values from users can be passed in as they are.
+ */
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+
+// Wrap email body content in the shared layout
+export const emailLayout = (title, content) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+    <h2 style="color: #333;">${title}</h2>
+    ${content}
+    <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
+    <p style="color: #777; font-size: 12px;">This is an automated email, please do not reply.</p>
+  </div>
+`
+
+export const emailButton = (url, label) => `
+  <div style="text-align: center; margin: 25px 0;">
+    <a href="${url}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px; display: inline-block;">${label}</a>
+  </div>
+  <p>Or copy and paste this link in your browser:</p>
+  <p style="word-break: break-all;"><a href="${url}">${url}</a></p>
+`
+
+const renderHtml = (title, blocks) =>
+  emailLayout(
+    escapeHtml(title),
+    blocks
+      .map((block) =>
+        block.button
+          ? emailButton(escapeHtml(block.button.url), escapeHtml(block.button.label))
+          : `<p>${escapeHtml(block)}</p>`,
+      )
+      .join("\n"),
+  )
+
+const renderText = (title, blocks) =>
+  [
+    title,
+    "",
+    blocks.map((block) => (block.button ? `${block.button.label}: ${block.button.url}` : block)).join("\n\n"),
+    "",
+    "--",
+    "This is an automated email, please do not reply.",
+  ].join("\n")
+
+const TEMPLATES = {
+  passwordReset: ({ url, expiresIn = "1 hour", forced = false }) => ({
+    subject: forced ? "Password Reset Required" : "Password Reset Request",
+    fromName: "Password Reset",
+    blocks: [
+      "Hello,",
+      forced
+        ? "An administrator has required you to set a new password before you can sign in again. Please click the button below to choose a new password:"
+        : "You requested a password reset. Please click the button below to reset your password:",
+      { button: { url, label: "Reset Password" } },
+      ...(forced ? [] : ["If you did not request this, please ignore this email."]),
+      `This link will expire in ${expiresIn}.`,
+    ],
+  }),
+
+  invitation: ({ url, roleLabel, invitedByName, expiresIn }) => ({
+    subject: "You have been invited to SST Alumni",
+    title: "You're Invited",
+    blocks: [
+      "Hello,",
+      `${invitedByName || "An administrator"} has invited you to join SST Alumni as ${roleLabel}.`,
+      "Please click the button below to set your password and activate your account:",
+      { button: { url, label: "Accept Invitation" } },
+      `This invitation will expire in ${expiresIn}. If you were not expecting it, you can ignore this email.`,
+    ],
+  }),
+
+  emailVerification: ({ url, expiresIn }) => ({
+    subject: "Please verify your email address",
+    title: "Verify Your Email Address",
+    blocks: [
+      "Hello,",
+      "Please confirm that this is your email address by clicking the button below:",
+      { button: { url, label: "Verify Email" } },
+      `This link will expire in ${expiresIn}. If you did not create an account, you can ignore this email.`,
+    ],
+  }),
+
+  alumniMagicLink: ({ url, name, expiresIn, claimed = false }) => ({
+    subject: "Your SST Alumni sign-in link",
+    title: "Sign In to the Alumni Portal",
+    blocks: [
+      name ? `Hello ${name},` : "Hello,",
+      claimed
+        ? "Your alumni record is now linked to this email address. Click the button below to sign in and keep your details up to date:"
+        : "Click the button below to sign in to the SST Alumni portal:",
+      { button: { url, label: "Sign In" } },
+      `This link will expire in ${expiresIn} and can only be used once. If you did not request it, you can ignore this email.`,
+    ],
+  }),
+
+  accountLocked: ({ lockUntil, ip, resetUrl }) => ({
+    subject: "Your account has been temporarily locked",
+    title: "Account Temporarily Locked",
+    fromName: "SST Alumni Security",
+    blocks: [
+      "Hello,",
+      `We locked your account after several failed sign-in attempts${ip ? ` (last attempt from IP address ${ip})` : ""}.`,
+      `You can try again after ${new Date(lockUntil).toUTCString()}.`,
+      "If this was not you, someone may be trying to guess your password. We recommend resetting it:",
+      { button: { url: resetUrl, label: "Reset Password" } },
+    ],
+  }),
+
+  // General purpose notice; message may be a single paragraph or a list of them
+  notification: ({ subject, title, message, actionUrl, actionLabel = "Open SST Alumni" }) => ({
+    subject,
+    title: title || subject,
+    blocks: [
+      "Hello,",
+      ...[].concat(message || []),
+      ...(actionUrl ? [{ button: { url: actionUrl, label: actionLabel } }] : []),
+    ],
+  }),
+}
+
+/**
+ * Render a template into { subject, fromName, html, text }.
+ * Throws for an unknown template name, since that is a programming error.
+ */
+export const renderTemplate = (name, data = {}) => {
+  const template = TEMPLATES[name]
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`)
+  }
+
+  const { subject, title = subject, fromName, blocks } = template(data)
+
+  return {
+    subject,
+    fromName,
+    html: renderHtml(title, blocks),
+    text: renderText(title, blocks),
+  }
+}
@@ -0,0 +1,89 @@
+import fs from "fs/promises"
+import path from "path"
+import nodemailer from "nodemailer"
+
+/**
+ * Mail transports, chosen with MAIL_TRANSPORT:
+ *   smtp  (default) EMAIL_SERVICE (e.g. "gmail") with EMAIL_USER / EMAIL_PASSWORD, or SMTP_HOST / SMTP_PORT /
+ *         SMTP_SECURE for any other server - including a local SMTP sink such as MailHog or smtp4dev
+ *   file  writes every message as an .eml file to MAIL_FILE_DIR (default ./tmp/mail); nothing is sent
+ *   log   prints the messages to the console; nothing is sent
+ * The file and log transports make it possible to run and test the app without a mail server.
+ */
+
+export const TRANSPORT_NAMES = ["smtp", "file", "log"]
+
+export const getTransportName = () => {
+  const name = (process.env.MAIL_TRANSPORT || "smtp").toLowerCase()
+  return TRANSPORT_NAMES.includes(name) ? name : "smtp"
+}
+
+const createSmtpTransporter = () => {
+  const auth = process.env.EMAIL_USER
+    ? {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD,
+      }
+    : undefined
+
+  const connection = process.env.SMTP_HOST
+    ? {
+        host: process.env.SMTP_HOST,
+        port: Number.parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+      }
+    : { service: process.env.EMAIL_SERVICE }
+
+  return nodemailer.createTransport({
+    ...connection,
+    auth,
+    debug: process.env.NODE_ENV === "development", // Enable debug output
+    logger: process.env.NODE_ENV === "development", // Log information about the transport mechanism
+  })
+}
+
+// Build the raw message with nodemailer and write it to disk, so it can be opened in a mail client
+const createFileTransporter = () => {
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || "tmp/mail")
+  const streamTransporter = nodemailer.createTransport({ streamTransport: true, buffer: true })
+
+  return {
+    sendMail: async (message) => {
+      const info = await streamTransporter.sendMail(message)
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, "")}.eml`
+
+      await fs.mkdir(directory, { recursive: true })
+      await fs.writeFile(path.join(directory, fileName), info.message)
+
+      return { ...info, response: `Written to ${path.join(directory, fileName)}` }
+    },
+  }
+}
+
+const createLogTransporter = () => {
+  const jsonTransporter = nodemailer.createTransport({ jsonTransport: true })
+
+  return {
+    sendMail: async (message) => {
+      const info = await jsonTransporter.sendMail(message)
+      const { to, subject, text } = JSON.parse(info.message)
+
+      console.log("Email (log transport):", { to: to.map((address) => address.address).join(", "), subject })
+      console.log(text)
+
+      return { ...info, response: "Logged to console" }
+    },
+  }
+}
+
+const TRANSPORTERS = {
+  smtp: createSmtpTransporter,
+  file: createFileTransporter,
+  log: createLogTransporter,
+}
+
+// Transporter with a nodemailer-compatible sendMail(message) for the configured transport
+export const createTransporter = () => TRANSPORTERS[getTransportName()]()
+
+// Address messages are sent from
+export const getFromAddress = () => process.env.MAIL_FROM || process.env.EMAIL_USER || "no-reply@localhost"
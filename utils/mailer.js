@@ -0,0 +1,230 @@
+import OutboxEmail from "../models/outboxEmail.js"
+import { renderTemplate } from "./mailTemplates.js"
+import { createTransporter, getFromAddress, getTransportName } from "./mailTransports.js"
+
+/**
+ * Shared email subsystem - every outgoing email goes through the outbox.
+ * A message is stored first and then sent straight away. If sending fails it stays in the outbox
+ * and the outbox processor retries it with an increasing delay until MAIL_MAX_ATTEMPTS is reached.
+ * Senders return the outbox message; status "sent" means it has already been delivered to the transport.
+ * Message bodies are only kept until the message is sent or has failed for good, since they can contain
+ * single-use links whose tokens are otherwise only stored hashed.
+ */
+
+const MAX_ATTEMPTS = Number.parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5
+const RETRY_BASE_MS = 60 * 1000 // 1 minute, doubled after every failed attempt
+const RETRY_MAX_MS = 60 * 60 * 1000 // 1 hour
+const SEND_LEASE_MS = 5 * 60 * 1000 // A message stuck in "sending" this long is picked up again
+const PROCESS_INTERVAL_MS = (Number.parseInt(process.env.MAIL_OUTBOX_INTERVAL_SECONDS) || 60) * 1000
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS)
+
+/**
+ * Try to deliver an outbox message once. The message is claimed atomically first, so the
+ * request that queued it and the background processor never send the same message twice.
+ * Returns the updated message, or null if another worker already has it.
+ */
+const deliver = async (messageId) => {
+  const now = new Date()
+  const message = await OutboxEmail.findOneAndUpdate(
+    { _id: messageId, status: { $in: ["pending", "sending"] }, nextAttemptAt: { $lte: now } },
+    { status: "sending", nextAttemptAt: new Date(now.getTime() + SEND_LEASE_MS), $inc: { attempts: 1 } },
+    { new: true },
+  )
+
+  if (!message) return null
+
+  try {
+    const info = await createTransporter().sendMail({
+      from: `"${message.fromName || "SST Alumni"}" <${getFromAddress()}>`,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    })
+
+    if (process.env.NODE_ENV === "development") {
+      console.log("Email sent successfully:", info.response)
+      console.log("Message ID:", info.messageId)
+    }
+
+    message.status = "sent"
+    message.sentAt = Date.now()
+    message.messageId = info.messageId
+    message.lastError = undefined
+    message.html = undefined
+    message.text = undefined
+  } catch (error) {
+    console.error(`Email delivery failed (attempt ${message.attempts} of ${message.maxAttempts}):`, error.message)
+
+    message.lastError = error.message
+    if (message.attempts >= message.maxAttempts) {
+      message.status = "failed"
+      message.failedAt = Date.now()
+      message.html = undefined
+      message.text = undefined
+    } else {
+      message.status = "pending"
+      message.nextAttemptAt = Date.now() + retryDelay(message.attempts)
+    }
+  }
+
+  message.transport = getTransportName()
+  return message.save()
+}
+
+/**
+ * Store a message in the outbox and make the first delivery attempt.
+ * Only throws if the message cannot be stored; delivery errors are recorded on the message.
+ */
+export const sendMail = async ({ to, subject, html, text, fromName, template }) => {
+  const message = await OutboxEmail.create({
+    to,
+    subject,
+    html,
+    text,
+    fromName,
+    template,
+    maxAttempts: MAX_ATTEMPTS,
+  })
+
+  return (await deliver(message._id)) || message
+}
+
+// Render a template (see utils/mailTemplates.js) and send it through the outbox
+export const sendTemplateEmail = async (to, template, data) =>
+  sendMail({ to, template, ...renderTemplate(template, data) })
+
+/**
+ * Retry every message that is due. Called on an interval by startOutboxProcessor, and can be
+ * triggered by an administrator. Returns how many messages ended up sent, pending and failed.
+ */
+export const processOutbox = async ({ limit = 50 } = {}) => {
+  const due = await OutboxEmail.find({ status: { $in: ["pending", "sending"] }, nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select("_id")
+
+  const result = { processed: 0, sent: 0, pending: 0, failed: 0 }
+
+  for (const { _id } of due) {
+    const message = await deliver(_id)
+    if (!message) continue
+
+    result.processed++
+    result[message.status]++
+  }
+
+  if (result.processed > 0) {
+    console.log("Outbox processed:", result)
+  }
+
+  return result
+}
+
+/**
+ * Give a failed message a fresh set of attempts and try it again now. Only messages that still have their
+ * bodies, i.e. failed before bodies were removed on failure, can be retried.
+ * Returns the updated message, or null if it is not in the failed state or has no content left.
+ */
+export const retryOutboxEmail = async (messageId) => {
+  const message = await OutboxEmail.findOneAndUpdate(
+    { _id: messageId, status: "failed", $or: [{ html: { $exists: true } }, { text: { $exists: true } }] },
+    { status: "pending", attempts: 0, nextAttemptAt: new Date(), $unset: { failedAt: 1 } },
+    { new: true },
+  )
+
+  if (!message) return null
+
+  return (await deliver(message._id)) || message
+}
+
+/**
+ * Remove the bodies of messages that were sent or failed before bodies were removed on delivery,
+ * and date old failed messages so they expire with the retention period.
+ */
+const cleanUpFinishedMessages = async () => {
+  const { modifiedCount: redacted } = await OutboxEmail.updateMany(
+    { status: { $in: ["sent", "failed"] }, $or: [{ html: { $exists: true } }, { text: { $exists: true } }] },
+    { $unset: { html: 1, text: 1 } },
+  )
+  await OutboxEmail.updateMany({ status: "failed", failedAt: null }, [{ $set: { failedAt: "$createdAt" } }])
+
+  if (redacted > 0) {
+    console.log(`Removed the content of ${redacted} sent or failed email(s) from the outbox`)
+  }
+}
+
+let outboxTimer = null
+
+// Retry queued messages in the background; safe to call more than once
+export const startOutboxProcessor = () => {
+  if (outboxTimer || process.env.MAIL_OUTBOX_PROCESSOR === "false") return
+
+  cleanUpFinishedMessages().catch((error) => console.error("Outbox clean-up error:", error))
+
+  outboxTimer = setInterval(() => {
+    processOutbox().catch((error) => console.error("Outbox processing error:", error))
+  }, PROCESS_INTERVAL_MS)
+
+  // Don't keep the process alive just for the outbox
+  outboxTimer.unref()
+}
+
+/**
+ * Email a password reset link.
+ * forced: the reset was required by an administrator rather than requested by the user.
+ */
+export const sendPasswordResetEmail = async (email, resetToken, { expiresIn = "1 hour", forced = false } = {}) => {
+  const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`
+
+  if (process.env.NODE_ENV === "development") {
+    console.log("Sending password reset email to:", email)
+    console.log("Reset URL:", resetUrl)
+  }
+
+  return sendTemplateEmail(email, "passwordReset", { url: resetUrl, expiresIn, forced })
+}
+
+// Email a staff invitation link
+export const sendInvitationEmail = async (email, inviteToken, { roleLabel, invitedByName, expiresIn }) => {
+  const inviteUrl = `${process.env.FRONTEND_URL}/accept-invite/${inviteToken}`
+
+  if (process.env.NODE_ENV === "development") {
+    console.log("Sending invitation email to:", email)
+    console.log("Invite URL:", inviteUrl)
+  }
+
+  return sendTemplateEmail(email, "invitation", { url: inviteUrl, roleLabel, invitedByName, expiresIn })
+}
+
+// Tell the account owner their account was locked after repeated failed logins
+export const sendAccountLockedEmail = async (email, { lockUntil, ip }) =>
+  sendTemplateEmail(email, "accountLocked", { lockUntil, ip, resetUrl: `${process.env.FRONTEND_URL}/forgot-password` })
+
+// Email a link confirming the user owns this address
+export const sendVerificationEmail = async (email, verificationToken, { expiresIn }) => {
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`
+
+  if (process.env.NODE_ENV === "development") {
+    console.log("Sending verification email to:", email)
+    console.log("Verify URL:", verifyUrl)
+  }
+
+  return sendTemplateEmail(email, "emailVerification", { url: verifyUrl, expiresIn })
+}
+
+// Email a single-use sign-in link for the alumni portal
+export const sendAlumniMagicLinkEmail = async (email, magicToken, { name, expiresIn, claimed }) => {
+  const loginUrl = `${process.env.FRONTEND_URL}/alumni/login/${magicToken}`
+
+  if (process.env.NODE_ENV === "development") {
+    console.log("Sending alumni sign-in link to:", email)
+    console.log("Sign-in URL:", loginUrl)
+  }
+
+  return sendTemplateEmail(email, "alumniMagicLink", { url: loginUrl, name, expiresIn, claimed })
+}
+
+// General purpose notification, e.g. { subject, message, actionUrl, actionLabel }
+export const sendNotificationEmail = async (email, notification) => sendTemplateEmail(email, "notification", notification)
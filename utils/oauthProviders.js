@@ -0,0 +1,419 @@
+import crypto from "crypto"
+import axios from "axios"
+import jwt from "jsonwebtoken"
+import mongoose from "mongoose"
+import OAuthRequest from "../models/oauthRequest.js"
+
+/**
+ * OAuth/OIDC sign-in providers.
+ * Google and Microsoft 365 are built in and enabled once their client ID and secret are set:
+ *   GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI
+ *   MICROSOFT_CLIENT_ID, MICROSOFT_CLIENT_SECRET, MICROSOFT_TENANT_ID (default "common"), MICROSOFT_REDIRECT_URI,
+ *   MICROSOFT_TRUST_EMAIL
+ * Any other OIDC provider, e.g. a campus SSO, is added by listing its ID in OIDC_PROVIDERS=campus and setting
+ *   OIDC_CAMPUS_ISSUER, OIDC_CAMPUS_CLIENT_ID, OIDC_CAMPUS_CLIENT_SECRET,
+ *   OIDC_CAMPUS_LABEL, OIDC_CAMPUS_SCOPES, OIDC_CAMPUS_REDIRECT_URI, OIDC_CAMPUS_TRUST_EMAIL
+ * Endpoints and signing keys are read from the issuer's /.well-known/openid-configuration.
+ * Sign-ins use the authorization code flow with PKCE, a single-use signed state and an ID token nonce.
+ * The browser starts every sign-in by navigating to /api/auth/oauth/:provider/start, which sets a binding cookie
+ * and redirects to the provider. Being a top-level navigation to the API, the cookie is stored even though the
+ * frontend is on another site, and the state only works in the browser that holds it.
+ * Linking finishes with a signed link token that the frontend sends back with the user's own access token,
+ * so a link URL started by someone else cannot add the provider to their account.
+ * TRUST_EMAIL=true treats the email address from the provider as verified even when the provider does not
+ * send an email_verified claim - only set it for providers that manage the addresses themselves.
+ * MICROSOFT_TRUST_EMAIL is ignored for the multi-tenant "common" and "organizations" tenants, where the
+ * admin of any tenant can set a user's address.
+ */
+
+const API_URL = process.env.API_URL || "http://localhost:5001"
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000 // 1 hour
+const STATE_PURPOSE = "oauth-state"
+const STATE_TTL_MS = 10 * 60 * 1000 // 10 minutes to complete the sign-in at the provider
+const SIGNUP_PURPOSE = "oauth-signup"
+const SIGNUP_EXPIRY = "15m"
+const START_PURPOSE = "oauth-start"
+const LINK_PURPOSE = "oauth-link"
+const LINK_EXPIRY = "5m"
+const DEFAULT_SCOPES = "openid email profile"
+const BINDING_COOKIE = "oauth_binding"
+// Sent back to every callback route: /api/auth/oauth/:provider/callback and /api/auth/google/callback
+const BINDING_COOKIE_PATH = "/api/auth"
+
+const defaultRedirectUri = (id) => `${API_URL}/api/auth/oauth/${id}/callback`
+
+const MULTI_TENANT_MICROSOFT_TENANTS = ["common", "organizations"]
+let warnedMicrosoftTrustEmail = false
+
+// Email addresses are only trusted from a single Microsoft tenant, whose admins are the institution's own
+const trustMicrosoftEmail = (tenant) => {
+  if (process.env.MICROSOFT_TRUST_EMAIL !== "true") return false
+
+  if (MULTI_TENANT_MICROSOFT_TENANTS.includes(tenant.toLowerCase())) {
+    if (!warnedMicrosoftTrustEmail) {
+      console.warn(`MICROSOFT_TRUST_EMAIL is ignored for the multi-tenant "${tenant}" tenant. Set MICROSOFT_TENANT_ID to your tenant`)
+      warnedMicrosoftTrustEmail = true
+    }
+    return false
+  }
+
+  return true
+}
+
+const BUILT_IN_PROVIDERS = {
+  google: () => ({
+    label: "Google",
+    issuer: "https://accounts.google.com",
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    // Google keeps its original callback path so the redirect URI registered with Google still works
+    redirectUri: process.env.GOOGLE_REDIRECT_URI || `${API_URL}/api/auth/google/callback`,
+    useProfilePicture: true,
+  }),
+  microsoft: (tenant = process.env.MICROSOFT_TENANT_ID || "common") => ({
+    label: "Microsoft 365",
+    issuer: `https://login.microsoftonline.com/${tenant}/v2.0`,
+    clientId: process.env.MICROSOFT_CLIENT_ID,
+    clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
+    redirectUri: process.env.MICROSOFT_REDIRECT_URI || defaultRedirectUri("microsoft"),
+    trustEmail: trustMicrosoftEmail(tenant),
+    // The picture URL needs an access token, so it cannot be used as an avatar
+    useProfilePicture: false,
+  }),
+}
+
+const customProvider = (id) => {
+  const env = (name) => process.env[`OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_${name}`]
+
+  return {
+    label: env("LABEL") || id,
+    issuer: env("ISSUER"),
+    clientId: env("CLIENT_ID"),
+    clientSecret: env("CLIENT_SECRET"),
+    scopes: env("SCOPES"),
+    redirectUri: env("REDIRECT_URI") || defaultRedirectUri(id),
+    trustEmail: env("TRUST_EMAIL") === "true",
+    useProfilePicture: true,
+  }
+}
+
+const customProviderIds = () =>
+  (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter((id) => /^[a-z0-9-]+$/.test(id) && !BUILT_IN_PROVIDERS[id])
+
+// Provider config by ID, or null if the provider is unknown or not fully configured
+export const getProvider = (id) => {
+  const build = BUILT_IN_PROVIDERS[id] || (customProviderIds().includes(id) ? () => customProvider(id) : null)
+  if (!build) return null
+
+  const provider = { id, ...build() }
+  provider.scopes = provider.scopes || DEFAULT_SCOPES
+
+  return provider.issuer && provider.clientId && provider.clientSecret ? provider : null
+}
+
+// Providers the frontend can offer on the login page
+export const listProviders = () =>
+  [...Object.keys(BUILT_IN_PROVIDERS), ...customProviderIds()]
+    .map(getProvider)
+    .filter(Boolean)
+    .map(({ id, label }) => ({ id, label }))
+
+const discoveryCache = new Map()
+
+// The provider's OIDC discovery document, cached for an hour
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer)
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_CACHE_MS) {
+    return cached.config
+  }
+
+  const { data } = await axios.get(`${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`, {
+    timeout: 10000,
+  })
+  discoveryCache.set(provider.issuer, { config: data, fetchedAt: Date.now() })
+  return data
+}
+
+const base64url = (buffer) => buffer.toString("base64url")
+
+const randomToken = () => base64url(crypto.randomBytes(32))
+
+const hashBinding = (binding) => crypto.createHash("sha256").update(String(binding)).digest("hex")
+
+const bindingCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: "lax",
+  secure: process.env.NODE_ENV === "production",
+  path: BINDING_COOKIE_PATH,
+})
+
+/**
+ * Give the browser a random binding value in a short-lived httpOnly cookie and return it.
+ * Its hash is stored with the sign-in request, so a callback URL started by someone else, e.g. an attacker
+ * who signed in at the provider as themself, is rejected when it is opened in another browser.
+ */
+export const setOAuthBindingCookie = (res) => {
+  const binding = randomToken()
+  res.cookie(BINDING_COOKIE, binding, { ...bindingCookieOptions(), maxAge: STATE_TTL_MS })
+  return binding
+}
+
+// The binding cookie sent with the callback, or null
+export const getOAuthBindingCookie = (req) => {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const separator = part.indexOf("=")
+    if (separator !== -1 && part.slice(0, separator).trim() === BINDING_COOKIE) {
+      return decodeURIComponent(part.slice(separator + 1).trim()) || null
+    }
+  }
+
+  return null
+}
+
+export const clearOAuthBindingCookie = (res) => {
+  res.clearCookie(BINDING_COOKIE, bindingCookieOptions())
+}
+
+/**
+ * URL the browser navigates to in order to start a sign-in (see startOAuthRedirect). Linking passes the signed-in
+ * user and session, which travel in a short-lived signed ticket because the navigation carries no access token.
+ */
+export const createStartUrl = (provider, { userId, sessionId } = {}) => {
+  const url = `${API_URL}/api/auth/oauth/${provider.id}/start`
+  if (!userId) return url
+
+  const ticket = jwt.sign(
+    { purpose: START_PURPOSE, provider: provider.id, user: String(userId), session: String(sessionId) },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.floor(STATE_TTL_MS / 1000) },
+  )
+  return `${url}?${new URLSearchParams({ ticket })}`
+}
+
+// The user and session of a link start ticket, or null if the ticket is invalid, expired or for another provider
+export const verifyStartTicket = (ticket, providerId) => {
+  try {
+    const decoded = jwt.verify(String(ticket || ""), process.env.JWT_SECRET)
+    return decoded.purpose === START_PURPOSE && decoded.provider === providerId ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Start a sign-in at the provider and return the URL to send the browser to.
+ * The request is stored server-side with a PKCE code verifier and a nonce; the state parameter is a
+ * signed reference to it. binding is the value from setOAuthBindingCookie. mode "link" adds the provider to the
+ * signed-in user's account instead of logging in.
+ */
+export const createAuthorizationUrl = async (provider, { binding, mode = "login", userId, sessionId } = {}) => {
+  const { authorization_endpoint: endpoint } = await discover(provider)
+
+  const request = await OAuthRequest.create({
+    provider: provider.id,
+    mode,
+    user: userId,
+    session: sessionId,
+    bindingHash: hashBinding(binding),
+    codeVerifier: randomToken(),
+    nonce: randomToken(),
+    expiresAt: Date.now() + STATE_TTL_MS,
+  })
+
+  const state = jwt.sign({ purpose: STATE_PURPOSE, rid: request._id, provider: provider.id }, process.env.JWT_SECRET, {
+    expiresIn: Math.floor(STATE_TTL_MS / 1000),
+  })
+
+  const params = new URLSearchParams({
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    response_type: "code",
+    scope: provider.scopes,
+    state,
+    nonce: request.nonce,
+    code_challenge: base64url(crypto.createHash("sha256").update(request.codeVerifier).digest()),
+    code_challenge_method: "S256",
+    prompt: "select_account",
+  })
+
+  return `${endpoint}?${params}`
+}
+
+/**
+ * Check the state parameter from the callback and use up the sign-in request it points at.
+ * Returns the request, or null if the state is invalid, expired, for another provider, already used or
+ * was started in a browser that does not hold the binding cookie.
+ */
+export const consumeOAuthState = async (state, providerId, binding) => {
+  let decoded
+  try {
+    decoded = jwt.verify(String(state || ""), process.env.JWT_SECRET)
+  } catch (error) {
+    return null
+  }
+
+  if (
+    !binding ||
+    decoded.purpose !== STATE_PURPOSE ||
+    decoded.provider !== providerId ||
+    !mongoose.isValidObjectId(decoded.rid)
+  ) {
+    return null
+  }
+
+  // Deleting the request makes the state single use, even when two callbacks race
+  return OAuthRequest.findOneAndDelete({
+    _id: decoded.rid,
+    provider: providerId,
+    bindingHash: hashBinding(binding),
+    expiresAt: { $gt: new Date() },
+  })
+}
+
+const jwksCache = new Map()
+
+// Public key for the ID token's "kid"; the key set is fetched again once when the provider has rotated its keys
+const getSigningKey = async (jwksUri, kid) => {
+  for (const refresh of [false, true]) {
+    let keys = jwksCache.get(jwksUri)
+
+    if (!keys || refresh) {
+      const { data } = await axios.get(jwksUri, { timeout: 10000 })
+      keys = data.keys || []
+      jwksCache.set(jwksUri, keys)
+    }
+
+    const jwk = keys.find((key) => key.kid === kid && (!key.use || key.use === "sig"))
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: "jwk" })
+    }
+  }
+
+  throw new Error("ID token was signed with an unknown key")
+}
+
+/**
+ * Verify the ID token's signature, issuer, audience, expiry and nonce. Returns its claims.
+ */
+const verifyIdToken = async (provider, config, idToken, nonce) => {
+  const decoded = jwt.decode(String(idToken || ""), { complete: true })
+  if (!decoded?.header?.kid) {
+    throw new Error(`${provider.label} did not return a valid ID token`)
+  }
+
+  const key = await getSigningKey(config.jwks_uri, decoded.header.kid)
+
+  // Multi-tenant Microsoft endpoints publish the issuer with a {tenantid} placeholder
+  const issuer = config.issuer.replace("{tenantid}", decoded.payload.tid || "{tenantid}")
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "ES512"],
+    issuer,
+    audience: provider.clientId,
+    clockTolerance: 60,
+  })
+
+  if (!claims.nonce || claims.nonce !== nonce) {
+    throw new Error("ID token nonce does not match the sign-in request")
+  }
+
+  return claims
+}
+
+/**
+ * Exchange the authorization code from the callback and verify the ID token that comes with it.
+ * The user's identity is taken from the verified ID token only; the userinfo endpoint just fills in
+ * profile fields the ID token does not carry. Returns { subject, email, emailVerified, name, picture }.
+ */
+export const fetchProviderProfile = async (provider, code, request) => {
+  const config = await discover(provider)
+
+  const { data: tokens } = await axios.post(
+    config.token_endpoint,
+    new URLSearchParams({
+      grant_type: "authorization_code",
+      code: String(code || ""),
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: request.codeVerifier,
+    }),
+    { headers: { "Content-Type": "application/x-www-form-urlencoded" }, timeout: 10000 },
+  )
+
+  let claims = await verifyIdToken(provider, config, tokens.id_token, request.nonce)
+
+  if ((!claims.email || !claims.name) && config.userinfo_endpoint && tokens.access_token) {
+    const { data: userinfo } = await axios.get(config.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+      timeout: 10000,
+    })
+
+    if (userinfo.sub === claims.sub) {
+      claims = { ...userinfo, ...claims }
+    }
+  }
+
+  const email = String(claims.email || claims.preferred_username || "")
+    .toLowerCase()
+    .trim()
+
+  return {
+    subject: String(claims.sub),
+    email: email.includes("@") ? email : undefined,
+    emailVerified: claims.email_verified === true || claims.email_verified === "true" || Boolean(provider.trustEmail && email),
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(" ") || email,
+    picture: provider.useProfilePicture ? claims.picture : undefined,
+  }
+}
+
+/**
+ * Signed, short-lived proof of a verified provider identity to be linked to the user and session that started
+ * the linking. The frontend sends it to /oauth/:provider/link/complete with that user's access token.
+ */
+export const createLinkToken = (provider, request, profile) =>
+  jwt.sign(
+    {
+      purpose: LINK_PURPOSE,
+      provider: provider.id,
+      user: String(request.user),
+      session: String(request.session),
+      subject: profile.subject,
+      email: profile.email,
+      picture: profile.picture,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: LINK_EXPIRY },
+  )
+
+// Decoded link token, or null if the token is invalid, expired or for another provider
+export const verifyLinkToken = (token, providerId) => {
+  try {
+    const decoded = jwt.verify(String(token || ""), process.env.JWT_SECRET)
+    return decoded.purpose === LINK_PURPOSE && decoded.provider === providerId ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Signed, short-lived proof of a verified provider identity for a user who has no account yet.
+ * The frontend hands it to /verify-oauth to create the account, so account data never comes from the client.
+ */
+export const createSignupToken = (provider, profile) =>
+  jwt.sign({ purpose: SIGNUP_PURPOSE, provider: provider.id, ...profile }, process.env.JWT_SECRET, {
+    expiresIn: SIGNUP_EXPIRY,
+  })
+
+// Decoded profile with its provider, or null if the token is invalid or expired
+export const verifySignupToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ""), process.env.JWT_SECRET)
+    return decoded.purpose === SIGNUP_PURPOSE ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
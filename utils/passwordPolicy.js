@@ -0,0 +1,120 @@
+import bcrypt from "bcryptjs"
+import { COMMON_PASSWORDS } from "./commonPasswords.js"
+
+/**
+ * Central password policy used by registration, invitations, password resets and password changes.
+ * Configured through environment variables:
+ *   PASSWORD_MIN_LENGTH        minimum length (default 10)
+ *   PASSWORD_REQUIRED_CLASSES  comma separated: lowercase, uppercase, number, symbol (default lowercase,uppercase,number)
+ *   PASSWORD_HISTORY_COUNT     how many previous passwords may not be reused (default 5, 0 disables)
+ *   PASSWORD_REJECT_COMMON     set to "false" to allow passwords from the common password list
+ */
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, label: "a lowercase letter" },
+  uppercase: { pattern: /[A-Z]/, label: "an uppercase letter" },
+  number: { pattern: /[0-9]/, label: "a number" },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: "a symbol" },
+}
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number.parseInt(value)
+  return Number.isNaN(parsed) ? fallback : parsed
+}
+
+export const PASSWORD_POLICY = {
+  minLength: parseNumber(process.env.PASSWORD_MIN_LENGTH, 10),
+  maxLength: 72, // bcrypt ignores everything after 72 bytes
+  requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES ?? "lowercase,uppercase,number")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => CHARACTER_CLASSES[name]),
+  historyCount: parseNumber(process.env.PASSWORD_HISTORY_COUNT, 5),
+  rejectCommon: process.env.PASSWORD_REJECT_COMMON !== "false",
+}
+
+const COMMON_PASSWORD_SET = new Set(COMMON_PASSWORDS)
+
+// "Password123!" is as weak as "password", so trailing digits and symbols are ignored as well
+const isCommonPassword = (password) => {
+  const lower = password.toLowerCase()
+  const withoutSuffix = lower.replace(/[^a-z]+$/, "")
+  return COMMON_PASSWORD_SET.has(lower) || (withoutSuffix.length >= 4 && COMMON_PASSWORD_SET.has(withoutSuffix))
+}
+
+/**
+ * Check the rules that do not need the database.
+ * email and name are used to reject passwords built from the user's own details.
+ * Returns a list of error messages, empty when the password is acceptable.
+ */
+export const validatePasswordRules = (password, { email, name } = {}) => {
+  if (typeof password !== "string" || password.length === 0) {
+    return ["Password is required"]
+  }
+
+  const errors = []
+
+  if (password.length < PASSWORD_POLICY.minLength) {
+    errors.push(`Password must be at least ${PASSWORD_POLICY.minLength} characters long`)
+  }
+
+  if (Buffer.byteLength(password) > PASSWORD_POLICY.maxLength) {
+    errors.push(`Password must be at most ${PASSWORD_POLICY.maxLength} characters long`)
+  }
+
+  const missingClasses = PASSWORD_POLICY.requiredClasses.filter((name) => !CHARACTER_CLASSES[name].pattern.test(password))
+  if (missingClasses.length > 0) {
+    const labels = missingClasses.map((name) => CHARACTER_CLASSES[name].label)
+    const list = labels.length > 1 ? `${labels.slice(0, -1).join(", ")} and ${labels.at(-1)}` : labels[0]
+    errors.push(`Password must contain ${list}`)
+  }
+
+  if (PASSWORD_POLICY.rejectCommon && isCommonPassword(password)) {
+    errors.push("This password is too common. Please choose a less predictable password")
+  }
+
+  const lower = password.toLowerCase()
+  const personalWords = [String(email || "").split("@")[0], ...String(name || "").split(/\s+/)]
+    .map((word) => word.toLowerCase())
+    .filter((word) => word.length >= 4)
+
+  if (personalWords.some((word) => lower.includes(word))) {
+    errors.push("Password must not contain your name or email address")
+  }
+
+  return errors
+}
+
+/**
+ * Full policy check for an existing user, including reuse of recent passwords.
+ * The user must be loaded with +passwordHistory for older passwords to be checked.
+ */
+export const checkPasswordPolicy = async (password, user) => {
+  const errors = validatePasswordRules(password, user)
+
+  if (errors.length > 0 || PASSWORD_POLICY.historyCount === 0) {
+    return errors
+  }
+
+  const recentHashes = [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, PASSWORD_POLICY.historyCount)
+
+  for (const hash of recentHashes) {
+    if (await bcrypt.compare(password, hash)) {
+      errors.push(`Password must not be the same as any of your last ${PASSWORD_POLICY.historyCount} passwords`)
+      break
+    }
+  }
+
+  return errors
+}
+
+// Requirements in a form the frontend can show next to the password field
+export const describePasswordPolicy = () => ({
+  minLength: PASSWORD_POLICY.minLength,
+  maxLength: PASSWORD_POLICY.maxLength,
+  requiredCharacters: PASSWORD_POLICY.requiredClasses.map((name) => CHARACTER_CLASSES[name].label),
+  historyCount: PASSWORD_POLICY.historyCount,
+  rejectsCommonPasswords: PASSWORD_POLICY.rejectCommon,
+})
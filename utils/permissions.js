@@ -0,0 +1,91 @@
+/**
+ * Role-based access control - roles and the permissions they grant
+ */
+
+export const PERMISSIONS = [
+  "alumni:read",
+  "alumni:stats",
+  "alumni:create",
+  "alumni:update",
+  "alumni:delete",
+  "alumni:restore",
+  "alumni:purge",
+  "alumni:import",
+  "alumni:export",
+  "alumni:history",
+  "alumni:moderate", // Review changes alumni submit from the self-service portal
+  "alumni:verify", // Verify or reject uploaded certificates and documents
+  "alumni:all-units", // Access alumni of every academic unit instead of only the assigned ones
+  "academicUnits:manage",
+  "audit:read",
+  "contact:read",
+  "users:read",
+  "users:manage", // Disable, re-enable and delete staff accounts, force password resets
+  "users:invite",
+  "roles:assign",
+  "mail:manage", // View the email outbox and retry failed deliveries
+  "apiKeys:manage", // Create and revoke API keys for integrations
+]
+
+// Permissions an API key can be granted - integrations only ever get read access
+export const API_KEY_SCOPES = ["alumni:read", "alumni:stats", "alumni:export", "alumni:all-units"]
+
+const ALUMNI_VIEWER_PERMISSIONS = ["alumni:read", "alumni:stats"]
+
+const ALUMNI_EDITOR_PERMISSIONS = [...ALUMNI_VIEWER_PERMISSIONS, "alumni:create", "alumni:update", "alumni:import"]
+
+export const ROLES = {
+  "super-admin": {
+    label: "Super Admin",
+    description: "Full access, including granting the super admin role",
+    permissions: PERMISSIONS,
+  },
+  admin: {
+    label: "Admin",
+    description: "Full access to alumni data, academic units and staff accounts",
+    permissions: PERMISSIONS,
+  },
+  "unit-coordinator": {
+    label: "Unit Coordinator",
+    description: "Manages alumni records, including deletions, exports and history",
+    permissions: [
+      ...ALUMNI_EDITOR_PERMISSIONS,
+      "alumni:delete",
+      "alumni:restore",
+      "alumni:export",
+      "alumni:history",
+      "alumni:moderate",
+      "alumni:verify",
+    ],
+  },
+  "data-entry": {
+    label: "Data Entry Operator",
+    description: "Adds, imports and edits alumni records",
+    permissions: ALUMNI_EDITOR_PERMISSIONS,
+  },
+  viewer: {
+    label: "Viewer",
+    description: "Read-only access to alumni records",
+    permissions: ALUMNI_VIEWER_PERMISSIONS,
+  },
+  // Legacy role from before RBAC, treated as a viewer
+  user: {
+    label: "User (legacy)",
+    description: "Read-only access, same as Viewer",
+    permissions: ALUMNI_VIEWER_PERMISSIONS,
+  },
+}
+
+export const ROLE_NAMES = Object.keys(ROLES)
+
+// Role given to new accounts; the very first account becomes a super admin so the system can be set up
+export const DEFAULT_ROLE = "viewer"
+export const BOOTSTRAP_ROLE = "super-admin"
+
+export const getPermissions = (role) => ROLES[role]?.permissions || []
+
+export const hasPermission = (role, permission) => getPermissions(role).includes(permission)
+
+// Permission check for an authenticated request's user; API keys carry their scopes instead of a role
+export const userHasPermission = (user, permission) =>
+  (user?.permissions || getPermissions(user?.role)).includes(permission)
@@ -0,0 +1,16 @@
+import User from "../models/user.js"
+
+/**
+ * Open self-registration can be switched off with ALLOW_SELF_REGISTRATION=false,
+ * after which staff can only join through an invitation.
+ * The very first account can always register so that a fresh install has a super admin.
+ */
+export const isSelfRegistrationOpen = async () => {
+  if (process.env.ALLOW_SELF_REGISTRATION !== "false") {
+    return true
+  }
+
+  return (await User.countDocuments()) === 0
+}
+
+export const REGISTRATION_CLOSED_MESSAGE = "Registration is by invitation only. Please ask an administrator to invite you."
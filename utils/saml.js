@@ -0,0 +1,172 @@
+import { SAML, ValidateInResponseTo } from "@node-saml/node-saml"
+import { ROLE_NAMES, DEFAULT_ROLE } from "./permissions.js"
+
+/**
+ * SAML 2.0 single sign-on for staff, with this API as the service provider (SP).
+ * Enabled once SAML_ENTRY_POINT and SAML_IDP_CERT are set:
+ *   SAML_ENTRY_POINT     IdP single sign-on URL (HTTP-Redirect binding)
+ *   SAML_IDP_CERT        IdP signing certificate, PEM or bare base64; several can be separated by commas
+ *   SAML_ISSUER          SP entity ID (default <API_URL>/api/auth/saml/metadata)
+ *   SAML_CALLBACK_URL    assertion consumer service URL (default <API_URL>/api/auth/saml/acs)
+ *   SAML_SP_PRIVATE_KEY, SAML_SP_CERT   optional SP key pair for signing requests and decrypting assertions
+ *   SAML_LABEL           button text for the frontend (default "University SSO")
+ * Attribute mapping - each setting is a comma separated list of attribute names, the first one present wins:
+ *   SAML_ATTR_EMAIL, SAML_ATTR_NAME, SAML_ATTR_ROLE, SAML_ATTR_UNITS
+ *   SAML_ROLE_MAP        IdP value to role, e.g. "alumni-admins:admin,alumni-office:unit-coordinator"
+ *   SAML_UNIT_MAP        IdP value to academic unit name, e.g. "SoC:School of Computing"; unmapped values are used as-is
+ * With SAML_ATTR_ROLE set the IdP is the source of truth: role and units are updated on every sign-in.
+ * SAML_AUTO_CREATE=false stops new accounts from being created on first sign-in.
+ */
+
+const API_URL = process.env.API_URL || "http://localhost:5001"
+
+const DEFAULT_ATTRIBUTES = {
+  email: [
+    "email",
+    "mail",
+    "urn:oid:0.9.2342.19200300.100.1.3",
+    "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress",
+  ],
+  name: [
+    "displayName",
+    "urn:oid:2.16.840.1.113730.3.1.241",
+    "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name",
+    "cn",
+  ],
+  role: [],
+  units: [],
+}
+
+const list = (value) =>
+  String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+// "a:b,c:d" -> { a: "b", c: "d" }; values may contain colons of their own
+const parseMap = (value) =>
+  Object.fromEntries(
+    list(value)
+      .map((pair) => [pair.slice(0, pair.indexOf(":")).trim(), pair.slice(pair.indexOf(":") + 1).trim()])
+      .filter(([key, mapped]) => key && mapped),
+  )
+
+// Certificates and keys from env vars often have their newlines escaped
+const pem = (value) => (value ? value.replace(/\\n/g, "\n") : undefined)
+
+const attributeNames = (field) => {
+  const configured = list(process.env[`SAML_ATTR_${field.toUpperCase()}`])
+  return configured.length > 0 ? configured : DEFAULT_ATTRIBUTES[field]
+}
+
+export const isSamlEnabled = () => Boolean(process.env.SAML_ENTRY_POINT && process.env.SAML_IDP_CERT)
+
+export const getSamlLabel = () => process.env.SAML_LABEL || "University SSO"
+
+export const isSamlAutoCreateEnabled = () => process.env.SAML_AUTO_CREATE !== "false"
+
+export const isSamlRoleSyncEnabled = () => list(process.env.SAML_ATTR_ROLE).length > 0
+
+let saml = null
+
+// The node-saml instance, built on first use so that the env is fully loaded
+const getSaml = () => {
+  if (!saml) {
+    saml = new SAML({
+      entryPoint: process.env.SAML_ENTRY_POINT,
+      issuer: process.env.SAML_ISSUER || `${API_URL}/api/auth/saml/metadata`,
+      callbackUrl: process.env.SAML_CALLBACK_URL || `${API_URL}/api/auth/saml/acs`,
+      idpCert: list(process.env.SAML_IDP_CERT).map(pem),
+      privateKey: pem(process.env.SAML_SP_PRIVATE_KEY),
+      decryptionPvk: pem(process.env.SAML_SP_PRIVATE_KEY),
+      identifierFormat: null,
+      wantAssertionsSigned: true,
+      wantAuthnResponseSigned: false,
+      acceptedClockSkewMs: 5000,
+      // Request IDs are remembered in memory, so responses are only tied to requests made by this instance;
+      // IdP-initiated sign-in (no InResponseTo) keeps working
+      validateInResponseTo: ValidateInResponseTo.ifPresent,
+    })
+  }
+
+  return saml
+}
+
+// URL of the IdP's sign-in page with a SAML AuthnRequest for this SP
+export const getSamlLoginUrl = (relayState = "") => getSaml().getAuthorizeUrlAsync(relayState, undefined, {})
+
+// SP metadata XML for registering this app with the IdP
+export const getSamlMetadata = () => {
+  const certificate = pem(process.env.SAML_SP_CERT) || null
+  return getSaml().generateServiceProviderMetadata(certificate, certificate)
+}
+
+const firstAttribute = (profile, field) => {
+  for (const name of attributeNames(field)) {
+    const value = profile[name]
+    if (value !== undefined && value !== null && value !== "") {
+      return value
+    }
+  }
+  return undefined
+}
+
+const allValues = (profile, field) => [].concat(firstAttribute(profile, field) ?? []).map(String)
+
+// Single valued fields take the first value of multi-valued attributes
+const singleValue = (profile, field) => allValues(profile, field)[0]
+
+/**
+ * Role for the IdP's role attribute values through SAML_ROLE_MAP. When several values map to a role
+ * the most privileged one wins (roles are listed from most to least privileged in ROLE_NAMES).
+ */
+const mapRole = (values) => {
+  const roleMap = parseMap(process.env.SAML_ROLE_MAP)
+  const roles = values.map((value) => roleMap[value]).filter((role) => ROLE_NAMES.includes(role))
+
+  if (roles.length === 0) return DEFAULT_ROLE
+  return ROLE_NAMES.find((role) => roles.includes(role))
+}
+
+const mapUnits = (values) => {
+  const unitMap = parseMap(process.env.SAML_UNIT_MAP)
+  return [...new Set(values.map((value) => unitMap[value] || value))]
+}
+
+/**
+ * Validate the IdP's POST to the ACS endpoint and map the assertion to user fields.
+ * Returns { subject, email, name, role, academicUnits }; role and academicUnits are only set when
+ * SAML_ATTR_ROLE is configured. Throws if the response is invalid or has no email address.
+ */
+export const validateSamlResponse = async (body) => {
+  const { profile } = await getSaml().validatePostResponseAsync(body)
+
+  if (!profile) {
+    throw new Error("SAML response did not contain an assertion")
+  }
+
+  const nameIdIsEmail = /emailAddress$/.test(profile.nameIDFormat || "") || String(profile.nameID).includes("@")
+  const email = String(singleValue(profile, "email") || (nameIdIsEmail ? profile.nameID : ""))
+    .toLowerCase()
+    .trim()
+
+  if (!email.includes("@")) {
+    throw new Error("SAML assertion did not contain an email address")
+  }
+
+  // Transient name IDs change on every sign-in, so the email address identifies those users instead
+  const persistent = profile.nameID && !/transient$/.test(profile.nameIDFormat || "")
+
+  const mapped = {
+    subject: persistent ? String(profile.nameID) : email,
+    email,
+    name: singleValue(profile, "name") || email,
+  }
+
+  if (isSamlRoleSyncEnabled()) {
+    mapped.role = mapRole(allValues(profile, "role"))
+    mapped.academicUnits = mapUnits(allValues(profile, "units"))
+  }
+
+  return mapped
+}
@@ -0,0 +1,45 @@
+import { issueTokens } from "./tokens.js"
+import { getLoginChallenge } from "./twoFactor.js"
+import { needsEmailVerification } from "./emailVerification.js"
+
+/**
+ * Finish a browser-based single sign-on (OAuth/OIDC or SAML) by redirecting to the frontend.
+ * Disabled and unverified accounts are sent back to the login page with an error, users who need a
+ * second factor go to the frontend's 2FA step, everyone else gets tokens in the /auth/callback URL.
+ */
+export const redirectAfterSsoLogin = async (req, res, user) => {
+  if (!user.isActive) {
+    return res.redirect(`${process.env.FRONTEND_URL}/login?error=account_disabled`)
+  }
+
+  if (needsEmailVerification(user)) {
+    return res.redirect(`${process.env.FRONTEND_URL}/login?error=email_not_verified`)
+  }
+
+  // Single sign-on does not replace the second factor - hand over to the frontend's 2FA step
+  const challenge = getLoginChallenge(user)
+  if (challenge) {
+    const mode = challenge.twoFactorRequired ? "verify" : "setup"
+    return res.redirect(
+      `${process.env.FRONTEND_URL}/auth/two-factor?mode=${mode}&challengeToken=${encodeURIComponent(challenge.challengeToken)}`,
+    )
+  }
+
+  await user.recordLogin(req.ip)
+
+  // Generate tokens and redirect
+  const { token, refreshToken } = await issueTokens(user, req)
+  const userData = {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    avatar: user.avatar,
+    isOAuthUser: user.isOAuthUser,
+    settings: user.settings,
+  }
+
+  res.redirect(
+    `${process.env.FRONTEND_URL}/auth/callback?token=${token}&refreshToken=${encodeURIComponent(refreshToken)}&user=${encodeURIComponent(JSON.stringify(userData))}`,
+  )
+}
@@ -0,0 +1,142 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import mongoose from "mongoose"
+import Session from "../models/session.js"
+import { getPermissions } from "./permissions.js"
+
+/**
+ * Access and refresh tokens.
+ * Access tokens are short-lived JWTs carrying the session ID ("sid"), which protect checks on every request.
+ * Refresh tokens have the form "<sessionId>.<secret>"; only a hash of the secret is stored, and a new
+ * secret is issued every time the refresh token is used.
+ */
+
+export const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || "15m"
+const REFRESH_TOKEN_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_DAYS) || 30
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex")
+
+const newSecret = () => crypto.randomBytes(48).toString("hex")
+
+export const generateAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: ACCESS_TOKEN_EXPIRY,
+    },
+  )
+
+// Split "<sessionId>.<secret>" - returns null for anything malformed
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret, ...rest] = String(refreshToken || "").split(".")
+
+  if (rest.length > 0 || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null
+  }
+
+  return { sessionId, secret }
+}
+
+/**
+ * Start a new session for a user who just authenticated and return the token pair for the response.
+ */
+export const issueTokens = async (user, req) => {
+  const secret = newSecret()
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: Date.now() + REFRESH_TOKEN_TTL_MS,
+  })
+
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  }
+}
+
+/**
+ * Finish a successful login: remember it on the user, start a session and build the response body.
+ */
+export const completeLogin = async (user, req) => {
+  await user.recordLogin(req.ip)
+  const { token, refreshToken } = await issueTokens(user, req)
+
+  return {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    permissions: getPermissions(user.role),
+    academicUnits: user.academicUnits,
+    avatar: user.avatar,
+    isOAuthUser: user.isOAuthUser,
+    settings: user.settings,
+    token,
+    refreshToken,
+  }
+}
+
+/**
+ * Exchange a refresh token for a new one.
+ * Returns { session, refreshToken }, or null if the token is invalid, expired or revoked.
+ * Presenting a refresh token that was already rotated out revokes the whole session,
+ * since either the legitimate client or an attacker is holding a stolen copy.
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) return null
+
+  const presentedHash = hashToken(parsed.secret)
+  const secret = newSecret()
+
+  // Matching on the current hash makes the rotation atomic when two refreshes race
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      refreshTokenHash: hashToken(secret),
+      previousTokenHash: presentedHash,
+      lastUsedAt: new Date(),
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+    },
+    { new: true },
+  )
+
+  if (session) {
+    return { session, refreshToken: `${session._id}.${secret}` }
+  }
+
+  const reused = await Session.findOne({ _id: parsed.sessionId, previousTokenHash: presentedHash, revokedAt: null })
+  if (reused) {
+    console.log("Refresh token reuse detected, revoking session:", reused._id)
+    await reused.revoke("token-reuse")
+  }
+
+  return null
+}
+
+// Find the active session a refresh token belongs to, without rotating it
+export const findSessionByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) return null
+
+  return Session.findOne({
+    _id: parsed.sessionId,
+    refreshTokenHash: hashToken(parsed.secret),
+    revokedAt: null,
+  })
+}
@@ -0,0 +1,108 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import { authenticator } from "otplib"
+import QRCode from "qrcode"
+
+/**
+ * TOTP two-factor authentication helpers
+ */
+
+// Accept the previous and next 30 second step as well, to allow for clock drift on the phone
+authenticator.options = { window: 1 }
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "SST Alumni"
+const RECOVERY_CODE_COUNT = 10
+const CHALLENGE_EXPIRY = "10m"
+
+export const CHALLENGE_PURPOSES = {
+  LOGIN: "2fa-login", // Password was correct, the TOTP code is still needed
+  SETUP: "2fa-setup", // Password was correct, but the user's role requires 2FA and they have not enrolled yet
+}
+
+// Roles that must use 2FA, e.g. TWO_FACTOR_REQUIRED_ROLES=super-admin,admin
+export const isTwoFactorRequired = (role) =>
+  (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+    .split(",")
+    .map((name) => name.trim())
+    .includes(role)
+
+export const generateTwoFactorSecret = () => authenticator.generateSecret()
+
+// Everything an authenticator app needs to enroll: the raw secret, the otpauth:// URL and a QR code of it
+export const buildEnrollment = async (email, secret) => {
+  const otpauthUrl = authenticator.keyuri(email, ISSUER, secret)
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl),
+  }
+}
+
+/**
+ * Check a 6 digit TOTP code.
+ * Returns the time step the code belongs to, or null if it is invalid. Steps at or before
+ * lastUsedStep are rejected so that an intercepted code cannot be replayed.
+ */
+export const verifyTotp = (code, secret, lastUsedStep) => {
+  const token = String(code || "").replace(/\s/g, "")
+  if (!secret || !/^\d{6}$/.test(token)) return null
+
+  const delta = authenticator.checkDelta(token, secret)
+  if (delta === null) return null
+
+  const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta
+  if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) return null
+
+  return step
+}
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^a-f0-9]/g, "")
+
+const hashRecoveryCode = (code) => crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex")
+
+// New one-time recovery codes; only the hashes are stored, the codes are shown to the user once
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex")
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`
+  })
+
+  return { codes, hashes: codes.map(hashRecoveryCode) }
+}
+
+// Index of the matching unused recovery code, or -1
+export const findRecoveryCode = (code, hashes = []) =>
+  normalizeRecoveryCode(code).length === 10 ? hashes.indexOf(hashRecoveryCode(code)) : -1
+
+export const createChallengeToken = (user, purpose) =>
+  jwt.sign({ id: user._id, purpose }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_EXPIRY })
+
+// Decoded challenge token, or null if it is invalid, expired or issued for another purpose
+export const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(String(token || ""), process.env.JWT_SECRET)
+    return decoded.purpose === purpose ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Decide whether a user who has just proven their password (or OAuth identity) needs a second step.
+ * Returns null when tokens can be issued straight away, otherwise the response body for the client.
+ */
+export const getLoginChallenge = (user) => {
+  if (user.twoFactor?.enabled) {
+    return { twoFactorRequired: true, challengeToken: createChallengeToken(user, CHALLENGE_PURPOSES.LOGIN) }
+  }
+
+  if (isTwoFactorRequired(user.role)) {
+    return { twoFactorSetupRequired: true, challengeToken: createChallengeToken(user, CHALLENGE_PURPOSES.SETUP) }
+  }
+
+  return null
+}